@@ -0,0 +1,65 @@
+// chunking.js — Page-level chunking for Drive ingest
+// Every extracted page becomes its own chunk; pages longer than `maxChars` are split
+// into overlapping windows so no text is lost at the cut.
+//  • chunkIndex runs across the whole file (0..n-1), page keeps the 1-based source page
+//  • Extra page fields (e.g. slide / sheet metadata) are carried onto each chunk
+
+const DEFAULTS = { maxChars: 1800, overlap: 200, minChars: 20 };
+
+/** Collapse whitespace and strip control characters from extracted page text */
+export function cleanPageText(text) {
+  return String(text ?? "")
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Split one page of text into overlapping windows, cutting on word boundaries */
+export function splitIntoWindows(text, maxChars = DEFAULTS.maxChars, overlap = DEFAULTS.overlap) {
+  const s = cleanPageText(text);
+  if (!s) return [];
+  if (s.length <= maxChars) return [s];
+
+  const step = Math.max(1, maxChars - Math.max(0, Math.min(overlap, maxChars - 1)));
+  const windows = [];
+  let start = 0;
+  while (start < s.length) {
+    let end = Math.min(s.length, start + maxChars);
+    if (end < s.length) {
+      const space = s.lastIndexOf(" ", end);
+      if (space > start + step / 2) end = space;
+    }
+    windows.push(s.slice(start, end).trim());
+    if (end >= s.length) break;
+
+    let next = end - overlap;
+    if (next <= start) next = start + step;
+    const space = s.indexOf(" ", next);
+    start = (space !== -1 && space < end) ? space + 1 : next;
+  }
+  return windows.filter(Boolean);
+}
+
+/** Turn extracted pages ([{ page, text, ...meta }]) into chunks ([{ page, chunkIndex, text, ...meta }]) */
+export function chunkPages(pages, opts = {}) {
+  const maxChars = Number(opts.maxChars) || DEFAULTS.maxChars;
+  const overlap = Number.isFinite(Number(opts.overlap)) ? Number(opts.overlap) : DEFAULTS.overlap;
+  const minChars = Number.isFinite(Number(opts.minChars)) ? Number(opts.minChars) : DEFAULTS.minChars;
+
+  const chunks = [];
+  (pages || []).forEach((p, i) => {
+    if (!p) return;
+    const { text, page, ...meta } = p;
+    const pageNo = Number(page) > 0 ? Number(page) : i + 1;
+    for (const win of splitIntoWindows(text, maxChars, overlap)) {
+      if (win.length < minChars) continue;
+      chunks.push({ ...meta, page: pageNo, chunkIndex: chunks.length, text: win });
+    }
+  });
+  return chunks;
+}
+
+/** Stable vector id for a chunk of a Drive file */
+export function chunkVectorId(fileId, chunkIndex) {
+  return `${fileId}#c${chunkIndex}`;
+}
@@ -0,0 +1,227 @@
+// citation_check.js — Verification pass over generated answers and theme bullets
+// The prompts ask for [1], [2] citations; this checks that they hold up before the text is shown.
+//  • Every marker must point at a reference that exists ([n] is the nth chunk; [refN] is accepted too);
+//    markers past the end of the list are stripped
+//  • Each percentage or number must appear in a chunk cited next to it (the clause up to its marker
+//    group, falling back to anything cited in the same sentence); a rounded figure matches its source
+//  • Every cited clause, and every uncited figure, gets a verdict: supported | cited (no figures to check)
+//    | unsupported | uncited | invalid_citation (all of its markers were dead)
+//  • mode "flag" only strips dead markers; "remove" also drops each clause holding a claim that is not
+//    supported or cited (never in the protected first sentence, i.e. the headline). The rest of the
+//    sentence stays, and so does a leading HEADLINE: / DETAILS: label
+//  • Figures are checked against the chunk text only, never its file name
+
+const MARKER_GROUP = /(?:\s*\[(?:ref)?\d+(?:\s*,\s*(?:ref)?\d+)*\])+/gi;
+const MARKER = /\[((?:ref)?\d+(?:\s*,\s*(?:ref)?\d+)*)\]/gi;
+const NUMBER = /(?<![\w.])(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?:\s?(%|percent\b))?(?!\w)/gi;
+
+/** Figures in a piece of text → [{ raw, value, decimals, percent }] (bare integers below 10 are counts, not claims) */
+export function extractNumbers(text) {
+  const out = [];
+  for (const m of String(text || "").matchAll(NUMBER)) {
+    const value = Number(`${m[1].replace(/,/g, "")}${m[2] || ""}`);
+    const percent = !!m[3];
+    if (!Number.isFinite(value) || (!percent && !m[2] && value < 10)) continue;
+    out.push({ raw: m[0].trim(), value, decimals: m[2] ? m[2].length - 1 : 0, percent });
+  }
+  return out;
+}
+
+function markerNumbers(group) {
+  return [...group.matchAll(MARKER)].flatMap((m) => m[1].split(",").map((s) => Number(s.trim().replace(/^ref/i, ""))));
+}
+
+/** Reference numbers cited anywhere in a text ([2], [2, 9], [ref3]), each once, in order of appearance */
+export function citationNumbers(text) {
+  return [...new Set(markerNumbers(String(text || "")))];
+}
+
+/** Sentences covering the whole text (trailing markers and whitespace stay with their sentence) */
+function splitSentences(text) {
+  const out = [];
+  const boundary = /[.!?]+(?=\s|$)|\n/g;
+  let start = 0;
+  let m;
+  while ((m = boundary.exec(text))) {
+    let end = m.index + m[0].length;
+    const tail = /^(?:\s*\[(?:ref)?\d+(?:\s*,\s*(?:ref)?\d+)*\])+/i.exec(text.slice(end));
+    if (tail) end += tail[0].length;
+    end += /^\s*/.exec(text.slice(end))[0].length;
+    boundary.lastIndex = Math.max(boundary.lastIndex, end);
+    out.push(text.slice(start, end));
+    start = end;
+  }
+  if (start < text.length) out.push(text.slice(start));
+  return out;
+}
+
+/** Clauses of one sentence: [{ text, group }] where group is the marker run closing the clause ('' for a tail) */
+function splitClauses(sentence) {
+  const out = [];
+  let last = 0;
+  for (const m of sentence.matchAll(MARKER_GROUP)) {
+    out.push({ text: sentence.slice(last, m.index), group: m[0] });
+    last = m.index + m[0].length;
+  }
+  if (last < sentence.length) out.push({ text: sentence.slice(last), group: "" });
+  return out;
+}
+
+function chunkFigures(chunk) {
+  return extractNumbers(chunk ? chunk.contextText || chunk.textSnippet || chunk.text || "" : "");
+}
+
+const LABEL = /^\s*(?:HEADLINE|DETAILS):\s*/i;
+const CONNECTOR = /^[\s,;:]*(?:(?:while|whereas|and|but|although|though)\b\s*)?/i;
+
+/**
+ * Sentence text with the failing clauses left out. pieces = [{ text, claim }]; a claim's text is updated
+ * to what remains of its piece. A label opening a dropped first clause is kept; a connector ("while")
+ * left opening the sentence is removed. → '' when no clause with words is left (label included).
+ */
+function keepClauses(pieces, drop) {
+  let label = "";
+  let out = "";
+  pieces.forEach((p, i) => {
+    if (drop(p)) {
+      if (i === 0) label = (LABEL.exec(p.text) || [""])[0];
+      return;
+    }
+    let text = p.text;
+    if (!out && i > 0) {
+      text = text.replace(CONNECTOR, "");
+      text = text.charAt(0).toUpperCase() + text.slice(1);
+    }
+    if (p.claim) p.claim.text = text.trim().replace(/^[,;:]\s*/, "");
+    out += text;
+  });
+  if (!/\w/.test(out.replace(LABEL, "").replace(MARKER_GROUP, ""))) return "";
+  return label ? `${label}${out}` : out;
+}
+
+function numberSupported(n, figures) {
+  const tolerance = 0.5 * 10 ** -n.decimals;
+  return figures.some((f) => Math.abs(f.value - n.value) <= tolerance + 1e-9);
+}
+
+/**
+ * Check one text against the chunks its markers refer to.
+ * opts = { mode = "flag" | "remove", keepFirstSentence = false }
+ * → { text, claims: [{ text, citations, invalidCitations, numbers, unsupportedNumbers, verdict, removed }], summary }
+ * Each claim's text is an exact substring of the returned text unless the claim was removed.
+ */
+export function verifyCitations(text, chunks, opts = {}) {
+  const mode = opts.mode === "remove" ? "remove" : "flag";
+  const list = Array.isArray(chunks) ? chunks : [];
+  const figuresFor = new Map();
+  const figures = (n) => {
+    if (!figuresFor.has(n)) figuresFor.set(n, chunkFigures(list[n - 1]));
+    return figuresFor.get(n);
+  };
+  const valid = (n) => Number.isInteger(n) && n >= 1 && n <= list.length;
+
+  const claims = [];
+  let out = "";
+  let invalidMarkers = 0;
+  let carriedLabel = "";
+
+  splitSentences(String(text || "")).forEach((sentence, si) => {
+    const clauses = splitClauses(sentence);
+    const sentenceCitations = [...new Set(clauses.flatMap((c) => markerNumbers(c.group)).filter(valid))];
+    const lastGroup = [...clauses].reverse().find((c) => c.group);
+    const pieces = [];
+    const sentenceClaims = [];
+
+    clauses.forEach((clause) => {
+      const cited = markerNumbers(clause.group);
+      const citations = [...new Set(cited.filter(valid))];
+      const invalidCitations = [...new Set(cited.filter((n) => !valid(n)))];
+      invalidMarkers += cited.length - cited.filter(valid).length;
+      // Dead markers are dropped; a group with none left disappears
+      const group = invalidCitations.length
+        ? (citations.length ? ` ${citations.map((n) => `[${n}]`).join("")}` : "")
+        : clause.group;
+      const piece = { text: clause.text + group, claim: null };
+      pieces.push(piece);
+
+      const numbers = extractNumbers(clause.text);
+      // A tail after the last marker ("… [1] at 53%.") leans on that marker
+      const own = citations.length ? citations : (!clause.group && lastGroup ? markerNumbers(lastGroup.group).filter(valid) : []);
+      if (!clause.group && !numbers.length) return;
+      const unsupported = numbers.filter((n) => !(own.some((c) => numberSupported(n, figures(c)))
+        || sentenceCitations.some((c) => numberSupported(n, figures(c)))));
+      let verdict;
+      if (!own.length) verdict = invalidCitations.length ? "invalid_citation" : "uncited";
+      else if (unsupported.length) verdict = "unsupported";
+      else verdict = numbers.length ? "supported" : "cited";
+      piece.claim = {
+        text: piece.text.trim().replace(/^[,;:]\s*/, ""),
+        sentence: si,
+        citations: own,
+        invalidCitations,
+        numbers: numbers.map((n) => n.raw),
+        unsupportedNumbers: unsupported.map((n) => n.raw),
+        verdict,
+        removed: false,
+      };
+      sentenceClaims.push(piece.claim);
+    });
+
+    const removable = mode === "remove" && !(opts.keepFirstSentence && si === 0);
+    const failing = (p) => removable && p.claim && !["supported", "cited"].includes(p.claim.verdict);
+    sentenceClaims.forEach((c) => { c.removed = removable && !["supported", "cited"].includes(c.verdict); });
+    claims.push(...sentenceClaims);
+    let kept = pieces.some(failing) ? keepClauses(pieces, failing) : pieces.map((p) => p.text).join("");
+    if (kept && carriedLabel) {
+      kept = carriedLabel + kept.replace(/^\s+/, "");
+      carriedLabel = "";
+    }
+    if (kept) out += kept;
+    else {
+      // Nothing left: the sentence goes and its label moves on to the next sentence
+      sentenceClaims.forEach((c) => { c.removed = true; });
+      carriedLabel = carriedLabel || (LABEL.exec(sentence) || [""])[0];
+    }
+  });
+
+  const count = (v) => claims.filter((c) => c.verdict === v).length;
+  return {
+    text: out.replace(/[ \t]+\n/g, "\n").trim(),
+    claims,
+    summary: {
+      claims: claims.length,
+      supported: count("supported"),
+      cited: count("cited"),
+      unsupported: count("unsupported"),
+      uncited: count("uncited"),
+      invalidCitation: count("invalid_citation"),
+      invalidMarkers,
+      removed: claims.filter((c) => c.removed).length,
+    },
+  };
+}
+
+/** Theme bullets, one verification each; bullets emptied by "remove" are dropped */
+export function verifyBullets(bullets, chunks, opts = {}) {
+  const claims = [];
+  const kept = [];
+  (bullets || []).forEach((bullet, i) => {
+    const r = verifyCitations(bullet, chunks, { mode: opts.mode });
+    r.claims.forEach((c) => claims.push({ ...c, bullet: i }));
+    if (r.text) kept.push(r.text);
+  });
+  const count = (v) => claims.filter((c) => c.verdict === v).length;
+  return {
+    bullets: kept,
+    claims,
+    summary: {
+      claims: claims.length,
+      supported: count("supported"),
+      cited: count("cited"),
+      unsupported: count("unsupported"),
+      uncited: count("uncited"),
+      invalidCitation: count("invalid_citation"),
+      removed: claims.filter((c) => c.removed).length,
+    },
+  };
+}
@@ -0,0 +1,111 @@
+// confidence.js — How far an answer can be trusted, from what retrieval and verification found
+// Four factors, each 0..1, blended with configurable weights:
+//  • retrieval    : top cosine similarities against the library's score threshold (and rerank relevance);
+//                   the fused hybrid score is rank-only and says nothing about relevance, so it is not used
+//  • agreement    : how many different documents back the answer (cited ones once the answer exists)
+//  • recency      : age of the newest supporting study
+//  • verification : share of the answer's claims the citation check accepted (skipped when unavailable)
+// Missing factors drop out and the remaining weights are rescaled. Below `minimum` the level is
+// "insufficient" and the search should say the library doesn't answer the question.
+
+const DEFAULT_WEIGHTS = { retrieval: 0.4, agreement: 0.2, recency: 0.1, verification: 0.3 };
+const clamp = (x) => Math.max(0, Math.min(1, x));
+const mean = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0);
+
+function retrievalFactor(chunks, threshold) {
+  const top = chunks.slice(0, 3);
+  if (!top.length) return 0;
+  // At the threshold → 0.5, at twice the threshold or above → 1. A keyword-only match counts as at most
+  // the threshold, scaled by the share of query terms it holds.
+  const t = threshold || 0.5;
+  const scores = top.map((c) => (c.vectorScore != null ? Number(c.vectorScore) || 0 : t * (Number(c.keywordCoverage) || 0)));
+  const byThreshold = clamp(mean(scores) / (2 * t));
+  const rerank = top.map((c) => c.rerankScore).filter((s) => typeof s === "number");
+  return rerank.length ? 0.5 * byThreshold + 0.5 * clamp(mean(rerank)) : byThreshold;
+}
+
+function recencyFactor(chunks, now) {
+  const years = chunks.map((c) => Number(c.yearTag)).filter((y) => y > 1900);
+  if (!years.length) return 0.5;
+  const age = new Date(now).getFullYear() - Math.max(...years);
+  if (age <= 1) return 1;
+  if (age <= 2) return 0.75;
+  if (age <= 3) return 0.5;
+  return age <= 5 ? 0.3 : 0.15;
+}
+
+/** Chunks the answer's verified claims cite ([n] → chunks[n - 1]) */
+export function citedChunks(chunks, claims) {
+  const ok = new Set((claims || []).filter((c) => c.verdict === "supported" || c.verdict === "cited").flatMap((c) => c.citations || []));
+  return [...ok].map((n) => chunks[n - 1]).filter(Boolean);
+}
+
+/**
+ * opts = {
+ *   chunks,                     references in prompt order (table chunks are ignored for retrieval)
+ *   threshold,                  cosine threshold the chunks' vectorScore is measured against
+ *   citationCheck,              { claims, summary } from citation_check.js, once the answer exists
+ *   minimum = 0.35, weights, now = Date.now()
+ * }
+ * → { score, level: "high" | "medium" | "low" | "insufficient", factors, reasons }
+ */
+export function scoreConfidence(opts = {}) {
+  const all = Array.isArray(opts.chunks) ? opts.chunks : [];
+  const documents = all.filter((c) => c.sourceType !== "table");
+  const weights = { ...DEFAULT_WEIGHTS, ...(opts.weights || {}) };
+  const minimum = Number.isFinite(Number(opts.minimum)) ? Number(opts.minimum) : 0.35;
+  const check = opts.citationCheck || null;
+
+  const supporting = check ? citedChunks(all, check.claims) : documents.slice(0, 5);
+  const files = new Set(supporting.map((c) => c.fileId || c.fileName).filter(Boolean));
+  const factors = {
+    retrieval: retrievalFactor(documents, Number(opts.threshold)),
+    agreement: clamp(files.size / 3),
+    recency: recencyFactor(supporting.length ? supporting : documents, opts.now || Date.now()),
+    verification: check
+      ? (check.summary?.claims ? ((check.summary.supported || 0) + (check.summary.cited || 0)) / check.summary.claims : 0)
+      : null,
+  };
+  const used = Object.entries(factors).filter(([, v]) => v != null);
+  const totalWeight = used.reduce((s, [k]) => s + (weights[k] || 0), 0) || 1;
+  const score = documents.length || all.length
+    ? used.reduce((s, [k, v]) => s + (weights[k] || 0) * v, 0) / totalWeight
+    : 0;
+
+  const reasons = [];
+  if (factors.retrieval < 0.5) reasons.push("No passage matches the question closely");
+  if (files.size <= 1) reasons.push(files.size ? "Only one document supports the answer" : "No document supports the answer");
+  if (factors.recency <= 0.3) reasons.push("The supporting studies are several years old");
+  if (check && factors.verification < 0.6) reasons.push("Some cited figures could not be found in their sources");
+
+  const level = score < minimum ? "insufficient" : score >= 0.7 ? "high" : score >= 0.5 ? "medium" : "low";
+  if (level === "insufficient" && !reasons.length) reasons.push(`Evidence falls short of the ${Math.round(minimum * 100)}% minimum`);
+  return {
+    score: Number(score.toFixed(3)),
+    level,
+    minimum,
+    factors: Object.fromEntries(Object.entries(factors).map(([k, v]) => [k, v == null ? null : Number(v.toFixed(3))])),
+    supportingDocuments: files.size,
+    reasons,
+  };
+}
+
+/** Best chunk per document, strongest first → [{ fileId, fileName, page, score, snippet }] */
+export function closestDocuments(chunks, limit = 5) {
+  const byFile = new Map();
+  (chunks || []).filter((c) => c.sourceType !== "table").forEach((c) => {
+    const key = c.fileId || c.fileName;
+    const score = Number(c.rerankScore ?? c.score) || 0;
+    if (!byFile.has(key) || score > byFile.get(key).score) {
+      byFile.set(key, {
+        fileId: c.fileId || null,
+        fileName: c.fileName,
+        page: c.page || 1,
+        year: c.yearTag || null,
+        score: Number(score.toFixed(4)),
+        snippet: String(c.textSnippet || "").slice(0, 240),
+      });
+    }
+  });
+  return [...byFile.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+}
@@ -0,0 +1,152 @@
+// context_builder.js — Token-budgeted prompt context
+// Chunks are packed in rank order until the model's budget is spent, so a long result list
+// can't push a prompt past the context window.
+//  • Tokens are counted with the model's own tiktoken encoding; models tiktoken doesn't know
+//    (self-hosted ones) fall back to a conservative characters-per-token estimate
+//  • Near-duplicate chunks are skipped; a chunk too long for what is left is cut down, not dropped,
+//    while it can still carry a useful amount of text
+//  • Leftover budget expands selected chunks with their neighbouring page
+//  • Everything left out is reported with the reason, for searchMeta
+
+import { Tiktoken, getEncodingNameForModel } from "js-tiktoken/lite";
+import { tokenize } from "./keyword_index.js";
+
+const CHARS_PER_TOKEN = 3.5;
+const encodings = new Map(); // encoding name → Promise<Tiktoken>
+
+function loadEncoding(name) {
+  if (!encodings.has(name)) {
+    encodings.set(name, import(`js-tiktoken/ranks/${name}`).then((m) => new Tiktoken(m.default)));
+  }
+  return encodings.get(name);
+}
+
+/** → { model, encoding, approximate, count(text), truncate(text, maxTokens) } */
+export async function loadTokenCounter(model) {
+  let encodingName = null;
+  try { encodingName = getEncodingNameForModel(model); } catch { encodingName = null; }
+  if (encodingName) {
+    try {
+      const enc = await loadEncoding(encodingName);
+      return {
+        model,
+        encoding: encodingName,
+        approximate: false,
+        count: (text) => enc.encode(String(text || "")).length,
+        truncate(text, maxTokens) {
+          const ids = enc.encode(String(text || ""));
+          return ids.length <= maxTokens ? String(text || "") : `${enc.decode(ids.slice(0, Math.max(0, maxTokens - 1)))}…`;
+        },
+      };
+    } catch {
+      encodings.delete(encodingName);
+    }
+  }
+  return {
+    model,
+    encoding: "heuristic",
+    approximate: true,
+    count: (text) => Math.ceil(String(text || "").length / CHARS_PER_TOKEN),
+    truncate(text, maxTokens) {
+      const s = String(text || "");
+      const max = Math.floor(Math.max(0, maxTokens - 1) * CHARS_PER_TOKEN);
+      return s.length <= max ? s : `${s.slice(0, max)}…`;
+    },
+  };
+}
+
+function overlap(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  a.forEach((t) => { if (b.has(t)) inter++; });
+  return inter / Math.min(a.size, b.size);
+}
+
+const describe = (c, reason, tokens) => ({
+  id: c.id,
+  fileName: c.fileName,
+  page: c.page,
+  score: c.rerankScore ?? c.score,
+  tokens,
+  reason,
+});
+
+/**
+ * Pack chunks (best first) into `budget` tokens.
+ * opts = {
+ *   counter,                      from loadTokenCounter
+ *   budget,                       tokens for all snippets together
+ *   maxChunkTokens = 600,         cap per chunk before expansion
+ *   minChunkTokens = 60,          don't keep a cut-down chunk shorter than this
+ *   duplicateOverlap = 0.9,       term overlap above which a chunk repeats one already kept
+ *   neighbours(chunk) → [{ page, chunkIndex, text }]   optional, adjacent pages for expansion
+ *   format(chunk, i) → string     prompt line for one chunk (its cost is what gets counted)
+ * }
+ * → { chunks (contextText set), dropped, usedTokens, budget, expanded }
+ */
+export async function buildContext(chunks, opts = {}) {
+  const counter = opts.counter;
+  const budget = Math.max(0, Number(opts.budget) || 0);
+  const maxChunkTokens = Number(opts.maxChunkTokens) || 600;
+  const minChunkTokens = Number(opts.minChunkTokens) || 60;
+  const duplicateOverlap = Number(opts.duplicateOverlap) || 0.9;
+  const format = opts.format || ((c, i) => `[${i + 1}] ${c.contextText}`);
+
+  const selected = [];
+  const dropped = [];
+  const termSets = [];
+  let used = 0;
+
+  for (const chunk of chunks || []) {
+    const text = String(chunk.textSnippet || "");
+    const terms = new Set(tokenize(text));
+    if (termSets.some((t) => overlap(terms, t) >= duplicateOverlap)) {
+      dropped.push(describe(chunk, "duplicate", counter.count(text)));
+      continue;
+    }
+    const remaining = budget - used;
+    let contextText = counter.count(text) > maxChunkTokens ? counter.truncate(text, maxChunkTokens) : text;
+    let cost = counter.count(format({ ...chunk, contextText }, selected.length)) + 1;
+    if (cost > remaining) {
+      const overhead = cost - counter.count(contextText);
+      const room = remaining - overhead;
+      if (room < minChunkTokens) {
+        dropped.push(describe(chunk, "budget", cost));
+        continue;
+      }
+      contextText = counter.truncate(contextText, room);
+      cost = counter.count(format({ ...chunk, contextText }, selected.length)) + 1;
+    }
+    selected.push({ ...chunk, contextText, contextTokens: cost });
+    termSets.push(terms);
+    used += cost;
+  }
+
+  // Neighbouring pages often hold the rest of a table or the sentence a page break cut
+  let expanded = 0;
+  if (typeof opts.neighbours === "function") {
+    const taken = new Set(selected.map((c) => `${c.fileId}#${c.chunkIndex}`));
+    for (const chunk of selected) {
+      if (used >= budget) break;
+      if (chunk.contextText !== chunk.textSnippet || chunk.fileId == null || chunk.chunkIndex == null) continue;
+      // A failing lookup (thrown or rejected) only skips expansion for this chunk
+      let extras = [];
+      try { extras = await opts.neighbours(chunk); } catch { extras = []; }
+      for (const n of extras || []) {
+        const key = `${chunk.fileId}#${n.chunkIndex}`;
+        if (taken.has(key) || !n.text) continue;
+        const addition = `\n(p.${n.page}) ${n.text}`;
+        const cost = counter.count(addition);
+        if (used + cost > budget) continue;
+        chunk.contextText = n.chunkIndex < chunk.chunkIndex ? `(p.${n.page}) ${n.text}\n${chunk.contextText}` : chunk.contextText + addition;
+        chunk.contextTokens += cost;
+        chunk.expandedWith = [...(chunk.expandedWith || []), { page: n.page, chunkIndex: n.chunkIndex }];
+        taken.add(key);
+        used += cost;
+        expanded++;
+      }
+    }
+  }
+
+  return { chunks: selected, dropped, usedTokens: used, budget, expanded };
+}
@@ -0,0 +1,200 @@
+// crosstab.js — Banner/crosstab workbook parser driven by config/data-parser.json
+// Turns tabulation workbooks (one question per block: question text, banner header, base row,
+// answer rows) into structured tables that answer numeric questions without an LLM reading PDFs.
+//  • sheetHints  : sheet-name fragments to parse (all sheets when none match)
+//  • stopAtText  : row text that closes the current table (significance blocks, footnotes, ...)
+//  • waveRegex   : header cells naming a wave column (e.g. "W1", "W2")
+
+import fs from "node:fs";
+import XLSX from "xlsx";
+
+const DEFAULT_CONFIG = { sheetHints: [], stopAtText: [], waveRegex: "^W\\d+$" };
+
+/** Load parser hints (falls back to defaults when the file is missing or malformed) */
+export function loadParserConfig(filePath) {
+  let raw = {};
+  try {
+    if (fs.existsSync(filePath)) raw = JSON.parse(fs.readFileSync(filePath, "utf8")) || {};
+  } catch {
+    raw = {};
+  }
+  const cfg = { ...DEFAULT_CONFIG, ...raw };
+  let waveRe;
+  try { waveRe = new RegExp(cfg.waveRegex, "i"); } catch { waveRe = new RegExp(DEFAULT_CONFIG.waveRegex, "i"); }
+  return {
+    sheetHints: (cfg.sheetHints || []).map((h) => String(h).toLowerCase()).filter(Boolean),
+    stopAtText: (cfg.stopAtText || []).map((t) => String(t).toLowerCase()).filter(Boolean),
+    waveRegex: waveRe,
+    // Metric definitions for trends.js (null = its defaults)
+    trendMetrics: Array.isArray(cfg.trendMetrics) && cfg.trendMetrics.length ? cfg.trendMetrics : null,
+  };
+}
+
+const cellText = (v) => (v == null ? "" : String(v).replace(/\s+/g, " ").trim());
+
+/** Parse a tabulated cell such as "35%", "0.35", "1,204" or "42%AB" (trailing significance letters) */
+export function parseCellNumber(v) {
+  const s = cellText(v);
+  const m = s.match(/^(-?\d{1,3}(?:,\d{3})*(?:\.\d+)?|-?\d*\.\d+|-?\d+)\s*(%?)\s*([A-Za-z]{0,6})$/);
+  if (!m) return null;
+  const value = Number(m[1].replace(/,/g, ""));
+  if (!Number.isFinite(value)) return null;
+  return { value, percent: m[2] === "%", sig: m[3] || "" };
+}
+
+function isStopRow(texts, cfg) {
+  return texts.some((t) => {
+    const lower = t.toLowerCase();
+    return cfg.stopAtText.some((stop) => lower.startsWith(stop));
+  });
+}
+
+function looksLikeQuestion(texts, numbers) {
+  if (numbers > 0 || texts.length === 0 || texts.length > 2) return false;
+  const t = texts[0];
+  return /^[A-Z]{1,3}\d+[a-z]?\b/.test(t) || /\?\s*$/.test(t) || t.length >= 25;
+}
+
+/** Sheets worth parsing: the ones matching a sheet hint, else every sheet */
+function pickSheets(sheetNames, cfg) {
+  if (!cfg.sheetHints.length) return sheetNames;
+  const hinted = sheetNames.filter((n) => cfg.sheetHints.some((h) => n.toLowerCase().includes(h)));
+  return hinted.length ? hinted : sheetNames;
+}
+
+function parseSheet(rows, sheetName, cfg) {
+  const tables = [];
+  let current = null;
+  let stopped = false;
+
+  const close = () => {
+    if (current && current.rows.length && current.columns.length) tables.push(current);
+    current = null;
+  };
+
+  rows.forEach((row, r) => {
+    const cells = (row || []).map(cellText);
+    const texts = cells.filter((c) => c && !parseCellNumber(c));
+    const numbers = cells.slice(1).filter((c) => parseCellNumber(c)).length;
+    const nonEmpty = cells.filter(Boolean).length;
+
+    if (!nonEmpty) {
+      if (current && current.rows.length) close();
+      return;
+    }
+    if (isStopRow(texts, cfg)) {
+      close();
+      stopped = true;
+      return;
+    }
+    if (looksLikeQuestion(texts, numbers) && !(current && current.columns.length && !current.rows.length)) {
+      close();
+      stopped = false;
+      current = { sheet: sheetName, startRow: r + 1, question: texts.join(" "), columns: [], waves: [], groups: {}, base: {}, rows: [], unit: null };
+      return;
+    }
+    if (stopped || !current) return;
+
+    // Banner header: text-only row after the question; a later header row holding wave labels wins
+    if (!current.rows.length && numbers === 0 && nonEmpty >= 2) {
+      const labels = cells.map((c, i) => ({ i, label: c })).filter((c) => c.i > 0 && c.label);
+      const waves = labels.filter((c) => cfg.waveRegex.test(c.label));
+      if (!current.columns.length || waves.length) {
+        if (current.columns.length) current.columns.forEach((c) => { if (c.label) current.groups[c.i] = c.label; });
+        current.columns = labels;
+        current.waves = waves.map((c) => c.label);
+      }
+      return;
+    }
+
+    const label = cells[0] || texts[0] || "";
+    if (!numbers || !current.columns.length) return;
+
+    const values = {};
+    const sig = {};
+    current.columns.forEach((col) => {
+      const parsed = parseCellNumber(cells[col.i]);
+      if (!parsed) return;
+      values[col.label] = parsed.value;
+      if (parsed.sig) sig[col.label] = parsed.sig;
+      if (parsed.percent) current.unit = "%";
+    });
+    if (!Object.keys(values).length) return;
+
+    if (/^(base|total respondents|n\s*=)/i.test(label) && !current.rows.length) {
+      current.base = values;
+      current.baseLabel = label;
+      return;
+    }
+    current.rows.push({ label, values, ...(Object.keys(sig).length ? { sig } : {}) });
+  });
+  close();
+
+  return tables.map((t) => ({
+    sheet: t.sheet,
+    startRow: t.startRow,
+    question: t.question,
+    columns: t.columns.map((c) => c.label),
+    ...(Object.keys(t.groups).length ? { columnGroups: t.columns.map((c) => t.groups[c.i] || null) } : {}),
+    waves: t.waves,
+    base: t.base,
+    ...(t.baseLabel ? { baseLabel: t.baseLabel } : {}),
+    unit: t.unit,
+    rows: t.rows,
+  }));
+}
+
+/** Parse a crosstab workbook buffer into tables linked to the source Drive file */
+export function parseCrosstabWorkbook(buffer, cfg, source = {}) {
+  const wb = XLSX.read(buffer, { type: "buffer" });
+  const out = [];
+  for (const name of pickSheets(wb.SheetNames, cfg)) {
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, raw: false, defval: null, blankrows: true });
+    parseSheet(rows, name, cfg).forEach((t) => {
+      out.push({
+        id: `${source.fileId || "local"}:${name}:${t.startRow}`,
+        fileId: source.fileId || null,
+        fileName: source.fileName || null,
+        ...t,
+      });
+    });
+  }
+  return out;
+}
+
+const tokenize = (s) => String(s || "").toLowerCase().split(/[^a-z0-9%]+/).filter((w) => w.length > 1);
+
+/** Rank stored tables against a query by term overlap with question, row and column labels */
+export function findTables(tables, query, limit = 3) {
+  const q = new Set(tokenize(query));
+  if (!q.size) return [];
+  const scored = (tables || []).map((t) => {
+    const qWords = new Set(tokenize(t.question));
+    const labelWords = new Set(tokenize([t.sheet, ...t.columns, ...t.rows.map((r) => r.label)].join(" ")));
+    let score = 0;
+    q.forEach((w) => {
+      if (qWords.has(w)) score += 2;
+      else if (labelWords.has(w)) score += 1;
+    });
+    return { table: t, score: score / q.size };
+  });
+  return scored
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((s) => ({ ...s.table, matchScore: Number(s.score.toFixed(3)) }));
+}
+
+/** Compact text rendering of a table for prompts and snippets */
+export function tableToText(t, maxRows = 25) {
+  const unit = t.unit || "";
+  const lines = [`${t.question} (${t.fileName || "data file"} / ${t.sheet})`];
+  lines.push(`Columns: ${t.columns.join(" | ")}`);
+  if (Object.keys(t.base || {}).length) {
+    lines.push(`${t.baseLabel || "Base"}: ${t.columns.map((c) => (t.base[c] ?? "-")).join(" | ")}`);
+  }
+  t.rows.slice(0, maxRows).forEach((r) => {
+    lines.push(`${r.label}: ${t.columns.map((c) => (r.values[c] == null ? "-" : `${r.values[c]}${unit}`)).join(" | ")}`);
+  });
+  return lines.join("\n");
+}
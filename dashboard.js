@@ -0,0 +1,214 @@
+// dashboard.js — Dashboard cards for a search, laid out by query intent (intent.js)
+// Each layout slot has a builder that pulls its data from what the search found; a builder with
+// nothing to show returns null and the slot is skipped. Cards declare how they are drawn:
+//   snapshot : { labels, values, colors, colorMap, asOf }         (pie)
+//   trend    : { metrics }                                        (trends.js output, line chart)
+//   bars     : { unit, items: [{ label, value, source }] }
+//   segments : { unit, groups, series: [{ label, values }], source } (grouped bars)
+//   quotes   : { quotes: [{ text, speaker }] }
+//   list     : { items: [{ title, text }] }
+//   reports  : { reports }
+// Slots: snapshot, trend, drivers, segments, messages, quotes, themes, reports.
+
+const PERCENT = /(?<![\w.])(\d{1,3}(?:\.\d+)?)\s?%/;
+const BARRIER_WORDS = /\b(barriers?|obstacles?|hurdles?|concerns?|challenges?|reasons? not|why not|stop(ped)?|discontinu\w*)\b/i;
+
+function bulletsOf(themes) {
+  return (themes || []).flatMap((t) => (t.bullets || []).map((b) => ({ text: String(b), theme: t.title })));
+}
+
+/** "Efficacy concerns cited by 45% of HCPs [1]" → "Efficacy concerns cited by" (first words before the figure) */
+function shortLabel(text) {
+  const clean = String(text).replace(/\[(?:ref)?\d+(?:\s*,\s*(?:ref)?\d+)*\]/gi, "").replace(/\s+/g, " ").trim();
+  const before = clean.split(PERCENT)[0].replace(/[\s,:;–-]+$/, "").trim();
+  const words = (before || clean).split(" ").slice(0, 7).join(" ");
+  return words.length < clean.length ? `${words}…` : words;
+}
+
+/** Headline figure of a table row: the Total column, else the last wave, else the first value */
+function rowValue(table, row, waveRegex) {
+  const cols = table.columns || [];
+  const total = cols.find((c) => /^total\b/i.test(c));
+  if (total && row.values[total] != null) return { value: row.values[total], column: total };
+  const waves = cols.filter((c) => waveRegex?.test(c) && row.values[c] != null);
+  if (waves.length) return { value: row.values[waves[waves.length - 1]], column: waves[waves.length - 1] };
+  const first = cols.find((c) => row.values[c] != null);
+  return first ? { value: row.values[first], column: first } : null;
+}
+
+function tableBars(table, waveRegex, limit = 8) {
+  const items = (table.rows || [])
+    .filter((r) => !/^(net|mean|median|sum|total)\b/i.test(r.label))
+    .map((r) => {
+      const v = rowValue(table, r, waveRegex);
+      return v && { label: r.label, value: v.value, source: { fileId: table.fileId || null, fileName: table.fileName || null, sheet: table.sheet || null, column: v.column } };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, limit);
+  return items.length >= 2 ? items : null;
+}
+
+/** Bullets carrying a percentage, as bars (figures from the themes, cited to their chunks) */
+function bulletBars(bullets, limit = 8) {
+  const items = bullets
+    .map((b) => {
+      const m = b.text.match(PERCENT);
+      return m && { label: shortLabel(b.text), value: Number(m[1]), source: { theme: b.theme } };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, limit);
+  return items.length >= 2 ? items : null;
+}
+
+// ---------------------------------------------------------------------------
+// Slot builders: ctx = { intent, query, themes, chunks, tables, trends, taxonomy, waveRegex, mostRecentRef, reports }
+// ---------------------------------------------------------------------------
+
+function snapshotCard(ctx) {
+  const charts = (ctx.themes || []).map((t) => t.chartData && { ...t.chartData, title: t.chartData.title || t.title }).filter((c) => c && c.series && c.series.length);
+  // A chart over the library's products first, then any pie
+  const c = charts.find((x) => x.colorMap && x.type === "pie") || charts.find((x) => x.colorMap) || charts.find((x) => x.type === "pie")
+    || (ctx.intent.id === "overview" ? charts[0] : null);
+  if (!c) return null;
+  const ref = ctx.mostRecentRef;
+  const colorMap = {};
+  c.series.forEach((s, i) => {
+    const col = s.color || (Array.isArray(c.colors) ? c.colors[i] : null);
+    if (s.label && col) colorMap[s.label] = col;
+  });
+  return {
+    type: "snapshot",
+    title: c.colorMap ? "Current Market Share" : c.title || "Snapshot",
+    asOf: ref && (ref.yearTag || ref.monthTag) ? `${ref.monthTag || ""} ${ref.yearTag || ""}`.trim() : null,
+    labels: c.series.map((s) => s.label),
+    values: c.series.map((s) => Number(s.value) || 0),
+    colors: c.series.map((s, i) => s.color || (Array.isArray(c.colors) ? c.colors[i] : null) || null),
+    ...(Object.keys(colorMap).length ? { colorMap } : {}),
+  };
+}
+
+/** Metrics named in the question come first; `only` limits the card to some metric ids */
+function trendCard(ctx, only = null) {
+  let metrics = ctx.trends?.metrics || [];
+  if (only) metrics = metrics.filter((m) => only.includes(m.id));
+  if (!metrics.length) return null;
+  const q = String(ctx.query || "").toLowerCase();
+  const named = (m) => (q.includes(m.label.toLowerCase()) || q.includes(m.id.toLowerCase()) ? 0 : 1);
+  metrics = [...metrics].sort((a, b) => named(a) - named(b));
+  return { type: "trend", title: metrics.length > 1 ? "Trends" : `${metrics[0].label} Trend`, metrics };
+}
+
+function driversCard(ctx) {
+  const barriers = BARRIER_WORDS.test(ctx.query || "");
+  const title = barriers ? "Key Barriers" : "Key Drivers";
+  const table = (ctx.tables || []).find((t) => /\b(reasons?|barriers?|drivers?|why|motivat\w*|concerns?|important|influence\w*|attributes?)\b/i.test(t.question || ""));
+  const fromTable = table && tableBars(table, ctx.waveRegex);
+  if (fromTable) return { type: "bars", title: `${title}: ${table.question}`, unit: table.unit || "", items: fromTable };
+
+  const fromBullets = bulletBars(bulletsOf(ctx.themes).filter((b) => (barriers ? BARRIER_WORDS.test(b.text) || BARRIER_WORDS.test(b.theme || "") : true)));
+  if (fromBullets) return { type: "bars", title, unit: "%", items: fromBullets };
+
+  // No figures: how often each theme's findings open with the same lead-in
+  const counts = {};
+  bulletsOf(ctx.themes).forEach((b) => {
+    if (!b.text.includes(":")) return;
+    const k = b.text.split(":")[0].trim().toLowerCase();
+    if (k && k.length <= 60) counts[k] = (counts[k] || 0) + 1;
+  });
+  const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 5);
+  if (!top.length) return null;
+  return { type: "bars", title: ctx.intent.id === "overview" ? "Key Drivers of Choice" : title, unit: "mentions", items: top.map(([k, v]) => ({ label: k[0].toUpperCase() + k.slice(1), value: v })) };
+}
+
+function segmentsCard(ctx) {
+  const waveRegex = ctx.waveRegex;
+  const table = (ctx.tables || []).find((t) => (t.columns || []).filter((c) => !waveRegex?.test(c) && !/^total\b/i.test(c)).length >= 2 && (t.rows || []).length);
+  if (table) {
+    const groups = table.columns.filter((c) => !waveRegex?.test(c) && !/^total\b/i.test(c));
+    return {
+      type: "segments",
+      title: table.question,
+      unit: table.unit || "",
+      groups,
+      series: table.rows.filter((r) => !/^(net|mean|median|sum)\b/i.test(r.label)).slice(0, 6)
+        .map((r) => ({ label: r.label, values: groups.map((g) => r.values[g] ?? null) })),
+      source: { fileId: table.fileId || null, fileName: table.fileName || null, sheet: table.sheet || null },
+    };
+  }
+  // From report text: the latest figure for each segment of the first metric that has segments
+  for (const m of ctx.trends?.metrics || []) {
+    const bySegment = m.series.filter((s) => s.segment);
+    if (bySegment.length < 2) continue;
+    const items = bySegment.map((s) => {
+      const last = s.points[s.points.length - 1];
+      return { label: s.label, value: last.value, source: { fileId: last.fileId, fileName: last.fileName, page: last.page, sheet: last.sheet } };
+    });
+    return { type: "bars", title: `${m.label} by segment`, unit: m.unit, items };
+  }
+  return null;
+}
+
+function messagesCard(ctx) {
+  const table = (ctx.tables || []).find((t) => /\b(messag\w*|recall|claims?)\b/i.test(t.question || ""));
+  const fromTable = table && tableBars(table, ctx.waveRegex);
+  if (fromTable) return { type: "bars", title: `Message performance: ${table.question}`, unit: table.unit || "", items: fromTable };
+
+  const recall = (ctx.trends?.metrics || []).find((m) => m.id === "messageRecall");
+  if (recall) {
+    const items = recall.series.map((s) => {
+      const last = s.points[s.points.length - 1];
+      return { label: s.label, value: last.value, source: { fileId: last.fileId, fileName: last.fileName, page: last.page, sheet: last.sheet, timepoint: last.timepoint } };
+    });
+    if (items.length) return { type: "bars", title: "Message recall (latest)", unit: recall.unit, items };
+  }
+
+  const fromBullets = bulletBars(bulletsOf(ctx.themes).filter((b) => /\b(messag\w*|recall|claims?)\b/i.test(b.text)));
+  return fromBullets ? { type: "bars", title: "Message performance", unit: "%", items: fromBullets } : null;
+}
+
+/** Verbatims from HCPs, patients and caregivers (more of them when the question asks for them) */
+function quotesCard(ctx) {
+  const limit = ctx.intent.id === "qualitative" ? 8 : 4;
+  const quotes = [];
+  (ctx.themes || []).forEach((t) => (t.quotes || []).forEach((q) => {
+    if (!q || !q.text || !q.speaker) return;
+    const s = String(q.speaker).toLowerCase();
+    if (s === "hcp" || s === "patient" || s === "caregiver") quotes.push({ text: q.text, speaker: q.speaker });
+  }));
+  return quotes.length ? { type: "quotes", title: "HCP/Patient Quotes", quotes: quotes.slice(0, limit) } : null;
+}
+
+function themesCard(ctx) {
+  const items = (ctx.themes || []).filter((t) => t.title).map((t) => ({ title: t.title, text: t.subtitle || "" }));
+  return items.length ? { type: "list", title: "Key themes", items } : null;
+}
+
+function reportsCard(ctx) {
+  return ctx.reports && ctx.reports.length ? { type: "reports", title: "Supporting Reports", reports: ctx.reports } : null;
+}
+
+const SLOTS = {
+  snapshot: snapshotCard,
+  // Share and message questions only trend their own metric
+  trend: (ctx) => trendCard(ctx, { share: ["share"], message: ["messageRecall"] }[ctx.intent.id] || null),
+  drivers: driversCard,
+  segments: segmentsCard,
+  messages: messagesCard,
+  quotes: quotesCard,
+  themes: themesCard,
+  reports: reportsCard,
+};
+
+/** Cards for the intent's layout, in order, skipping slots with nothing to show */
+export function buildDashboardCards(ctx) {
+  return (ctx.intent.layout || [])
+    .map((slot) => {
+      const build = SLOTS[slot];
+      if (!build) return null;
+      const card = build(ctx);
+      return card ? { slot, ...card } : null;
+    })
+    .filter(Boolean);
+}
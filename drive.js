@@ -131,7 +131,7 @@ function safeFilename(name) {
   return encodeURIComponent(name || "download");
 }
 
-const EXPORTS = {
+export const EXPORTS = {
   "application/vnd.google-apps.document": {
     mime: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
     ext: ".docx",
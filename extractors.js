@@ -0,0 +1,171 @@
+// extractors.js — Text extraction for Drive ingest
+// Every extractor resolves to { extractor, pages: [{ page, text, ...meta }] }, ready for chunking.js.
+//  • PDF pages come from pdfjs (one entry per page)
+//  • Native Google Docs/Slides/Sheets are exported to .docx/.pptx/.xlsx (same mapping as drive.js EXPORTS)
+//    and then parsed locally like any uploaded Office file
+//  • DOCX/PPTX are read straight from the OOXML zip via the CFB reader bundled with `xlsx`
+//  • Slides keep their slide number (`slide`), sheets keep their tab name (`sheetName`)
+
+import XLSX from "xlsx";
+import { EXPORTS } from "./drive.js";
+
+export const MIME = {
+  pdf: "application/pdf",
+  gdoc: "application/vnd.google-apps.document",
+  gslides: "application/vnd.google-apps.presentation",
+  gsheet: "application/vnd.google-apps.spreadsheet",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const MAX_SHEET_CHARS = 200000;
+
+function decodeXmlEntities(s) {
+  return String(s || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/** Read every entry of an OOXML (zip) container into a { path: xmlString } map */
+function readZipEntries(buffer) {
+  const container = XLSX.CFB.read(buffer, { type: "buffer" });
+  const out = {};
+  container.FileIndex.forEach((entry, i) => {
+    if (!entry || !entry.content || entry.type !== 2) return;
+    const full = String(container.FullPaths[i] || "").replace(/^Root Entry\//, "");
+    out[full] = Buffer.from(entry.content).toString("utf8");
+  });
+  return out;
+}
+
+/** Text of the <w:t>/<a:t> runs inside an XML fragment, one line per paragraph */
+function textFromRuns(xml, ns) {
+  const paragraphs = String(xml || "").split(new RegExp(`</${ns}:p>`));
+  const lines = paragraphs.map((p) => {
+    const runs = [];
+    const re = new RegExp(`<${ns}:t(?:\\s[^>]*)?>([\\s\\S]*?)</${ns}:t>|<${ns}:(tab|br)\\b[^>]*>`, "g");
+    let m;
+    while ((m = re.exec(p))) {
+      if (m[2]) runs.push(m[2] === "tab" ? "\t" : "\n");
+      else runs.push(decodeXmlEntities(m[1] || ""));
+    }
+    return runs.join("");
+  });
+  return lines.map((l) => l.trim()).filter(Boolean).join("\n");
+}
+
+/** DOCX: body text split on explicit and last-rendered page breaks */
+export function extractDocxPages(buffer) {
+  const entries = readZipEntries(buffer);
+  const body = entries["word/document.xml"];
+  if (!body) throw new Error("word/document.xml missing");
+  const parts = body.split(/<w:br\s+w:type="page"\s*\/>|<w:lastRenderedPageBreak\s*\/>/);
+  const pages = [];
+  parts.forEach((xml) => {
+    const text = textFromRuns(xml, "w");
+    if (text) pages.push({ page: pages.length + 1, text });
+  });
+  return pages;
+}
+
+/** Slide XML paths in presentation order (falls back to numeric file order) */
+function orderedSlidePaths(entries) {
+  const byNumber = Object.keys(entries)
+    .filter((k) => /^ppt\/slides\/slide\d+\.xml$/.test(k))
+    .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+
+  const pres = entries["ppt/presentation.xml"];
+  const rels = entries["ppt/_rels/presentation.xml.rels"];
+  if (!pres || !rels) return byNumber;
+
+  const targets = {};
+  const relRe = /<Relationship\b[^>]*>/g;
+  let m;
+  while ((m = relRe.exec(rels))) {
+    const id = (m[0].match(/\bId="([^"]+)"/) || [])[1];
+    const target = (m[0].match(/\bTarget="([^"]+)"/) || [])[1];
+    if (id && target) targets[id] = "ppt/" + target.replace(/^\/?ppt\//, "").replace(/^\.\//, "");
+  }
+  const ordered = [];
+  const sldRe = /<p:sldId\b[^>]*\br:id="([^"]+)"/g;
+  while ((m = sldRe.exec(pres))) {
+    const p = targets[m[1]];
+    if (p && entries[p]) ordered.push(p);
+  }
+  return ordered.length ? ordered : byNumber;
+}
+
+/** PPTX: one page per slide, numbered in presentation order */
+export function extractPptxPages(buffer) {
+  const entries = readZipEntries(buffer);
+  return orderedSlidePaths(entries).map((p, i) => ({
+    page: i + 1,
+    slide: i + 1,
+    text: textFromRuns(entries[p], "a"),
+  }));
+}
+
+/** XLSX: one page per worksheet, rows rendered as tab-separated lines */
+export function extractXlsxPages(buffer) {
+  const wb = XLSX.read(buffer, { type: "buffer" });
+  return wb.SheetNames.map((name, i) => {
+    const csv = XLSX.utils.sheet_to_csv(wb.Sheets[name], { FS: "\t", blankrows: false });
+    const text = csv.split("\n").map((l) => l.replace(/\t+$/, "")).filter((l) => l.trim()).join("\n");
+    return { page: i + 1, sheetName: name, text: `${name}\n${text.slice(0, MAX_SHEET_CHARS)}` };
+  });
+}
+
+/** PDF: one page per PDF page (`loadPdfjs` resolves to { mod } like __loadPdfjsFlexible) */
+export async function extractPdfPages(buffer, loadPdfjs) {
+  const { mod } = await loadPdfjs();
+  const pdfjsLib = (mod && (mod.getDocument || mod.GlobalWorkerOptions)) ? mod : (mod && mod.default ? mod.default : null);
+  if (!pdfjsLib || !pdfjsLib.getDocument) throw new Error("PDF.js not available");
+  const doc = await pdfjsLib.getDocument({ data: new Uint8Array(buffer), disableWorker: true, isEvalSupported: false }).promise;
+  const pages = [];
+  for (let p = 1; p <= doc.numPages; p++) {
+    const page = await doc.getPage(p);
+    const content = await page.getTextContent();
+    pages.push({ page: p, text: (content.items || []).map((it) => it.str).join(" ") });
+    page.cleanup && page.cleanup();
+  }
+  await doc.destroy();
+  return pages;
+}
+
+/** Which extractor handles a Drive file ("pdf", "docx", "pptx", "xlsx") or null */
+export function extractorFor(file) {
+  const mime = file && file.mimeType;
+  const name = String((file && file.name) || "").toLowerCase();
+  if (mime === MIME.pdf || name.endsWith(".pdf")) return "pdf";
+  if (mime === MIME.gdoc || mime === MIME.docx || name.endsWith(".docx")) return "docx";
+  if (mime === MIME.gslides || mime === MIME.pptx || name.endsWith(".pptx")) return "pptx";
+  if (mime === MIME.gsheet || mime === MIME.xlsx || name.endsWith(".xlsx")) return "xlsx";
+  return null;
+}
+
+/**
+ * Extract pages for a Drive file.
+ * io = { download(fileId) → Buffer, exportAs(fileId, mimeType) → Buffer, loadPdfjs() → { mod } }
+ */
+export async function extractPages(file, io) {
+  const kind = extractorFor(file);
+  if (!kind) return { extractor: "name-only", pages: [{ page: 1, text: file.name }] };
+
+  const exported = EXPORTS[file.mimeType];
+  const bytes = exported ? await io.exportAs(file.id, exported.mime) : await io.download(file.id);
+  const source = exported ? "google-export" : "drive";
+
+  let pages;
+  if (kind === "pdf") pages = await extractPdfPages(bytes, io.loadPdfjs);
+  else if (kind === "docx") pages = extractDocxPages(bytes);
+  else if (kind === "pptx") pages = extractPptxPages(bytes);
+  else pages = extractXlsxPages(bytes);
+
+  return { extractor: `${kind}:${source}`, pages };
+}
@@ -0,0 +1,107 @@
+// intent.js — What kind of question was asked, so the dashboard can be laid out for it
+// Rule-based and deterministic: each intent has weighted cue patterns; the best-scoring intent wins,
+// "overview" when nothing matches. The layout lists the dashboard card types, in order, for the intent
+// (see dashboard.js for how each card is filled).
+
+export const INTENTS = [
+  {
+    id: "share",
+    label: "Share / size",
+    layout: ["snapshot", "trend", "reports"],
+    cues: [
+      [/\b(market )?share\b/, 2], [/\bhow (many|much)\b/, 1], [/\b(market )?size\b/, 2], [/\bpenetration\b/, 2],
+      [/\b(usage|uptake|adoption)\b/, 1], [/\bproportion|percentage|what percent\b/, 1], [/\bleader|leading brand\b/, 1],
+    ],
+  },
+  {
+    id: "drivers",
+    label: "Drivers & barriers",
+    layout: ["drivers", "quotes", "reports"],
+    cues: [
+      [/\bwhy\b/, 2], [/\bdrivers?\b/, 2], [/\bbarriers?\b/, 2], [/\breasons?\b/, 2], [/\bmotivat/, 1],
+      [/\b(obstacles?|hurdles?|concerns?|challenges?|unmet needs?)\b/, 1], [/\b(choose|choice|switch(ing)?|prescrib(e|ing) decisions?)\b/, 1],
+    ],
+  },
+  {
+    id: "trend",
+    label: "Trend over time",
+    layout: ["trend", "snapshot", "reports"],
+    cues: [
+      [/\btrends?\b/, 2], [/\bover time\b/, 2], [/\b(changed?|changing|shift(ed)?)\b/, 1], [/\bsince\b/, 1],
+      [/\b(across|between) waves\b/, 2], [/\b(increase|decrease|grow|growth|decline|rose|fell)\w*\b/, 1], [/\b(tracker|tracking)\b/, 1],
+    ],
+  },
+  {
+    id: "segment",
+    label: "Segment comparison",
+    layout: ["segments", "trend", "reports"],
+    cues: [
+      [/\bcompare|comparison|compared\b/, 2], [/\b(vs\.?|versus)\b/, 1], [/\bdiffer(ence|ent)?s?\b/, 1],
+      [/\bby (segment|specialty|region|type|age|setting)\b/, 2], [/\b(segments?|subgroups?)\b/, 2], [/\bamong\b/, 1],
+    ],
+  },
+  {
+    id: "message",
+    label: "Message performance",
+    layout: ["messages", "trend", "quotes", "reports"],
+    cues: [
+      [/\bmessag(e|es|ing)\b/, 2], [/\brecall\b/, 2], [/\b(claims?|campaign|resonat\w*|believab\w*|compelling)\b/, 1], [/\bcommunicat\w*\b/, 1],
+    ],
+  },
+  {
+    id: "qualitative",
+    label: "Qualitative / verbatims",
+    layout: ["quotes", "themes", "reports"],
+    cues: [
+      [/\b(quotes?|verbatims?)\b/, 2], [/\bin their own words\b/, 2], [/\b(say|said|says|feel|feelings?|experiences?)\b/, 1],
+      [/\b(perceptions?|attitudes?|views|opinions?|sentiment)\b/, 1], [/\b(patients?|caregivers?) (think|describe)\b/, 1],
+    ],
+  },
+];
+
+export const OVERVIEW = { id: "overview", label: "Overview", layout: ["snapshot", "trend", "drivers", "quotes", "reports"] };
+
+const WAVE_OR_YEAR = /\b(w\d+|wave \d+|20\d{2})\b/g;
+
+// Ties are broken by this order, not by position in INTENTS.
+// On equal scores the more specific question wins: change over time first ("How has share changed since
+// 2023?", "2023 vs 2024 share" are trends), then why, then who, and the plain share / size question last
+const TIE_ORDER = ["trend", "drivers", "segment", "message", "qualitative", "share"];
+
+/**
+ * → { id, label, layout, confidence (0..1, share of the cue weight the winner holds), scores, matched }
+ * "W2 vs W3" and "2023 vs 2024" compare timepoints, so they count toward trend rather than segment.
+ */
+export function classifyIntent(query) {
+  const q = String(query || "").toLowerCase();
+  const scores = {};
+  const matched = {};
+  INTENTS.forEach((intent) => {
+    scores[intent.id] = 0;
+    intent.cues.forEach(([re, weight]) => {
+      const m = q.match(re);
+      if (!m) return;
+      scores[intent.id] += weight;
+      (matched[intent.id] = matched[intent.id] || []).push(m[0].trim());
+    });
+  });
+  const timepoints = q.match(WAVE_OR_YEAR) || [];
+  if (timepoints.length >= 2) {
+    scores.trend += 2;
+    (matched.trend = matched.trend || []).push(timepoints.join(" / "));
+    if (scores.segment) scores.segment = Math.max(0, scores.segment - 1);
+  }
+
+  const total = Object.values(scores).reduce((s, v) => s + v, 0);
+  const rank = (intent) => TIE_ORDER.indexOf(intent.id);
+  const best = INTENTS.reduce((a, b) => (scores[b.id] > scores[a.id] || (scores[b.id] === scores[a.id] && rank(b) < rank(a)) ? b : a));
+  const chosen = scores[best.id] > 0 ? best : OVERVIEW;
+  return {
+    id: chosen.id,
+    label: chosen.label,
+    layout: chosen.layout,
+    confidence: total ? Number((scores[best.id] / total).toFixed(2)) : 0,
+    scores,
+    matched: matched[chosen.id] || [],
+  };
+}
@@ -0,0 +1,181 @@
+// keyword_index.js — Local BM25 keyword index over the same page chunks as the vector store
+// Catches what embeddings miss: wave labels ("W3"), product codes, question numbers ("Q12a"), acronyms.
+//  • One JSON file per namespace: { docs: { <vectorId>: metadata } } (metadata.text is what gets indexed)
+//  • Postings are rebuilt in memory when a namespace is loaded or changed
+//  • search() accepts the same metadata filters as vector_store.js
+//  • fuseRankings() merges ranked lists with reciprocal-rank fusion
+
+import fs from "node:fs";
+import path from "node:path";
+import { matchesFilter } from "./vector_store.js";
+
+const STOPWORDS = new Set(("a an and are as at be by for from has have how in is it its of on or that the their this to was "
+  + "were what when where which who why with do does did vs versus among between").split(" "));
+
+/** Lowercased terms; short tokens survive when they carry digits (w3, q12a, 2024) */
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[’']/g, "")
+    .split(/[^a-z0-9%]+/)
+    .filter((t) => t && !STOPWORDS.has(t) && (t.length > 1 || /\d/.test(t)));
+}
+
+function buildPostings(docs) {
+  const postings = new Map(); // term → Map(id → tf)
+  const lengths = new Map();
+  let total = 0;
+  for (const [id, md] of docs) {
+    const terms = tokenize(`${md.fileName || ""} ${md.text || ""}`);
+    lengths.set(id, terms.length);
+    total += terms.length;
+    const tf = new Map();
+    terms.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+    tf.forEach((n, t) => {
+      if (!postings.has(t)) postings.set(t, new Map());
+      postings.get(t).set(id, n);
+    });
+  }
+  return { postings, lengths, avgLength: docs.size ? total / docs.size : 0 };
+}
+
+/**
+ * opts = { dir, k1 = 1.2, b = 0.75 }
+ */
+export function createKeywordIndex(opts = {}) {
+  const dir = opts.dir;
+  const k1 = Number(opts.k1) || 1.2;
+  const b = Number.isFinite(Number(opts.b)) ? Number(opts.b) : 0.75;
+  fs.mkdirSync(dir, { recursive: true });
+  const spaces = new Map(); // namespace → { docs: Map, index: null | postings }
+
+  const fileFor = (namespace) => path.join(dir, `${encodeURIComponent(namespace || "__default__")}.json`);
+
+  function load(namespace) {
+    const key = namespace || "";
+    if (spaces.has(key)) return spaces.get(key);
+    const docs = new Map();
+    const file = fileFor(key);
+    if (fs.existsSync(file)) {
+      try {
+        const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+        Object.entries(raw.docs || {}).forEach(([id, md]) => docs.set(id, md));
+      } catch (e) {
+        throw new Error(`Keyword index: failed to read namespace ${key}: ${e.message}`);
+      }
+    }
+    const space = { docs, index: null };
+    spaces.set(key, space);
+    return space;
+  }
+
+  function save(namespace) {
+    const key = namespace || "";
+    const space = load(key);
+    space.index = null;
+    const file = fileFor(key);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ namespace: key, docs: Object.fromEntries(space.docs) }));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return {
+    /** docs = [{ id, metadata }] with metadata.text holding the chunk text */
+    upsert(docs, namespace) {
+      const space = load(namespace);
+      (docs || []).forEach((d) => { if (d && d.id) space.docs.set(String(d.id), d.metadata || {}); });
+      save(namespace);
+    },
+    delete(ids, namespace) {
+      const space = load(namespace);
+      let removed = 0;
+      (ids || []).forEach((id) => { if (space.docs.delete(String(id))) removed++; });
+      if (removed) save(namespace);
+      return removed;
+    },
+    /** Merge fields into the metadata of one id or an array of ids (one write) */
+    updateMetadata(ids, setMetadata, namespace) {
+      const space = load(namespace);
+      let changed = 0;
+      (Array.isArray(ids) ? ids : [ids]).forEach((id) => {
+        const md = space.docs.get(String(id));
+        if (!md) return;
+        space.docs.set(String(id), { ...md, ...(setMetadata || {}) });
+        changed++;
+      });
+      if (changed) save(namespace);
+      return changed;
+    },
+    /** Stored chunk metadata by id (missing ids are skipped) */
+    get(ids, namespace) {
+      const space = load(namespace);
+      return (ids || []).filter((id) => space.docs.has(String(id))).map((id) => ({ id: String(id), metadata: space.docs.get(String(id)) }));
+    },
+    has(id, namespace) {
+      return load(namespace).docs.has(String(id));
+    },
+    /**
+     * BM25 top-K → [{ id, score, coverage, metadata }]
+     * coverage = share of the query's distinct terms found in the chunk (0..1); unlike the BM25 score it
+     * doesn't depend on the corpus, so it can be held to a fixed floor.
+     */
+    search(query, { namespace, topK = 20, filter } = {}) {
+      const space = load(namespace);
+      if (!space.docs.size) return [];
+      if (!space.index) space.index = buildPostings(space.docs);
+      const { postings, lengths, avgLength } = space.index;
+      const N = space.docs.size;
+      const scores = new Map();
+      const matchedTerms = new Map();
+      const terms = [...new Set(tokenize(query))];
+      terms.forEach((term) => {
+        const list = postings.get(term);
+        if (!list) return;
+        const idf = Math.log(1 + (N - list.size + 0.5) / (list.size + 0.5));
+        list.forEach((tf, id) => {
+          const len = lengths.get(id) || 0;
+          const s = idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * (avgLength ? len / avgLength : 0)));
+          scores.set(id, (scores.get(id) || 0) + s);
+          matchedTerms.set(id, (matchedTerms.get(id) || 0) + 1);
+        });
+      });
+      const out = [];
+      scores.forEach((score, id) => {
+        const metadata = space.docs.get(id);
+        if (filter && !matchesFilter(metadata, filter)) return;
+        out.push({ id, score, coverage: matchedTerms.get(id) / terms.length, metadata });
+      });
+      return out.sort((a, b2) => b2.score - a.score).slice(0, Number(topK) || 20);
+    },
+    stats(namespace) {
+      return { namespace: namespace || "", docCount: load(namespace).docs.size };
+    },
+  };
+}
+
+/**
+ * Reciprocal-rank fusion. lists = { vector: [{ id, score, metadata }], keyword: [{ id, score, coverage, metadata }] }.
+ * Fused scores are normalised to 0..1 (1 = ranked first by every retriever that returned results).
+ * They only order the results: a rank says nothing about relevance (the 50th hit of one retriever still
+ * scores ~0.28), so relevance gates must use each retriever's own evidence (scores.vector, coverage).
+ * → [{ id, score, metadata, retrievers: ["vector", "keyword"], scores: { vector, keyword }, coverage, ranks: {...} }]
+ */
+export function fuseRankings(lists, { k = 60 } = {}) {
+  const active = Object.entries(lists).filter(([, l]) => Array.isArray(l) && l.length);
+  const best = active.length / (k + 1);
+  const fused = new Map();
+  active.forEach(([name, list]) => {
+    list.forEach((m, i) => {
+      const entry = fused.get(m.id) || { id: m.id, raw: 0, metadata: m.metadata, retrievers: [], scores: {}, ranks: {} };
+      entry.raw += 1 / (k + i + 1);
+      entry.retrievers.push(name);
+      entry.scores[name] = m.score;
+      entry.ranks[name] = i + 1;
+      if (m.coverage != null) entry.coverage = m.coverage;
+      if (!entry.metadata || (name === "vector" && m.metadata)) entry.metadata = m.metadata;
+      fused.set(m.id, entry);
+    });
+  });
+  return [...fused.values()]
+    .map(({ raw, ...e }) => ({ ...e, score: best ? raw / best : 0 }))
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,196 @@
+// llm_providers.js — Chat / embedding providers and per-call-site routing
+// A provider exposes:
+//   chat({ model, messages, temperature, maxTokens, json, onDelta }) → { content, usage }
+//     (onDelta(text) receives the reply piece by piece as it is generated, when given)
+//   embed({ model, input: string[] })                      → number[][]
+//  • "openai"  : any OpenAI-compatible HTTP endpoint (set baseURL for a self-hosted server)
+//  • "fixture" : deterministic offline stand-in — hashed bag-of-words embeddings and canned
+//                chat replies (optionally matched from a fixtures file), for tests and air-gapped runs
+// The router resolves model / temperature / max tokens per call site ("answer", "themeAssign", ...)
+// and lets a library (client folder id) use a different provider or model — e.g. a self-hosted model
+// for libraries compliance wants kept off the public API.
+
+import fs from "node:fs";
+import crypto from "node:crypto";
+import OpenAI from "openai";
+
+// ---------------------------------------------------------------------------
+// Backends
+// ---------------------------------------------------------------------------
+function createOpenAIProvider(name, cfg) {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      const apiKey = cfg.apiKey || (cfg.apiKeyEnv ? process.env[cfg.apiKeyEnv] : undefined);
+      // Self-hosted servers often ignore the key, but the SDK insists on one
+      client = new OpenAI({ apiKey: apiKey || (cfg.baseURL ? "not-needed" : undefined), ...(cfg.baseURL ? { baseURL: cfg.baseURL } : {}) });
+    }
+    return client;
+  };
+
+  return {
+    name,
+    type: "openai",
+    async chat({ model, messages, temperature, maxTokens, json, onDelta }) {
+      const body = {
+        model,
+        messages,
+        ...(temperature != null ? { temperature } : {}),
+        ...(maxTokens != null ? { max_tokens: maxTokens } : {}),
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+      };
+      if (typeof onDelta === "function") {
+        const stream = await getClient().chat.completions.create({ ...body, stream: true });
+        let content = "";
+        for await (const part of stream) {
+          const delta = part.choices?.[0]?.delta?.content || "";
+          if (!delta) continue;
+          content += delta;
+          onDelta(delta);
+        }
+        return { content, usage: null };
+      }
+      const cmp = await getClient().chat.completions.create(body);
+      return { content: cmp.choices[0]?.message?.content || "", usage: cmp.usage || null };
+    },
+    async embed({ model, input }) {
+      const r = await getClient().embeddings.create({ model, input });
+      return r.data.map((d) => d.embedding);
+    },
+  };
+}
+
+const tokenize = (s) => String(s || "").toLowerCase().split(/[^a-z0-9%]+/).filter(Boolean);
+
+/** Deterministic embedding: hashed bag of words (plus bigrams), L2-normalised */
+export function hashEmbedding(text, dimensions = 256) {
+  const v = new Array(dimensions).fill(0);
+  const words = tokenize(text);
+  const feats = [...words, ...words.slice(1).map((w, i) => `${words[i]}_${w}`)];
+  feats.forEach((f) => {
+    const h = crypto.createHash("md5").update(f).digest();
+    const idx = h.readUInt32LE(0) % dimensions;
+    v[idx] += h[4] & 1 ? 1 : -1;
+  });
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map((x) => x / norm);
+}
+
+function createFixtureProvider(name, cfg) {
+  let rules = Array.isArray(cfg.fixtures) ? cfg.fixtures : [];
+  if (cfg.fixturesPath && fs.existsSync(cfg.fixturesPath)) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(cfg.fixturesPath, "utf8"));
+      rules = rules.concat(Array.isArray(raw) ? raw : raw.fixtures || []);
+    } catch (e) {
+      throw new Error(`Fixture provider: cannot read ${cfg.fixturesPath}: ${e.message}`);
+    }
+  }
+  const compiled = rules.map((r) => ({ ...r, re: new RegExp(r.match, "i") }));
+  const dimensions = Number(cfg.dimensions) || 256;
+
+  return {
+    name,
+    type: "fixture",
+    async chat({ messages, json, onDelta }) {
+      const prompt = (messages || []).map((m) => (typeof m.content === "string" ? m.content : JSON.stringify(m.content))).join("\n");
+      const hit = compiled.find((r) => r.re.test(prompt) && (r.json == null || !!r.json === !!json));
+      let content;
+      if (hit) content = typeof hit.response === "string" ? hit.response : JSON.stringify(hit.response);
+      else if (json) content = "{}";
+      else content = `HEADLINE: Fixture answer ${crypto.createHash("sha1").update(prompt).digest("hex").slice(0, 8)}\nDETAILS: Generated offline by the fixture provider [1].`;
+      // Replay word by word so streaming callers see the same shape as a live model
+      if (typeof onDelta === "function") content.split(/(?<=\s)/).forEach((piece) => onDelta(piece));
+      return { content, usage: null };
+    },
+    async embed({ input }) {
+      return (input || []).map((t) => hashEmbedding(t, dimensions));
+    },
+  };
+}
+
+export function createProvider(name, cfg = {}) {
+  const type = String(cfg.type || "openai").toLowerCase();
+  if (type === "openai") return createOpenAIProvider(name, cfg);
+  if (type === "fixture") return createFixtureProvider(name, cfg);
+  throw new Error(`Unknown LLM provider type "${type}" for ${name}`);
+}
+
+// ---------------------------------------------------------------------------
+// Routing
+// ---------------------------------------------------------------------------
+
+/**
+ * routes = {
+ *   defaultProvider: "openai",
+ *   providers: { openai: { type, baseURL, apiKey | apiKeyEnv, callSites: { answer: { model } } }, ... },
+ *   callSites: { answer: { model, temperature, maxTokens }, embedding: { model }, ... },
+ *   libraries: { <clientId>: { provider, callSites: { answer: { model } } } }
+ * }
+ */
+export function createLlmRouter(routes = {}) {
+  const providers = {};
+  Object.entries(routes.providers || {}).forEach(([name, cfg]) => { providers[name] = createProvider(name, cfg); });
+  const defaultProvider = routes.defaultProvider || Object.keys(providers)[0];
+  if (!providers[defaultProvider]) throw new Error(`LLM default provider "${defaultProvider}" is not configured`);
+
+  /** Effective { provider, model, temperature, maxTokens } for a call site and library */
+  function resolve(site, clientId) {
+    const lib = (clientId && (routes.libraries || {})[clientId]) || {};
+    const providerName = (lib.callSites?.[site]?.provider) || lib.provider || routes.callSites?.[site]?.provider || defaultProvider;
+    const provider = providers[providerName];
+    if (!provider) throw new Error(`LLM provider "${providerName}" (call site ${site}) is not configured`);
+    // Model settings: global call site < provider's own call site settings < library call site
+    const settings = {
+      ...(routes.callSites?.[site] || {}),
+      ...((routes.providers || {})[providerName]?.callSites?.[site] || {}),
+      ...(lib.callSites?.[site] || {}),
+    };
+    delete settings.provider;
+    return { provider, ...settings };
+  }
+
+  return {
+    resolve,
+    providers,
+    async chat(site, { messages, json = false, clientId, onDelta, ...overrides } = {}) {
+      const r = resolve(site, clientId);
+      return r.provider.chat({
+        model: overrides.model || r.model,
+        temperature: overrides.temperature ?? r.temperature,
+        maxTokens: overrides.maxTokens ?? r.maxTokens,
+        messages,
+        json,
+        onDelta,
+      });
+    },
+    async embed(texts, { clientId, site = "embedding" } = {}) {
+      const r = resolve(site, clientId);
+      return r.provider.embed({ model: r.model, input: texts });
+    },
+    /** Handle bound to one library so helpers don't need to thread clientId */
+    forLibrary(clientId) {
+      return {
+        clientId,
+        chat: (site, opts = {}) => this.chat(site, { ...opts, clientId }),
+        embed: (texts, opts = {}) => this.embed(texts, { ...opts, clientId }),
+      };
+    },
+  };
+}
+
+/** Merge an optional routes file over defaults (the file wins, key by key) */
+export function loadLlmRoutes(defaults, filePath) {
+  let fileRoutes = {};
+  try {
+    if (filePath && fs.existsSync(filePath)) fileRoutes = JSON.parse(fs.readFileSync(filePath, "utf8")) || {};
+  } catch (e) {
+    throw new Error(`Invalid LLM routes file ${filePath}: ${e.message}`);
+  }
+  const merged = { ...defaults, ...fileRoutes };
+  merged.providers = { ...(defaults.providers || {}), ...(fileRoutes.providers || {}) };
+  merged.callSites = { ...(defaults.callSites || {}) };
+  Object.entries(fileRoutes.callSites || {}).forEach(([site, v]) => { merged.callSites[site] = { ...(merged.callSites[site] || {}), ...v }; });
+  merged.libraries = { ...(fileRoutes.libraries || {}) };
+  return merged;
+}
@@ -99,13 +99,15 @@ const els = {
   modal: document.querySelector("#confirmModal"),
   confirmBtn: document.querySelector("#confirmDelete"),
   cancelBtn: document.querySelector("#cancelDelete"),
-  confirmText: document.querySelector("#confirmText")
+  confirmText: document.querySelector("#confirmText"),
+  syncJobs: document.querySelector("#syncJobs")
 };
 
 // -------- Init
 (async function init(){
   try{
-    await Promise.all([loadStats(), loadLibraries(), loadAdmins(), loadClients()]);
+    await Promise.all([loadStats(), loadLibraries(), loadAdmins(), loadClients(), loadSyncJobs()]);
+    watchSyncJobs();
     console.log("✅ admin ready");
   }catch(e){
     console.error("admin init failed", e);
@@ -159,6 +161,7 @@ async function loadLibraries(){
       <div style="display:flex;gap:24px;flex-wrap:wrap;align-items:center;">
         <div>Google Drive files: <strong>${totalFiles}</strong></div>
         <div>Processed: <strong>${processedFiles}</strong></div>
+        <div>Vectors: <strong>${st.vectorCount ?? "—"}</strong>${st.vectorStore ? ` <span class="muted">(${escapeHtml(st.vectorStore)})</span>` : ""}</div>
         <div>Last synced: <strong>${fmtDate(lastSynced)}</strong></div>
       </div>
       <div style="margin-top:8px;border-top:1px dashed #e5e7eb;padding-top:8px;">
@@ -181,29 +184,40 @@ async function loadLibraries(){
         <button onclick="manualSync()" style="background:#ff7a00;color:white;border:none;padding:6px 12px;border-radius:6px;font-size:12px;cursor:pointer;">
           🔄 Sync Google Drive
         </button>
-      </div>`;
+        <button onclick="fullRescan()" style="background:#fff;color:#ff7a00;border:1px solid #ff7a00;padding:6px 12px;border-radius:6px;font-size:12px;cursor:pointer;margin-left:6px;">
+          🗂️ Full rescan
+        </button>
+        <button onclick="toggleLibraryFiles()" style="background:#fff;color:#374151;border:1px solid #e5e7eb;padding:6px 12px;border-radius:6px;font-size:12px;cursor:pointer;margin-left:6px;">
+          ⚠️ Failed &amp; unprocessed files
+        </button>
+        <button onclick="toggleTaxonomy()" style="background:#fff;color:#374151;border:1px solid #e5e7eb;padding:6px 12px;border-radius:6px;font-size:12px;cursor:pointer;margin-left:6px;">
+          🏷️ Product taxonomy
+        </button>
+      </div>
+      <div id="libraryFiles" style="display:none;margin-top:12px;"></div>
+      <div id="libraryTaxonomy" style="display:none;margin-top:12px;"></div>`;
   });
   
   if (els.libraryStats) els.libraryStats.innerHTML = `<span class="muted">Select a library to view stats.</span>`;
 }
 
-// Manual sync function
+// Manual sync function: queues a background job; progress shows up in the Sync Jobs panel
 async function manualSync() {
   const button = event.target;
   const originalText = button.innerHTML;
-  button.innerHTML = '🔄 Syncing...';
+  button.innerHTML = '🔄 Queuing...';
   button.disabled = true;
   
   try {
-    const result = await j("/admin/manual-sync", {}, { method: 'POST' });
+    const clientId = els.librarySelect && els.librarySelect.value;
+    const result = await j("/admin/manual-sync", {}, {
+      method: 'POST',
+      headers: { 'Accept':'application/json', 'Content-Type':'application/json' },
+      body: JSON.stringify(clientId ? { clientId } : {})
+    });
     if (result.success) {
-      alert('✅ Google Drive sync completed successfully!');
-      // Refresh the current library stats
-      if (els.librarySelect.value) {
-        els.librarySelect.dispatchEvent(new Event('change'));
-      }
-      // Refresh stats
-      await loadStats();
+      (result.jobs || []).forEach(upsertJob);
+      renderSyncJobs();
     } else {
       alert('❌ Sync failed: ' + (result.details || 'Unknown error'));
     }
@@ -215,8 +229,276 @@ async function manualSync() {
   }
 }
 
+// Full rescan: walks every folder of the selected library instead of applying Drive changes
+async function fullRescan() {
+  const button = event.target;
+  const clientId = els.librarySelect && els.librarySelect.value;
+  if (!clientId) return;
+  if (!confirm('Run a full rescan of this library? Large libraries can take several minutes.')) return;
+  const originalText = button.innerHTML;
+  button.innerHTML = '🗂️ Queuing...';
+  button.disabled = true;
+  
+  try {
+    const result = await j("/admin/full-rescan", {}, {
+      method: 'POST',
+      headers: { 'Accept':'application/json', 'Content-Type':'application/json' },
+      body: JSON.stringify({ clientId })
+    });
+    if (result.success) {
+      (result.jobs || []).forEach(upsertJob);
+      renderSyncJobs();
+    } else {
+      alert('❌ Rescan failed: ' + (result.details || 'Unknown error'));
+    }
+  } catch (error) {
+    alert('❌ Rescan failed: ' + error.message);
+  } finally {
+    button.innerHTML = originalText;
+    button.disabled = false;
+  }
+}
+
+// -------- Sync jobs (live over Server-Sent Events)
+const syncJobState = { jobs: new Map(), recentFiles: new Map() };
+
+function upsertJob(job){
+  if (!job || !job.id) return;
+  syncJobState.jobs.set(job.id, { ...(syncJobState.jobs.get(job.id) || {}), ...job });
+}
+
+async function loadSyncJobs(){
+  const data = await j("/admin/sync-status", { current: [], recent: [] });
+  [...(data.recent || []), ...(data.current || [])].forEach(upsertJob);
+  renderSyncJobs();
+}
+
+function watchSyncJobs(){
+  if (!window.EventSource || !els.syncJobs) return;
+  const es = new EventSource("/admin/sync-jobs/stream", { withCredentials: true });
+  const onJob = (e) => {
+    try{
+      const evt = JSON.parse(e.data);
+      upsertJob(evt.job);
+      if (evt.file && evt.job){
+        const files = syncJobState.recentFiles.get(evt.job.id) || [];
+        files.unshift(evt.file);
+        syncJobState.recentFiles.set(evt.job.id, files.slice(0, 5));
+      }
+      renderSyncJobs();
+      if ((evt.type === "completed" || evt.type === "failed") && els.librarySelect && els.librarySelect.value === evt.job.clientId){
+        const box = document.querySelector("#libraryFiles");
+        if (box && box.style.display === "block") loadLibraryFiles();
+        else els.librarySelect.dispatchEvent(new Event('change'));
+      }
+    }catch(err){ console.warn("bad sync event", err); }
+  };
+  es.addEventListener("snapshot", (e) => {
+    try{ (JSON.parse(e.data).jobs || []).forEach(upsertJob); renderSyncJobs(); }catch{}
+  });
+  ["queued","started","update","file","log","completed","failed"].forEach(t => es.addEventListener(t, onJob));
+  es.onerror = () => console.warn("sync job stream interrupted; the browser will reconnect");
+}
+
+function renderSyncJobs(){
+  if (!els.syncJobs) return;
+  const jobs = [...syncJobState.jobs.values()]
+    .sort((a,b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+    .slice(0, 10);
+  if (!jobs.length){
+    els.syncJobs.innerHTML = `<span class="muted">No sync jobs yet.</span>`;
+    return;
+  }
+  const colors = { queued:"#6b7280", running:"#ff7a00", completed:"#16a34a", failed:"#dc2626", interrupted:"#b45309" };
+  els.syncJobs.innerHTML = jobs.map(job => {
+    const c = job.counts || {};
+    const done = (c.embedded || 0) + (c.failed || 0) + (c.skipped || 0) + (c.renamed || 0);
+    const pct = c.listed ? Math.min(100, Math.round(done / c.listed * 100)) : 0;
+    const files = (syncJobState.recentFiles.get(job.id) || [])
+      .map(f => `<div class="muted" style="font-size:12px;">${escapeHtml(f.stage)} · ${escapeHtml(f.name)}${f.error ? ` — ${escapeHtml(f.error)}` : ""}</div>`)
+      .join("");
+    return `
+      <div style="border-bottom:1px solid #f3f4f6;padding:8px 0;">
+        <div style="display:flex;gap:12px;flex-wrap:wrap;align-items:center;">
+          <strong>${escapeHtml(job.clientName || job.clientId)}</strong>
+          <span style="color:${colors[job.status] || "#6b7280"};font-weight:600;">${escapeHtml(job.status)}</span>
+          <span class="muted">${escapeHtml(job.mode)} · ${escapeHtml(job.trigger || "")}</span>
+          <span class="muted">${fmtDate(job.startedAt || job.createdAt)}</span>
+        </div>
+        <div style="font-size:12px;margin-top:4px;">
+          listed ${c.listed || 0} · extracted ${c.extracted || 0} · embedded ${c.embedded || 0} · unchanged ${c.skipped || 0} · failed ${c.failed || 0} · deleted ${c.deleted || 0}
+        </div>
+        ${job.status === "running" ? `<div style="height:6px;background:#f3f4f6;border-radius:4px;margin-top:6px;max-width:640px;"><div style="height:6px;width:${pct}%;background:#ff7a00;border-radius:4px;"></div></div>` : ""}
+        ${job.status === "running" ? files : ""}
+        ${job.error ? `<div style="color:#dc2626;font-size:12px;">${escapeHtml(job.error)}</div>` : ""}
+      </div>`;
+  }).join("");
+}
+
+// -------- Failed / unprocessed files with per-file reindex
+async function toggleLibraryFiles(){
+  const box = document.querySelector("#libraryFiles");
+  if (!box) return;
+  if (box.style.display === "block"){ box.style.display = "none"; return; }
+  box.style.display = "block";
+  await loadLibraryFiles();
+}
+
+async function loadLibraryFiles(){
+  const box = document.querySelector("#libraryFiles");
+  const clientId = els.librarySelect && els.librarySelect.value;
+  if (!box || !clientId) return;
+  box.innerHTML = `<span class="muted">Loading files...</span>`;
+  const data = await j(`/admin/library-files?clientId=${encodeURIComponent(clientId)}&status=problems`, { files: [], counts: {} });
+  const files = data.files || [];
+  const counts = data.counts || {};
+  if (!files.length){
+    box.innerHTML = `<span class="muted">No failed or unprocessed files (${counts.total ?? 0} files in library).</span>`;
+    return;
+  }
+  box.innerHTML = `
+    <div style="display:flex;gap:12px;align-items:center;margin-bottom:6px;">
+      <span>Failed: <strong>${counts.failed ?? 0}</strong></span>
+      <span>Unprocessed: <strong>${counts.unprocessed ?? 0}</strong></span>
+      <label style="font-size:12px;"><input type="checkbox" data-role="all"> Select all</label>
+      <button data-role="reindex" style="background:#ff7a00;color:white;border:none;padding:4px 10px;border-radius:6px;font-size:12px;cursor:pointer;">🔁 Reindex selected</button>
+    </div>
+    <div style="max-height:320px;overflow:auto;border-top:1px solid #f3f4f6;">
+      ${files.map(f => `
+        <div style="display:flex;gap:8px;align-items:flex-start;padding:6px 0;border-bottom:1px solid #f3f4f6;">
+          <input type="checkbox" data-file="${escapeHtml(f.id)}" style="margin-top:3px;">
+          <div style="flex:1;min-width:0;">
+            <div style="color:#111827;">${escapeHtml(f.name)}</div>
+            <div class="muted" style="font-size:12px;">
+              ${escapeHtml(f.folderPath || "/")} · ${f.processed ? "processed" : "not processed"} · attempts ${f.attempts || 0}
+              ${f.extractor ? ` · ${escapeHtml(f.extractor)}` : ""}${f.pageCount != null ? ` · ${f.pageCount} pages` : ""}${f.chunkCount != null ? ` · ${f.chunkCount} chunks` : ""}
+            </div>
+            ${f.lastError ? `<div style="color:#dc2626;font-size:12px;">${escapeHtml(f.lastError)} (${fmtDate(f.lastErrorAt)})</div>` : ""}
+          </div>
+          <button data-one="${escapeHtml(f.id)}" style="background:#fff;border:1px solid #e5e7eb;padding:2px 8px;border-radius:6px;font-size:12px;cursor:pointer;">Reindex</button>
+        </div>`).join("")}
+    </div>`;
+
+  box.querySelector("[data-role='all']").addEventListener("change", (e) => {
+    box.querySelectorAll("[data-file]").forEach(cb => { cb.checked = e.target.checked; });
+  });
+  box.querySelector("[data-role='reindex']").addEventListener("click", () => {
+    const ids = [...box.querySelectorAll("[data-file]:checked")].map(cb => cb.getAttribute("data-file"));
+    if (!ids.length){ alert("Select at least one file."); return; }
+    reindexFiles(clientId, ids);
+  });
+  box.querySelectorAll("[data-one]").forEach(btn => {
+    btn.addEventListener("click", () => reindexFiles(clientId, [btn.getAttribute("data-one")]));
+  });
+}
+
+async function reindexFiles(clientId, fileIds){
+  const result = await j("/admin/reindex", {}, {
+    method: 'POST',
+    headers: { 'Accept':'application/json', 'Content-Type':'application/json' },
+    body: JSON.stringify({ clientId, fileIds })
+  });
+  if (result.success){
+    (result.jobs || []).forEach(upsertJob);
+    renderSyncJobs();
+  } else {
+    alert('❌ Reindex failed: ' + (result.details || 'Unknown error'));
+  }
+}
+
+// -------- Product taxonomy editor (brands, generics, aliases, competitor groups, colours)
+async function toggleTaxonomy(){
+  const box = document.querySelector("#libraryTaxonomy");
+  if (!box) return;
+  if (box.style.display === "block"){ box.style.display = "none"; return; }
+  box.style.display = "block";
+  await loadTaxonomy();
+}
+
+function taxonomyRow(p = {}){
+  return `
+    <tr data-product>
+      <td><input data-k="name" value="${escapeHtml(p.name)}" placeholder="Brand" style="width:100%;"></td>
+      <td><input data-k="generic" value="${escapeHtml(p.generic)}" placeholder="Generic name" style="width:100%;"></td>
+      <td><input data-k="aliases" value="${escapeHtml((p.aliases || []).join(", "))}" placeholder="Comma-separated" style="width:100%;"></td>
+      <td><input data-k="group" value="${escapeHtml(p.group)}" placeholder="e.g. Competitors" style="width:100%;"></td>
+      <td><input data-k="color" type="color" value="${escapeHtml(p.color || "#6b7280")}"></td>
+      <td><button data-remove style="background:#fff;border:1px solid #e5e7eb;padding:2px 8px;border-radius:6px;font-size:12px;cursor:pointer;">✕</button></td>
+    </tr>`;
+}
+
+async function loadTaxonomy(){
+  const box = document.querySelector("#libraryTaxonomy");
+  const clientId = els.librarySelect && els.librarySelect.value;
+  if (!box || !clientId) return;
+  box.innerHTML = `<span class="muted">Loading taxonomy...</span>`;
+  const data = await j(`/admin/taxonomy?clientId=${encodeURIComponent(clientId)}`, null);
+  if (!data){
+    box.innerHTML = `<span style="color:#dc2626;">Could not load the taxonomy.</span>`;
+    return;
+  }
+  const t = data.taxonomy || { products: [] };
+  box.innerHTML = `
+    <div style="display:flex;gap:12px;align-items:center;margin-bottom:6px;">
+      <label style="font-size:12px;">Name <input data-role="name" value="${escapeHtml(t.name)}" placeholder="Therapy area"></label>
+      <span class="muted" style="font-size:12px;">${data.custom ? "Custom taxonomy for this library" : "Using the default taxonomy"}</span>
+    </div>
+    <table style="width:100%;border-collapse:collapse;font-size:13px;">
+      <thead><tr class="muted" style="text-align:left;font-size:12px;">
+        <th>Product</th><th>Generic</th><th>Aliases</th><th>Group</th><th>Colour</th><th></th>
+      </tr></thead>
+      <tbody>${(t.products || []).map(taxonomyRow).join("")}</tbody>
+    </table>
+    <div style="margin-top:8px;display:flex;gap:6px;align-items:center;">
+      <button data-role="add" style="background:#fff;border:1px solid #e5e7eb;padding:4px 10px;border-radius:6px;font-size:12px;cursor:pointer;">＋ Add product</button>
+      <button data-role="save" style="background:#ff7a00;color:white;border:none;padding:4px 10px;border-radius:6px;font-size:12px;cursor:pointer;">💾 Save</button>
+      ${data.custom ? `<button data-role="reset" style="background:#fff;color:#374151;border:1px solid #e5e7eb;padding:4px 10px;border-radius:6px;font-size:12px;cursor:pointer;">Use default</button>` : ""}
+      <span data-role="status" class="muted" style="font-size:12px;"></span>
+    </div>`;
+
+  const tbody = box.querySelector("tbody");
+  const status = box.querySelector("[data-role='status']");
+  tbody.addEventListener("click", (e) => {
+    if (e.target.matches("[data-remove]")) e.target.closest("tr").remove();
+  });
+  box.querySelector("[data-role='add']").addEventListener("click", () => {
+    tbody.insertAdjacentHTML("beforeend", taxonomyRow());
+  });
+  box.querySelector("[data-role='save']").addEventListener("click", async () => {
+    const products = [...tbody.querySelectorAll("[data-product]")].map(tr => {
+      const get = (k) => tr.querySelector(`[data-k='${k}']`).value.trim();
+      return { name: get("name"), generic: get("generic"), aliases: get("aliases").split(",").map(a => a.trim()).filter(Boolean), group: get("group"), color: get("color") };
+    }).filter(p => p.name || p.generic || p.aliases.length);
+    status.textContent = "Saving...";
+    const res = await fetch("/admin/taxonomy", {
+      method: "PUT",
+      credentials: "include",
+      headers: { "Accept": "application/json", "Content-Type": "application/json" },
+      body: JSON.stringify({ clientId, taxonomy: { name: box.querySelector("[data-role='name']").value.trim(), products } })
+    }).catch(() => null);
+    const body = res ? await res.json().catch(() => ({})) : {};
+    if (res && res.ok && body.success){
+      await loadTaxonomy();
+      const s = document.querySelector("#libraryTaxonomy [data-role='status']");
+      if (s) s.textContent = "✅ Saved";
+    } else {
+      status.textContent = "";
+      alert("❌ Could not save the taxonomy: " + (body.error || "Unknown error"));
+    }
+  });
+  const reset = box.querySelector("[data-role='reset']");
+  if (reset) reset.addEventListener("click", async () => {
+    if (!confirm("Drop this library's taxonomy and use the default?")) return;
+    await j(`/admin/taxonomy?clientId=${encodeURIComponent(clientId)}`, {}, { method: "DELETE" });
+    await loadTaxonomy();
+  });
+}
+
 // Make manualSync globally available
 window.manualSync = manualSync;
+window.fullRescan = fullRescan;
+window.toggleLibraryFiles = toggleLibraryFiles;
+window.toggleTaxonomy = toggleTaxonomy;
 
 async function loadAdmins(){
   console.log('Loading admin accounts...');
@@ -174,7 +174,9 @@ async function initializeApp() {
     updateUserDisplay();
     await loadClientLibraries();
     await loadFilters();
+    loadTaxonomyColors();
     setupEventListeners();
+    ensureThreadControls();
     
     console.log('✅ App initialized successfully');
     
@@ -334,6 +336,19 @@ async function loadFilters() {
   }
 }
 
+// Brand colours of the active library's product taxonomy, for both chart colour systems
+async function loadTaxonomyColors() {
+  try {
+    const response = await fetch(`/api/taxonomy${currentClient ? `?clientId=${encodeURIComponent(currentClient)}` : ''}`);
+    if (!response.ok) return;
+    const { data } = await response.json();
+    window.productColorMap = data.colorMap || {};
+    if (window.__chartColorMatcher?.setProductColors) window.__chartColorMatcher.setProductColors(window.productColorMap);
+  } catch (error) {
+    console.warn('⚠️ Failed to load product taxonomy:', error);
+  }
+}
+
 function populateFilterOptions() {
   console.log('🎛️ Populating filter options...');
   
@@ -352,6 +367,8 @@ function populateFilterSection(containerId, options, filterType) {
   if (!container) return;
   
   container.innerHTML = '';
+  const counts = {};
+  ((availableFilters.options || {})[filterType] || []).forEach(o => { counts[o.value] = o.count; });
   
   options.forEach(option => {
     const optionDiv = document.createElement('div');
@@ -374,8 +391,8 @@ function populateFilterSection(containerId, options, filterType) {
     
     const label = document.createElement('label');
     label.htmlFor = checkbox.id;
-    label.textContent = option;
-    label.title = option;
+    label.textContent = counts[option] != null ? `${option} (${counts[option]})` : option;
+    label.title = counts[option] != null ? `${option}: ${counts[option]} documents` : option;
     
     filters[filterType].add(option);
     optionDiv.classList.add('selected');
@@ -386,6 +403,14 @@ function populateFilterSection(containerId, options, filterType) {
   });
 }
 
+// Selected values for a filter group; all (or no) options ticked means "no restriction" (sent as [])
+function activeFilterValues(filterType) {
+  const selected = Array.from(filters[filterType] || []);
+  const available = availableFilters[filterType] || [];
+  const allSelected = available.length > 0 && available.every(opt => filters[filterType].has(opt));
+  return allSelected ? [] : selected;
+}
+
 function setupEventListeners() {
   console.log('🎧 Setting up event listeners...');
   
@@ -488,7 +513,10 @@ function setupEventListeners() {
           
           if (response.ok) {
             currentClient = selectedClientId;
+            // Threads belong to one library
+            if (currentThread && currentThread.clientId !== currentClient) startNewThread();
             await loadFilters();
+            loadTaxonomyColors();
             console.log('✅ Client switch successful');
           } else {
             console.error('❌ Client switch failed:', response.status);
@@ -541,9 +569,7 @@ async function performSearch(refresh = false) {
     return;
   }
 
-  if (!refresh) {
-    clearPreviousResults();
-  }
+  const cleared = refresh ? Promise.resolve() : clearPreviousResults();
 
   const searchBtn = document.getElementById('searchBtn');
   const btnText = searchBtn.querySelector('.btn-text');
@@ -559,9 +585,9 @@ async function performSearch(refresh = false) {
       userQuery: query,
       generateSupport: true,
       filters: {
-        years: Array.from(filters.years),
-        methodology: Array.from(filters.methodology),
-        reports: Array.from(filters.reports)
+        years: activeFilterValues('years'),
+        methodology: activeFilterValues('methodology'),
+        reports: activeFilterValues('reports')
       }
     };
 
@@ -573,9 +599,15 @@ async function performSearch(refresh = false) {
       requestBody.refresh = Date.now();
     }
 
+    // Follow-up in the open conversation
+    if (currentThread) {
+      requestBody.threadId = currentThread.id;
+    }
+
     console.log('📡 Sending search request:', requestBody);
 
-    const response = await fetch('/search', {
+    const streaming = !!(window.ReadableStream && window.TextDecoder);
+    const response = await fetch(streaming ? '/search/stream' : '/search', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -584,15 +616,22 @@ async function performSearch(refresh = false) {
     });
 
     if (!response.ok) {
-      const errorData = await response.json();
+      const errorData = await response.json().catch(() => ({}));
       throw new Error(errorData.error || 'Search failed');
     }
 
-    const results = await response.json();
+    const results = streaming && response.body
+      ? await readSearchStream(response, cleared)
+      : await response.json();
     console.log('✅ Search results received:', results);
     
+    await cleared;
     switchToResultsLayout();
     displayResults(results);
+    lastSearch = { query, historyId: results.historyId || null };
+    onThreadTurn(query, results);
+    refreshNotificationCount();
+    if (currentThread) document.getElementById('searchInput').value = '';
 
   } catch (error) {
     console.error('❌ Search failed:', error);
@@ -605,40 +644,796 @@ async function performSearch(refresh = false) {
   }
 }
 
-// FIXED: Enhanced display results with smart dynamic layout and no duplication
-function displayResults(results) {
-  console.log('📊 Displaying search results:', results);
-  
+// Read the NDJSON search stream, rendering each stage as it arrives; resolves with the final payload
+async function readSearchStream(response, cleared) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let answerText = '';
+  let result = null;
+
+  const handle = async (event) => {
+    switch (event.type) {
+      case 'references':
+        await cleared;
+        switchToResultsLayout();
+        currentReferences = Array.isArray(event.references?.chunks) ? event.references.chunks : [];
+        renderAnswer('Writing the answer…');
+        renderConfidence(null);
+        startStreamingDashboard();
+        removeExistingSections();
+        displayReportSlides();
+        displayReportsReferenced(currentReferences);
+        break;
+      case 'answerDelta':
+        answerText += event.text || '';
+        renderAnswer(answerText);
+        break;
+      case 'answer':
+        answerText = event.answer || answerText;
+        renderAnswer(answerText, event.citationCheck?.claims);
+        renderConfidence(event.confidence);
+        if (event.insufficientEvidence) renderClosestDocuments(event.insufficientEvidence);
+        break;
+      case 'theme':
+        if (event.theme) appendThemeItem(event.theme, event.index || 0);
+        break;
+      case 'dashboard':
+        if (event.dashboard) renderDashboard(event.dashboard);
+        break;
+      case 'done':
+        result = event.result || {};
+        break;
+      case 'error':
+        throw new Error(event.error || 'Search failed');
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (value) buffer += decoder.decode(value, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) await handle(JSON.parse(line));
+    }
+    if (done) break;
+  }
+  if (buffer.trim()) await handle(JSON.parse(buffer));
+  if (!result) throw new Error('Search ended before the results were complete');
+  return result;
+}
+
+// === Search threads ===
+// A thread keeps the questions and answers of one conversation; follow-ups are sent with its id
+// so the server can resolve "and among caregivers?" against the earlier turns.
+let currentThread = null;   // { id, title, clientId, turns: [{ question, answer, references }] }
+
+function escapeThreadText(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Bar under the search box: current conversation, "New conversation" and the saved threads list
+function ensureThreadControls() {
+  if (document.getElementById('threadBar')) return;
+  const anchor = document.querySelector('.search-container');
+  if (!anchor) return;
+  const bar = document.createElement('div');
+  bar.id = 'threadBar';
+  bar.className = 'thread-bar';
+  bar.innerHTML = `
+    <span id="threadTitle" class="thread-bar-title"></span>
+    <button type="button" id="threadRenameBtn" class="toolbar-btn" hidden>Rename</button>
+    <button type="button" id="threadNewBtn" class="toolbar-btn" hidden>New conversation</button>
+    <button type="button" id="threadListBtn" class="toolbar-btn">Conversations ▾</button>
+    <button type="button" id="historyListBtn" class="toolbar-btn">History ▾</button>
+    <button type="button" id="savedSaveBtn" class="toolbar-btn">☆ Save question</button>
+    <button type="button" id="savedListBtn" class="toolbar-btn">Saved ▾</button>
+    <button type="button" id="notificationsBtn" class="toolbar-btn" title="Notifications">🔔</button>
+    <div id="threadList" class="toolbar-dropdown"></div>
+    <div id="historyList" class="toolbar-dropdown"></div>
+    <div id="savedList" class="toolbar-dropdown"></div>
+    <div id="notificationsList" class="toolbar-dropdown align-right"></div>
+  `;
+  anchor.after(bar);
+  document.getElementById('threadNewBtn').addEventListener('click', () => startNewThread());
+  document.getElementById('threadRenameBtn').addEventListener('click', () => currentThread && renameThread(currentThread.id));
+  document.getElementById('savedSaveBtn').addEventListener('click', () => saveCurrentQuestion());
+  // One dropdown open at a time
+  const dropdowns = { threadListBtn: ['threadList', loadThreadList], historyListBtn: ['historyList', loadHistoryList], savedListBtn: ['savedList', loadSavedQuestions], notificationsBtn: ['notificationsList', loadNotifications] };
+  Object.entries(dropdowns).forEach(([buttonId, [listId, load]]) => {
+    document.getElementById(buttonId).addEventListener('click', (e) => {
+      e.stopPropagation();
+      const list = document.getElementById(listId);
+      const open = list.classList.contains('open');
+      Object.values(dropdowns).forEach(([id]) => { document.getElementById(id).classList.remove('open'); });
+      if (!open) load();
+    });
+  });
+  document.addEventListener('click', (e) => {
+    Object.values(dropdowns).forEach(([id]) => {
+      const list = document.getElementById(id);
+      if (list && !list.contains(e.target)) list.classList.remove('open');
+    });
+  });
+  updateThreadBar();
+  refreshNotificationCount();
+}
+
+function updateThreadBar() {
+  const title = document.getElementById('threadTitle');
+  if (!title) return;
+  title.textContent = currentThread ? `Conversation: ${currentThread.title}` : '';
+  document.getElementById('threadRenameBtn').hidden = !currentThread;
+  document.getElementById('threadNewBtn').hidden = !currentThread;
+  const input = document.getElementById('searchInput');
+  if (input) input.placeholder = currentThread ? 'Ask a follow-up question...' : 'Ask a question about your research...';
+}
+
+async function loadThreadList() {
+  const list = document.getElementById('threadList');
+  if (!list) return;
+  list.classList.add('open');
+  list.innerHTML = '<div class="toolbar-dropdown-note">Loading…</div>';
+  try {
+    const response = await fetch(`/api/threads${currentClient ? `?clientId=${encodeURIComponent(currentClient)}` : ''}`);
+    const body = await response.json();
+    const threads = Array.isArray(body.data) ? body.data : [];
+    if (!threads.length) {
+      list.innerHTML = '<div class="toolbar-dropdown-note">No saved conversations yet.</div>';
+      return;
+    }
+    list.innerHTML = threads.map(t => `
+      <div class="toolbar-row thread-row" data-thread-id="${escapeThreadText(t.id)}">
+        <div class="toolbar-row-main">
+          <div class="toolbar-row-title">${escapeThreadText(t.title)}</div>
+          <div class="toolbar-row-meta">${t.turnCount} question${t.turnCount === 1 ? '' : 's'} · ${new Date(t.updatedAt).toLocaleString()}</div>
+        </div>
+        <button type="button" data-action="rename" title="Rename" class="icon-btn">✏️</button>
+        <button type="button" data-action="delete" title="Delete" class="icon-btn">🗑️</button>
+      </div>
+    `).join('');
+    list.querySelectorAll('.thread-row').forEach(row => {
+      const id = row.getAttribute('data-thread-id');
+      row.addEventListener('click', async (e) => {
+        const action = e.target.getAttribute('data-action');
+        e.stopPropagation();
+        if (action === 'rename') await renameThread(id);
+        else if (action === 'delete') await deleteThread(id);
+        else await resumeThread(id);
+        if (action) loadThreadList();
+      });
+    });
+  } catch (error) {
+    console.error('❌ Failed to load conversations:', error);
+    list.innerHTML = '<div class="toolbar-dropdown-note">Could not load conversations.</div>';
+  }
+}
+
+function startNewThread() {
+  currentThread = null;
+  renderThreadConversation();
+  updateThreadBar();
+  clearPreviousResults();
+  const input = document.getElementById('searchInput');
+  if (input) { input.value = ''; input.focus(); }
+}
+
+async function resumeThread(id) {
+  try {
+    const response = await fetch(`/api/threads/${encodeURIComponent(id)}`);
+    if (!response.ok) throw new Error('Conversation not found');
+    const { data } = await response.json();
+    currentThread = data;
+    document.getElementById('threadList').classList.remove('open');
+    await clearPreviousResults();
+    switchToResultsLayout();
+    // The last turn goes in the answer card, earlier turns above it
+    const last = data.turns[data.turns.length - 1];
+    currentReferences = last ? (last.references || []) : [];
+    renderThreadConversation();
+    if (last) renderAnswer(last.answer);
+    updateThreadBar();
+  } catch (error) {
+    console.error('❌ Failed to resume conversation:', error);
+    alert(error.message || 'Could not open that conversation');
+  }
+}
+
+async function renameThread(id) {
+  const current = id === currentThread?.id ? currentThread.title : '';
+  const title = prompt('Rename conversation', current);
+  if (!title || !title.trim()) return;
+  const response = await fetch(`/api/threads/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: title.trim() })
+  });
+  if (response.ok && currentThread && currentThread.id === id) {
+    currentThread.title = (await response.json()).data.title;
+    updateThreadBar();
+  }
+}
+
+async function deleteThread(id) {
+  if (!confirm('Delete this conversation?')) return;
+  await fetch(`/api/threads/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  if (currentThread && currentThread.id === id) startNewThread();
+}
+
+// Record the finished turn locally (the server has saved it) and redraw the conversation
+function onThreadTurn(question, results) {
+  if (!results || !results.thread) return;
+  if (!currentThread || currentThread.id !== results.thread.id) {
+    currentThread = { ...results.thread, turns: [] };
+  } else {
+    currentThread = { ...currentThread, ...results.thread, turns: currentThread.turns };
+  }
+  currentThread.turns.push({ question, answer: results.answer || '', references: currentReferences });
+  renderThreadConversation();
+  updateThreadBar();
+}
+
+// Earlier questions and answers of the conversation, above the answer card
+function renderThreadConversation() {
+  const answerCard = document.getElementById('answerCard');
+  let panel = document.getElementById('threadConversation');
+  const earlier = currentThread ? currentThread.turns.slice(0, -1) : [];
+  if (!earlier.length) {
+    if (panel) panel.remove();
+    return;
+  }
+  if (!panel && answerCard) {
+    panel = document.createElement('div');
+    panel.id = 'threadConversation';
+    panel.className = 'thread-conversation';
+    answerCard.before(panel);
+  }
+  if (!panel) return;
+  panel.innerHTML = earlier.map(t => {
+    const [headline, ...rest] = String(t.answer || '').split('\n');
+    return `
+      <details class="thread-turn">
+        <summary>${escapeThreadText(t.question)}</summary>
+        <div class="thread-turn-headline">${formatRefsToSup(escapeThreadText(headline))}</div>
+        ${rest.length ? `<div class="thread-turn-details">${formatRefsToSup(escapeThreadText(rest.join('\n').trim())).replace(/\n/g, '<br>')}</div>` : ''}
+        ${(t.references || []).length ? `<div class="thread-turn-sources">Sources: ${(t.references || []).map(r => escapeThreadText(`${r.fileName}${r.page ? ` p.${r.page}` : ''}`)).join('; ')}</div>` : ''}
+      </details>
+    `;
+  }).join('');
+}
+
+// === Search history ===
+// Past searches reopen from their stored snapshot; "Re-run" asks the current library again and
+// shows what changed in the answer and which newly ingested documents are behind it.
+async function loadHistoryList() {
+  const list = document.getElementById('historyList');
+  if (!list) return;
+  list.classList.add('open');
+  list.innerHTML = '<div class="toolbar-dropdown-note">Loading…</div>';
+  try {
+    const response = await fetch(`/api/search-history${currentClient ? `?clientId=${encodeURIComponent(currentClient)}` : ''}`);
+    const body = await response.json();
+    const entries = Array.isArray(body.data) ? body.data : [];
+    if (!entries.length) {
+      list.innerHTML = '<div class="toolbar-dropdown-note">No searches yet.</div>';
+      return;
+    }
+    list.innerHTML = entries.map(e => `
+      <div class="toolbar-row history-row" data-history-id="${escapeThreadText(e.id)}">
+        <div class="toolbar-row-title">${escapeThreadText(e.query)}</div>
+        <div class="toolbar-row-meta">${new Date(e.createdAt).toLocaleString()} · ${escapeThreadText(e.headline || '')}</div>
+      </div>
+    `).join('');
+    list.querySelectorAll('.history-row').forEach(row => {
+      row.addEventListener('click', (e) => {
+        e.stopPropagation();
+        list.classList.remove('open');
+        openHistoryEntry(row.getAttribute('data-history-id'));
+      });
+    });
+  } catch (error) {
+    console.error('❌ Failed to load search history:', error);
+    list.innerHTML = '<div class="toolbar-dropdown-note">Could not load history.</div>';
+  }
+}
+
+// Show a stored result exactly as it was returned
+async function openHistoryEntry(id) {
+  try {
+    const response = await fetch(`/api/search-history/${encodeURIComponent(id)}`);
+    if (!response.ok) throw new Error('Search not found');
+    const { data } = await response.json();
+    await clearPreviousResults();
+    currentThread = null;
+    renderThreadConversation();
+    updateThreadBar();
+    document.getElementById('searchInput').value = data.query;
+    lastSearch = { query: data.query, historyId: data.id };
+    switchToResultsLayout();
+    displayResults(data.snapshot || {});
+    if (data.snapshot?.dashboard) renderDashboard(data.snapshot.dashboard);
+    renderHistoryBanner(data);
+  } catch (error) {
+    console.error('❌ Failed to open search:', error);
+    alert(error.message || 'Could not open that search');
+  }
+}
+
+async function rerunHistoryEntry(id) {
+  const button = document.getElementById('historyRerunBtn');
+  if (button) { button.disabled = true; button.textContent = 'Re-running…'; }
+  try {
+    const response = await fetch(`/api/search-history/${encodeURIComponent(id)}/rerun`, { method: 'POST' });
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || 'Re-run failed');
+    const { result, previous, diff } = body.data;
+    await clearPreviousResults();
+    switchToResultsLayout();
+    displayResults(result);
+    if (result.dashboard) renderDashboard(result.dashboard);
+    renderHistoryDiff(previous, diff);
+  } catch (error) {
+    console.error('❌ Re-run failed:', error);
+    alert(error.message || 'Re-run failed');
+    if (button) { button.disabled = false; button.textContent = 'Re-run against current library'; }
+  }
+}
+
+function historyPanel() {
+  let panel = document.getElementById('historyBanner');
+  const answerCard = document.getElementById('answerCard');
+  if (!panel && answerCard) {
+    panel = document.createElement('div');
+    panel.id = 'historyBanner';
+    panel.className = 'history-banner';
+    answerCard.before(panel);
+  }
+  return panel;
+}
+
+function renderHistoryBanner(entry) {
+  const panel = historyPanel();
+  if (!panel) return;
+  const libraryAsOf = entry.manifestLastUpdated ? new Date(entry.manifestLastUpdated).toLocaleString() : 'unknown';
+  panel.innerHTML = `
+    <div class="history-banner-row">
+      <span>Saved result from <strong>${new Date(entry.createdAt).toLocaleString()}</strong> (library as of ${escapeThreadText(libraryAsOf)})</span>
+      <button type="button" id="historyRerunBtn" class="toolbar-btn">Re-run against current library</button>
+    </div>
+  `;
+  document.getElementById('historyRerunBtn').addEventListener('click', () => rerunHistoryEntry(entry.id));
+}
+
+function renderHistoryDiff(previous, diff) {
+  const panel = historyPanel();
+  if (!panel) return;
+  const list = (items) => items.map(escapeThreadText).join('; ');
+  const answerDiff = (diff.answerDiff || []).map(part => {
+    const text = escapeThreadText(part.text).replace(/\n/g, '<br>');
+    if (part.op === 'add') return `<ins>${text}</ins>`;
+    if (part.op === 'del') return `<del>${text}</del>`;
+    return text;
+  }).join('');
+  const newDocs = diff.newDocuments || [];
+  panel.innerHTML = `
+    <div class="history-banner-title">Re-run of your search from ${new Date(previous.createdAt).toLocaleString()}</div>
+    ${diff.answerChanged
+      ? `<div class="history-banner-note">${diff.libraryChanged ? 'The answer changed after new documents were added to the library.' : 'The answer changed.'}</div>
+         <div class="history-diff">${answerDiff}</div>`
+      : '<div>The answer is unchanged.</div>'}
+    ${newDocs.length ? `<div class="history-banner-item"><strong>Ingested since:</strong> ${newDocs.map(d => `${escapeThreadText(d.fileName)}${d.cited ? ' (cited)' : ''}`).join('; ')}</div>` : ''}
+    ${(diff.referencesAdded || []).length ? `<div class="history-banner-item"><strong>New sources:</strong> ${list(diff.referencesAdded)}</div>` : ''}
+    ${(diff.referencesRemoved || []).length ? `<div class="history-banner-item"><strong>No longer cited:</strong> ${list(diff.referencesRemoved)}</div>` : ''}
+    ${(diff.themesAdded || []).length ? `<div class="history-banner-item"><strong>New themes:</strong> ${list(diff.themesAdded)}</div>` : ''}
+  `;
+}
+
+// === Saved questions & notifications ===
+// A saved question is re-run by the server after each sync that changes its library; the bell shows
+// the alerts that produced (new documents cited, or a materially different headline).
+let lastSearch = null;   // { query, historyId } of the answer on screen, for "Save question"
+
+async function saveCurrentQuestion() {
+  const query = lastSearch?.query || document.getElementById('searchInput').value.trim();
+  if (!query) {
+    alert('Ask a question first, then save it');
+    return;
+  }
+  try {
+    const response = await fetch('/api/saved-questions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        question: query,
+        clientId: currentClient || undefined,
+        historyId: lastSearch?.historyId || undefined,
+        filters: {
+          years: activeFilterValues('years'),
+          methodology: activeFilterValues('methodology'),
+          reports: activeFilterValues('reports')
+        }
+      })
+    });
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || 'Could not save the question');
+    alert('Saved. You will be notified when new documents change the answer.');
+  } catch (error) {
+    console.error('❌ Failed to save question:', error);
+    alert(error.message || 'Could not save the question');
+  }
+}
+
+async function loadSavedQuestions() {
+  const list = document.getElementById('savedList');
+  if (!list) return;
+  list.classList.add('open');
+  list.innerHTML = '<div class="toolbar-dropdown-note">Loading…</div>';
+  try {
+    const response = await fetch(`/api/saved-questions${currentClient ? `?clientId=${encodeURIComponent(currentClient)}` : ''}`);
+    const body = await response.json();
+    const questions = Array.isArray(body.data) ? body.data : [];
+    if (!questions.length) {
+      list.innerHTML = '<div class="toolbar-dropdown-note">No saved questions yet.</div>';
+      return;
+    }
+    list.innerHTML = questions.map(q => `
+      <div class="toolbar-row saved-row" data-saved-id="${escapeThreadText(q.id)}" data-question="${escapeThreadText(q.question)}">
+        <div class="toolbar-row-main">
+          <div class="toolbar-row-title">${escapeThreadText(q.question)}</div>
+          <div class="toolbar-row-meta">${q.lastRun ? `Last checked ${new Date(q.lastRun.at).toLocaleString()} · ${escapeThreadText(q.lastRun.headline || '')}` : 'Not checked yet'}</div>
+        </div>
+        <button type="button" data-action="delete" title="Remove" class="icon-btn">🗑️</button>
+      </div>
+    `).join('');
+    list.querySelectorAll('.saved-row').forEach(row => {
+      row.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (e.target.getAttribute('data-action') === 'delete') {
+          await fetch(`/api/saved-questions/${encodeURIComponent(row.getAttribute('data-saved-id'))}`, { method: 'DELETE' });
+          loadSavedQuestions();
+          return;
+        }
+        list.classList.remove('open');
+        if (currentThread) startNewThread();
+        document.getElementById('searchInput').value = row.getAttribute('data-question');
+        performSearch();
+      });
+    });
+  } catch (error) {
+    console.error('❌ Failed to load saved questions:', error);
+    list.innerHTML = '<div class="toolbar-dropdown-note">Could not load saved questions.</div>';
+  }
+}
+
+async function refreshNotificationCount() {
+  const button = document.getElementById('notificationsBtn');
+  if (!button) return;
+  try {
+    const response = await fetch('/api/notifications?limit=1');
+    if (!response.ok) return;
+    const { data } = await response.json();
+    button.textContent = data.unread ? `🔔 ${data.unread}` : '🔔';
+    button.classList.toggle('has-unread', !!data.unread);
+  } catch (error) {
+    console.warn('Notification check failed:', error);
+  }
+}
+
+async function loadNotifications() {
+  const list = document.getElementById('notificationsList');
+  if (!list) return;
+  list.classList.add('open');
+  list.innerHTML = '<div class="toolbar-dropdown-note">Loading…</div>';
+  try {
+    const response = await fetch('/api/notifications');
+    const { data } = await response.json();
+    const notifications = data?.notifications || [];
+    if (!notifications.length) {
+      list.innerHTML = '<div class="toolbar-dropdown-note">No notifications.</div>';
+      return;
+    }
+    const describe = (n) => {
+      const cited = (n.changedDocuments || []).filter(d => d.cited).map(d => d.fileName);
+      if (cited.length) return `Now cites ${cited.map(escapeThreadText).join(', ')}`;
+      return `New headline: ${escapeThreadText(n.headline?.after || '')}`;
+    };
+    list.innerHTML = `
+      <div class="toolbar-dropdown-actions">
+        <button type="button" id="notificationsReadAll" class="icon-btn">Mark all read</button>
+      </div>
+      ${notifications.map(n => `
+        <div class="toolbar-row notification-row${n.read ? '' : ' unread'}" data-notification-id="${escapeThreadText(n.id)}" data-history-id="${escapeThreadText(n.historyId || '')}">
+          <div class="toolbar-row-title">${escapeThreadText(n.question)}</div>
+          <div class="toolbar-row-meta">${new Date(n.createdAt).toLocaleString()} · ${describe(n)}</div>
+        </div>
+      `).join('')}
+    `;
+    document.getElementById('notificationsReadAll').addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await fetch('/api/notifications/read-all', { method: 'POST' });
+      loadNotifications();
+      refreshNotificationCount();
+    });
+    list.querySelectorAll('.notification-row').forEach(row => {
+      row.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        list.classList.remove('open');
+        await fetch(`/api/notifications/${encodeURIComponent(row.getAttribute('data-notification-id'))}/read`, { method: 'POST' });
+        refreshNotificationCount();
+        const historyId = row.getAttribute('data-history-id');
+        if (historyId) openHistoryEntry(historyId);
+      });
+    });
+  } catch (error) {
+    console.error('❌ Failed to load notifications:', error);
+    list.innerHTML = '<div class="toolbar-dropdown-note">Could not load notifications.</div>';
+  }
+}
+
+// === Card actions: "Add more detail" / "Simplify" ===
+// The server rewrites one card (the answer or a supporting theme) and the result replaces it in place;
+// expanded cards may cite new snippets, which are appended to the references.
+let currentAnswerText = '';
+
+// The actions join the card's ⋯ menu; theme cards get the same menu the answer card has
+function attachCardActions(el, target) {
+  if (!el) return;
+  let menu = el.querySelector('.dropdown-menu');
+  if (!menu) {
+    const container = document.createElement('div');
+    container.className = 'dropdown-container';
+    container.innerHTML = `
+      <button type="button" class="three-dot-menu" aria-label="Options">
+        <span class="dot"></span><span class="dot"></span><span class="dot"></span>
+      </button>
+      <div class="dropdown-menu">
+        <button type="button" class="dropdown-item" data-save-report><span class="dropdown-icon">📄</span>Save to Report</button>
+      </div>
+    `;
+    container.querySelector('.three-dot-menu').addEventListener('click', (e) => showSaveMenu(e.currentTarget, 'theme'));
+    container.querySelector('[data-save-report]').addEventListener('click', () => saveToReport('theme'));
+    el.prepend(container);
+    menu = container.querySelector('.dropdown-menu');
+  }
+  if (menu.querySelector('[data-card-action]')) return;
+  menu.insertAdjacentHTML('beforeend', `
+    <button type="button" class="dropdown-item" data-card-action="expand"><span class="dropdown-icon">➕</span>Add More Detail</button>
+    <button type="button" class="dropdown-item" data-card-action="simplify"><span class="dropdown-icon">✂️</span>Simplify</button>
+  `);
+  menu.querySelectorAll('[data-card-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      menu.classList.remove('show');
+      refineCardAction(button.getAttribute('data-card-action'), el, target, menu);
+    });
+  });
+}
+
+function cardFromAnswer(answer) {
+  const [first, ...rest] = String(answer || '').split('\n');
+  return {
+    kind: 'answer',
+    headline: first.replace(/^HEADLINE:\s*/i, '').trim(),
+    details: rest.join('\n').replace(/^\s*DETAILS:\s*/i, '').trim()
+  };
+}
+
+async function refineCardAction(action, el, target, menu) {
+  const card = target.kind === 'answer'
+    ? cardFromAnswer(currentAnswerText)
+    : { kind: 'theme', title: target.theme.title, subtitle: target.theme.subtitle, bullets: target.theme.bullets || [] };
+  const text = card.kind === 'answer' ? `${card.headline} ${card.details}` : (card.bullets || []).join(' ');
+  const cited = [...new Set([...text.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)].flatMap(m => m[1].split(',').map(n => Number(n.trim()))))];
+  const references = cited
+    .filter(n => currentReferences[n - 1])
+    .map(n => {
+      const r = currentReferences[n - 1];
+      return { n, fileId: r.fileId, chunkIndex: r.chunkIndex, page: r.page, fileName: r.fileName, sourceType: r.sourceType, textSnippet: r.textSnippet };
+    });
+
+  const buttons = menu.querySelectorAll('[data-card-action]');
+  buttons.forEach(b => { b.disabled = true; });
+  el.classList.add('is-refining');
+  el.setAttribute('aria-busy', 'true');
+  try {
+    const response = await fetch('/api/cards/refine', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        action,
+        card,
+        references,
+        nextRef: currentReferences.length + 1,
+        query: lastSearch?.query || document.getElementById('searchInput').value.trim(),
+        clientId: currentClient || undefined
+      })
+    });
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || 'Could not update the card');
+    const { card: refined, references: refs, added } = body.data;
+
+    (refs || []).forEach(r => { currentReferences[r.n - 1] = { ...(currentReferences[r.n - 1] || {}), ...r }; });
+    if (added && added.length) {
+      removeExistingSections();
+      displayReportSlides();
+      displayReportsReferenced(currentReferences.filter(Boolean));
+    }
+
+    if (refined.kind === 'answer') {
+      renderAnswer(`HEADLINE: ${refined.headline}\nDETAILS: ${refined.details}`);
+    } else {
+      const theme = { ...target.theme, title: refined.title, subtitle: refined.subtitle, bullets: refined.bullets, citationCheck: null };
+      const item = createDashboardItem(theme, target.layoutClass, target.index);
+      attachCardActions(item, { ...target, theme });
+      el.replaceWith(item);
+    }
+  } catch (error) {
+    console.error(`❌ Card ${action} failed:`, error);
+    alert(error.message || 'Could not update the card');
+  } finally {
+    buttons.forEach(b => { b.disabled = false; });
+    el.classList.remove('is-refining');
+    el.removeAttribute('aria-busy');
+  }
+}
+
+// Claims the server's citation check could not back up, highlighted with the reason on hover
+const CLAIM_FLAGS = {
+  unsupported: (c) => `Not found in the cited source: ${c.unsupportedNumbers.join(', ') || 'claim'}`,
+  uncited: (c) => `No citation for ${c.numbers.join(', ')}`,
+  invalid_citation: (c) => `Cited reference ${c.invalidCitations.map(n => `[${n}]`).join('')} does not exist`
+};
+
+function markClaims(text, claims) {
+  let marked = String(text ?? '');
+  const flagged = [];
+  (claims || []).filter(c => !c.removed && c.text && CLAIM_FLAGS[c.verdict]).forEach(c => {
+    const at = marked.indexOf(c.text);
+    if (at === -1) return;
+    flagged.push(c);
+    marked = `${marked.slice(0, at)}\u0001${flagged.length - 1}\u0002${c.text}\u0003${marked.slice(at + c.text.length)}`;
+  });
+  return formatRefsToSup(marked)
+    .replace(/\u0001(\d+)\u0002/g, (_, i) => `<mark class="claim-flag claim-${flagged[i].verdict}" title="${escapeThreadText(CLAIM_FLAGS[flagged[i].verdict](flagged[i]))}" style="background:#fef3c7;border-bottom:2px dotted #d97706;">`)
+    .replace(/\u0003/g, '</mark>');
+}
+
+// Headline on the first line, details below (also used while the answer streams in);
+// claims = the citation check's verdicts, once the answer is final
+function renderAnswer(answer, claims) {
   const answerCard = document.getElementById('answerCard');
   const answerHeadline = document.getElementById('answerHeadline');
   const answerDetails = document.getElementById('answerDetails');
   const resultsArea = document.getElementById('resultsArea');
+  if (!answer || !answerCard || !answerHeadline || !answerDetails) return;
+  currentAnswerText = answer;
+
+  // Split answer into headline and details if possible
+  const answerText = markClaims(answer, claims);
+  const lines = answerText.split('\n');
   
-  // Show the main answer using the correct HTML structure
-  if (results.answer && answerCard) {
-    if (answerHeadline && answerDetails) {
-      // Split answer into headline and details if possible
-      const answerText = formatRefsToSup(results.answer);
-      const lines = answerText.split('\n');
-      
-      if (lines.length > 1) {
-        answerHeadline.innerHTML = lines[0];
-        const detailsText = lines.slice(1).join('\n').trim();
-        if (detailsText) {
-          answerDetails.innerHTML = detailsText.replace(/\n/g, '<br>');
-        } else {
-          answerDetails.innerHTML = '';
-        }
-      } else {
-        answerHeadline.innerHTML = answerText;
-        answerDetails.innerHTML = '';
-      }
-      
-      answerCard.style.display = 'block';
-      resultsArea.style.display = 'block';
-      console.log('✅ Answer displayed');
+  if (lines.length > 1) {
+    answerHeadline.innerHTML = lines[0];
+    const detailsText = lines.slice(1).join('\n').trim();
+    if (detailsText) {
+      answerDetails.innerHTML = detailsText.replace(/\n/g, '<br>');
+    } else {
+      answerDetails.innerHTML = '';
+    }
+  } else {
+    answerHeadline.innerHTML = answerText;
+    answerDetails.innerHTML = '';
+  }
+  
+  answerCard.style.display = 'block';
+  if (resultsArea) resultsArea.style.display = 'block';
+  attachCardActions(answerCard, { kind: 'answer' });
+}
+
+const CONFIDENCE_STYLES = {
+  high: { label: 'High confidence', color: '#166534', background: '#dcfce7' },
+  medium: { label: 'Medium confidence', color: '#854d0e', background: '#fef9c3' },
+  low: { label: 'Low confidence', color: '#9a3412', background: '#ffedd5' },
+  insufficient: { label: 'Not answered by the library', color: '#991b1b', background: '#fee2e2' }
+};
+
+// Badge under the answer: level, score and (in the tooltip) what lowered it; null removes it
+function renderConfidence(confidence) {
+  const answerCard = document.getElementById('answerCard');
+  let badge = document.getElementById('confidenceBadge');
+  const style = confidence && CONFIDENCE_STYLES[confidence.level];
+  if (!answerCard || !style) {
+    if (badge) badge.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement('div');
+    badge.id = 'confidenceBadge';
+    badge.style.cssText = 'display:inline-block;margin-top:10px;padding:3px 10px;border-radius:999px;font-size:12px;font-weight:600;cursor:help;';
+    const details = document.getElementById('answerDetails');
+    if (details) details.insertAdjacentElement('afterend', badge);
+    else answerCard.appendChild(badge);
+  }
+  const factors = Object.entries(confidence.factors || {})
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `${k}: ${Math.round(v * 100)}%`);
+  badge.style.color = style.color;
+  badge.style.background = style.background;
+  badge.textContent = `${style.label} · ${Math.round((confidence.score || 0) * 100)}%`;
+  badge.title = [...(confidence.reasons || []), factors.join(', ')].filter(Boolean).join('\n');
+}
+
+// In place of themes when the library doesn't answer the question: the nearest documents found
+function renderClosestDocuments(insufficientEvidence) {
+  const dashboard = document.getElementById('dashboard');
+  const dashboardFlow = document.getElementById('dashboardFlow');
+  if (!dashboardFlow) return;
+  const docs = insufficientEvidence?.closestDocuments || [];
+  const rows = docs.map(d => `
+      <li style="margin-bottom:12px;">
+        <div style="font-weight:600;">${escapeThreadText(d.fileName || 'Untitled document')}${d.year ? ` (${escapeThreadText(d.year)})` : ''} · p.${escapeThreadText(d.page || 1)}</div>
+        ${d.snippet ? `<div style="color:#6b7280;font-size:13px;margin-top:2px;">${escapeThreadText(d.snippet)}…</div>` : ''}
+      </li>`).join('');
+  dashboardFlow.innerHTML = `
+    <div class="dashboard-item closest-documents">
+      <h4>Closest documents in the library</h4>
+      ${rows ? `<ul style="list-style:none;padding:0;margin:12px 0 0;">${rows}</ul>` : '<div style="color:#6b7280;padding:20px 0;">Nothing in the library is close to this question.</div>'}
+    </div>
+  `;
+  if (dashboard) dashboard.style.display = 'block';
+}
+
+// Empty dashboard with a placeholder while themes are still being written
+function startStreamingDashboard() {
+  const dashboard = document.getElementById('dashboard');
+  const dashboardFlow = document.getElementById('dashboardFlow');
+  if (!dashboardFlow) return;
+  dashboardFlow.innerHTML = `
+    <div class="dashboard-item streaming-placeholder">
+      <div style="color:#6b7280;text-align:center;padding:40px;">Finding supporting themes…</div>
+    </div>
+  `;
+  if (dashboard) dashboard.style.display = 'block';
+}
+
+// Place one theme card: wide charts take a full row, everything else pairs up
+function appendThemeItem(theme, index) {
+  const dashboardFlow = document.getElementById('dashboardFlow');
+  if (!dashboardFlow) return;
+  const placeholder = dashboardFlow.querySelector('.streaming-placeholder');
+  if (placeholder) placeholder.remove();
+  if ([...dashboardFlow.querySelectorAll('.dashboard-item h4')].some(el => el.textContent === theme.title)) return;
+
+  const layoutClass = determineLayoutClass(theme, index);
+  const item = createDashboardItem(theme, layoutClass, index); // Pass index for unique IDs
+  attachCardActions(item, { kind: 'theme', theme, layoutClass, index });
+  
+  if (layoutClass === 'wide-chart') {
+    dashboardFlow.appendChild(item);
+  } else {
+    const lastChild = dashboardFlow.lastElementChild;
+    if (!lastChild || !lastChild.classList.contains('dashboard-row') || lastChild.children.length >= 2) {
+      const rowDiv = document.createElement('div');
+      rowDiv.className = 'dashboard-row';
+      rowDiv.appendChild(item);
+      dashboardFlow.appendChild(rowDiv);
+    } else {
+      lastChild.appendChild(item);
     }
   }
+}
+
+// FIXED: Enhanced display results with smart dynamic layout and no duplication
+function displayResults(results) {
+  console.log('📊 Displaying search results:', results);
+  
+  // Show the main answer using the correct HTML structure
+  if (results.answer) {
+    renderAnswer(results.answer, results.citationCheck?.answer?.claims);
+    console.log('✅ Answer displayed');
+  }
+  renderConfidence(results.confidence);
   
   // Store current references for saving functionality
   currentReferences = Array.isArray(results.references?.chunks) ? results.references.chunks : [];
@@ -660,25 +1455,10 @@ function displayResults(results) {
       index === self.findIndex(t => t.title === theme.title)
     );
     
-    uniqueThemes.forEach((theme, index) => {
-      const layoutClass = determineLayoutClass(theme, index);
-      const item = createDashboardItem(theme, layoutClass, index); // Pass index for unique IDs
-      
-      if (layoutClass === 'wide-chart') {
-        dashboardFlow.appendChild(item);
-      } else {
-        const lastChild = dashboardFlow.lastElementChild;
-        if (!lastChild || !lastChild.classList.contains('dashboard-row') || lastChild.children.length >= 2) {
-          const rowDiv = document.createElement('div');
-          rowDiv.className = 'dashboard-row';
-          rowDiv.appendChild(item);
-          dashboardFlow.appendChild(rowDiv);
-        } else {
-          lastChild.appendChild(item);
-        }
-      }
-    });
+    uniqueThemes.forEach((theme, index) => appendThemeItem(theme, index));
 
+  } else if (results.insufficientEvidence) {
+    renderClosestDocuments(results.insufficientEvidence);
   } else {
     const emptyItem = document.createElement('div');
     emptyItem.className = 'dashboard-item';
@@ -754,7 +1534,7 @@ function createDashboardItem(theme, layoutClass = '', index = 0) {
   
   // FIXED: Ensure unique bullets by removing duplicates
   const bullets = Array.isArray(theme.bullets) ? 
-    [...new Set(theme.bullets)].map(b => `<li>${formatRefsToSup(b)}</li>`).join('') : '';
+    [...new Set(theme.bullets)].map(b => `<li>${markClaims(b, theme.citationCheck?.claims)}</li>`).join('') : '';
   
   // FIXED: Enhanced quote handling with proper references
   const validQuotes = Array.isArray(theme.quotes) ? 
@@ -826,9 +1606,11 @@ function removeExistingSections() {
   if (existingReports) existingReports.remove();
 }
 
+// Resolves once the old results are gone, so streamed results never get cleared mid-render
 function clearPreviousResults() {
   const resultsArea = document.getElementById('resultsArea');
-  if (resultsArea) {
+  if (!resultsArea) return Promise.resolve();
+  return new Promise(resolve => {
     resultsArea.classList.add('clearing');
     
     setTimeout(() => {
@@ -842,10 +1624,13 @@ function clearPreviousResults() {
       
       // Remove existing sections
       removeExistingSections();
+      const historyBanner = document.getElementById('historyBanner');
+      if (historyBanner) historyBanner.remove();
       
       resultsArea.classList.remove('clearing');
+      resolve();
     }, 300);
-  }
+  });
 }
 
 // FIXED: Enhanced report slides display using ONLY current search results
@@ -1202,65 +1987,147 @@ function h(tag, attrs={}, children=[]){
   return el;
 }
 
+// The payload lists its cards in the order the question's intent lays them out; each card names its type
+const DASH_CARD_RENDERERS = {
+  snapshot: renderSnapshotCard,
+  trend: renderTrend,
+  bars: renderBarsCard,
+  segments: renderSegmentsCard,
+  quotes: renderQuotesCard,
+  list: renderListCard,
+  reports: renderReportsCard
+};
+
+// Dashboards saved before intent layouts carried fixed snapshot / trend / drivers / quotes / reports fields
+function dashboardCardsOf(dash){
+  if (Array.isArray(dash.cards)) return dash.cards;
+  const cards = [];
+  if (dash.snapshot && dash.snapshot.labels && dash.snapshot.values) cards.push({ type:'snapshot', title:'Current Market Share', ...dash.snapshot });
+  const metrics = trendMetricsOf(dash);
+  if (metrics.length) cards.push({ type:'trend', title: metrics.length > 1 ? 'Trends' : `${metrics[0].label} Trend`, metrics });
+  if (dash.drivers && dash.drivers.items && dash.drivers.items.length) cards.push({ type:'bars', title:'Key Drivers of Choice', unit:'', items: dash.drivers.items });
+  if (dash.quotes && dash.quotes.length) cards.push({ type:'quotes', title:'HCP/Patient Quotes', quotes: dash.quotes });
+  if (dash.reports && dash.reports.length) cards.push({ type:'reports', title:'Supporting Reports', reports: dash.reports });
+  return cards;
+}
+
+function dashCard(title, body, extra=[]){
+  return h('div', {class:'dash-card'}, [
+    h('div', {class:'card-h'}, [document.createTextNode(title), ...extra]),
+    h('div', {class:'card-b'}, body)
+  ]);
+}
+
 function renderDashboard(dash){
   const root = document.getElementById('dash-root');
   if (!root) return;
   root.innerHTML='';
   if (!dash) return;
 
-  // Snapshot
-  if (dash.snapshot && dash.snapshot.labels && dash.snapshot.values){
-    const card = h('div', {class:'dash-card'} , [
-      h('div', {class:'card-h'}, [document.createTextNode('Current Market Share' + (dash.snapshot.asOf? ' ('+dash.snapshot.asOf+')':''))]),
-      h('div', {class:'card-b'}, [h('canvas', {class:'chart-area', id:'chart-snapshot'}, [])])
-    ]);
-    root.appendChild(card);
-    if (window.Chart){
-      const ctx = card.querySelector('#chart-snapshot').getContext('2d');
-      new Chart(ctx, { type:'pie', data:{ labels: dash.snapshot.labels, datasets:[{ data: dash.snapshot.values, backgroundColor: applyColorMap(dash.snapshot.labels, dash.snapshot.colors||undefined, dash.snapshot.colorMap||null) }]}, options:{plugins:{legend:{position:'right'}}} });
-    } else {
-      const ul = h('ul', {}, []);
-      dash.snapshot.labels.forEach((L,i)=>{
-        const v = dash.snapshot.values[i];
-        ul.appendChild(h('li', {}, [document.createTextNode(L + ': ' + v + '%')]));
-      });
-      card.querySelector('.card-b').appendChild(ul);
+  const cards = dashboardCardsOf(dash);
+  if (dash.intent && dash.intent.label && cards.length){
+    root.appendChild(h('div', {class:'small dash-intent', style:'margin-bottom:6px;color:#6b7280;'}, [document.createTextNode('Layout: ' + dash.intent.label)]));
+  }
+  // Product colours from the snapshot keep the other charts consistent with it
+  const snapshot = cards.find(c => c.type === 'snapshot');
+  const colorMap = (snapshot && snapshot.colorMap) || window.productColorMap || null;
+  cards.forEach(card => {
+    const render = DASH_CARD_RENDERERS[card.type];
+    if (!render) return;
+    try {
+      const el = render(card, colorMap);
+      if (el) root.appendChild(el.el || el);
+      if (el && el.draw) el.draw();
+    } catch (e) {
+      console.warn('Dashboard card failed:', card.type, e);
     }
+  });
+}
+
+function renderSnapshotCard(card, colorMap){
+  if (!card.labels || !card.values) return null;
+  const el = dashCard((card.title || 'Snapshot') + (card.asOf ? ' (' + card.asOf + ')' : ''), [h('canvas', {class:'chart-area'}, [])]);
+  if (!window.Chart){
+    el.querySelector('.card-b').appendChild(h('ul', {}, card.labels.map((L, i) => h('li', {}, [document.createTextNode(L + ': ' + card.values[i] + '%')]))));
+    return el;
   }
+  return { el, draw: () => new Chart(el.querySelector('canvas').getContext('2d'), {
+    type:'pie',
+    data:{ labels: card.labels, datasets:[{ data: card.values, backgroundColor: applyColorMap(card.labels, card.colors || undefined, card.colorMap || colorMap) }] },
+    options:{ plugins:{ legend:{ position:'right' } } }
+  }) };
+}
 
-  renderTrend(root, dash);
+function barSourceText(src){
+  if (!src || !src.fileName) return '';
+  return `Source: ${src.fileName}${src.page ? `, p.${src.page}` : src.sheet ? ` (${src.sheet})` : ''}`;
+}
 
-  // Drivers
-  if (dash.drivers && dash.drivers.items && dash.drivers.items.length){
-    const card = h('div', {class:'dash-card'} , [
-      h('div', {class:'card-h'}, [document.createTextNode('Key Drivers of Choice')]),
-      h('div', {class:'card-b'}, [h('canvas', {class:'chart-area', id:'chart-drivers'}, [])])
-    ]);
-    root.appendChild(card);
-    if (window.Chart){
-      const ctx = card.querySelector('#chart-drivers').getContext('2d');
-      new Chart(ctx, { type:'bar', data:{ labels: dash.drivers.items.map(x=>x.label), datasets:[{ data: dash.drivers.items.map(x=>x.value)}]},
-        options:{plugins:{legend:{display:false}}, scales:{y:{beginAtZero:true}}}});
-    }
+function renderBarsCard(card){
+  const items = card.items || [];
+  if (!items.length) return null;
+  const el = dashCard(card.title || 'Key Drivers', [h('canvas', {class:'chart-area'}, [])]);
+  const unit = card.unit === '%' ? '%' : card.unit ? ' ' + card.unit : '';
+  if (!window.Chart){
+    el.querySelector('.card-b').appendChild(h('ul', {}, items.map(x => h('li', {}, [document.createTextNode(x.label + ': ' + x.value + unit)]))));
+    return el;
   }
+  return { el, draw: () => new Chart(el.querySelector('canvas').getContext('2d'), {
+    type:'bar',
+    data:{ labels: items.map(x => x.label), datasets:[{ data: items.map(x => x.value), backgroundColor: TREND_PALETTE[0] }] },
+    options:{
+      plugins:{ legend:{ display:false }, tooltip:{ callbacks:{
+        label: (ctx) => `${ctx.parsed.y}${unit}`,
+        afterLabel: (ctx) => barSourceText(items[ctx.dataIndex].source)
+      } } },
+      scales:{ y:{ beginAtZero:true } }
+    }
+  }) };
+}
 
-  // Quotes
-  if (dash.quotes && dash.quotes.length){
-    const card = h('div', {class:'dash-card'}, [
-      h('div', {class:'card-h'}, [document.createTextNode('HCP/Patient Quotes')]),
-      h('div', {class:'card-b'}, [h('div', {}, dash.quotes.map(q=> h('div', {class:'quote'}, [document.createTextNode('“'+q.text+'” — '+q.speaker)]))) ])
-    ]);
-    root.appendChild(card);
-  }
+// One bar group per segment (table column), one dataset per row
+function renderSegmentsCard(card, colorMap){
+  const groups = card.groups || [];
+  const series = card.series || [];
+  if (!groups.length || !series.length) return null;
+  const el = dashCard(card.title || 'Segment comparison', [h('canvas', {class:'chart-area'}, [])]);
+  if (!window.Chart) return el;
+  const unit = card.unit === '%' ? '%' : card.unit ? ' ' + card.unit : '';
+  return { el, draw: () => new Chart(el.querySelector('canvas').getContext('2d'), {
+    type:'bar',
+    data:{ labels: groups, datasets: series.map((s, i) => {
+      const color = applyColorMap([s.label], null, colorMap)[0] || TREND_PALETTE[i % TREND_PALETTE.length];
+      return { label: s.label, data: s.values, backgroundColor: color };
+    }) },
+    options:{
+      plugins:{ legend:{ position:'bottom' }, tooltip:{ callbacks:{
+        label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y}${unit}`,
+        afterLabel: () => barSourceText(card.source)
+      } } },
+      scales:{ y:{ beginAtZero:true } }
+    }
+  }) };
+}
 
-  // Reports
-  if (dash.reports && dash.reports.length){
-    const card = h('div', {class:'dash-card'}, [
-      h('div', {class:'card-h'}, [document.createTextNode('Supporting Reports')]),
-      h('div', {class:'card-b'}, [h('div', {}, dash.reports.map(r=> h('a', {class:'report-item', href: (r.preview||'#'), target:'_blank', rel:'noopener'}, [ (r.thumbnail? h('img',{src:r.thumbnail, style:'width:44px;height:44px;border-radius:8px;object-fit:cover;margin-right:10px'},[]): h('div',{style:'width:44px;height:44px;border-radius:8px;background:#e5e7eb;margin-right:10px'},[])), h('div',{},[document.createTextNode(r.study||r.source||'Document'), h('div',{class:'small'},[document.createTextNode(r.date||'')]) ]) ]))) ])
-    ]);
-    root.appendChild(card);
-  }
+function renderQuotesCard(card){
+  if (!card.quotes || !card.quotes.length) return null;
+  return dashCard(card.title || 'HCP/Patient Quotes', [h('div', {}, card.quotes.map(q => h('div', {class:'quote'}, [document.createTextNode('“' + q.text + '” — ' + q.speaker)])))]);
+}
+
+function renderListCard(card){
+  if (!card.items || !card.items.length) return null;
+  return dashCard(card.title || 'Key themes', [h('ul', {}, card.items.map(x => h('li', {}, [
+    h('strong', {}, [document.createTextNode(x.title)]),
+    ...(x.text ? [h('div', {class:'small'}, [document.createTextNode(x.text)])] : [])
+  ])))]);
+}
+
+function renderReportsCard(card){
+  if (!card.reports || !card.reports.length) return null;
+  return dashCard(card.title || 'Supporting Reports', [h('div', {}, card.reports.map(r => h('a', {class:'report-item', href: (r.preview || '#'), target:'_blank', rel:'noopener'}, [
+    (r.thumbnail ? h('img', {src:r.thumbnail, style:'width:44px;height:44px;border-radius:8px;object-fit:cover;margin-right:10px'}, []) : h('div', {style:'width:44px;height:44px;border-radius:8px;background:#e5e7eb;margin-right:10px'}, [])),
+    h('div', {}, [document.createTextNode(r.study || r.source || 'Document'), h('div', {class:'small'}, [document.createTextNode(r.date || '')])])
+  ])))]);
 }
 
 // Hook search response to render dashboard
@@ -1269,7 +2136,8 @@ function renderDashboard(dash){
   window.fetch = async function(input, init){
     const res = await _fetch(input, init);
     try{
-      if (typeof input === 'string' && input.includes('/search')){
+      // The stream route renders its own dashboard event; reading its clone here would wait for the whole stream
+      if (typeof input === 'string' && input.includes('/search') && !input.includes('/search/stream')){
         const clone = res.clone();
         const data = await clone.json().catch(()=>null);
         if (data && data.dashboard){ renderDashboard(data.dashboard); }
@@ -1279,23 +2147,78 @@ function renderDashboard(dash){
   }
 })();
 
-// Trend card renderer
-function renderTrend(root, dash){
-  if (!dash.trend || !dash.trend.series || !dash.trend.timepoints) return;
-  const card = h('div', {class:'dash-card'}, [
-    h('div', {class:'card-h'}, [document.createTextNode('Market Share Trend')]),
-    h('div', {class:'card-b'}, [h('canvas', {class:'chart-area', id:'chart-trend'}, [])])
+// Trend card: one metric by product / segment, or several metrics compared on a shared axis.
+// Hovering a point names the report (and page) or data table it came from.
+const TREND_PALETTE = ['#ff7a00','#2563eb','#16a34a','#7c3aed','#dc2626','#0891b2','#f59e0b','#4a5568'];
+
+// Dashboards saved before multi-metric trends carried a single market share trend
+function trendMetricsOf(dash){
+  if (dash.trends && Array.isArray(dash.trends.metrics)) return dash.trends.metrics;
+  if (!dash.trend || !dash.trend.series || !dash.trend.timepoints) return [];
+  return [{ id:'share', label:'Market Share', unit:'%', axis:'date', timepoints: dash.trend.timepoints,
+    series: dash.trend.series.map(s => ({ label: s.label, color: s.color || null, values: s.values, points: [] })) }];
+}
+
+function sortTrendTimepoints(timepoints, axis){
+  const list = [...new Set(timepoints)];
+  const num = (w) => Number((String(w).match(/\d+/) || [0])[0]);
+  return axis === 'wave' ? list.sort((a, b) => num(a) - num(b)) : list.sort();
+}
+
+function renderTrend(card, colorMap){
+  const metrics = card.metrics || [];
+  if (!metrics.length) return null;
+  const comparable = metrics.filter(m => m.axis === metrics[0].axis);
+  const select = h('select', {class:'trend-metric', style:'margin-left:8px;font-size:12px;'}, [
+    ...metrics.map((m, i) => h('option', {value: String(i)}, [document.createTextNode(`${m.label} (${m.series.length})`)])),
+    ...(comparable.length > 1 ? [h('option', {value:'compare'}, [document.createTextNode('Compare metrics')])] : [])
   ]);
-  root.appendChild(card);
-  if (window.Chart){
-    const ctx = card.querySelector('#chart-trend').getContext('2d');
-    const datasets = (dash.trend.series||[]).map((s,i)=> ({
-      label: s.label, data: s.values, fill:false, tension:0.25,
-      borderColor: applyColorMap([s.label], null, (dash.snapshot && dash.snapshot.colorMap)||null)[0],
-      backgroundColor: applyColorMap([s.label], null, (dash.snapshot && dash.snapshot.colorMap)||null)[0]
+  const el = dashCard(card.title || (metrics.length > 1 ? 'Trends' : `${metrics[0].label} Trend`), [h('canvas', {class:'chart-area'}, [])], metrics.length > 1 ? [select] : []);
+  if (!window.Chart) return el;
+
+  const colorFor = (s, i) => s.color || applyColorMap([s.label], null, colorMap)[0] || TREND_PALETTE[i % TREND_PALETTE.length];
+  let chart = null;
+
+  const draw = () => {
+    const compare = select.value === 'compare';
+    const shown = compare ? comparable : [metrics[Number(select.value) || 0]];
+    const labels = compare ? sortTrendTimepoints(shown.flatMap(m => m.timepoints), shown[0].axis) : shown[0].timepoints;
+    let n = 0;
+    const datasets = shown.flatMap(m => m.series.map(s => {
+      const byTimepoint = Object.fromEntries((s.points || []).map(p => [p.timepoint, p]));
+      const color = colorFor(s, n++);
+      return {
+        label: compare ? `${m.label} · ${s.label}` : s.label,
+        data: labels.map(tp => { const i = m.timepoints.indexOf(tp); return i === -1 ? null : s.values[i]; }),
+        unit: m.unit,
+        sources: labels.map(tp => byTimepoint[tp] || null),
+        fill: false, tension: 0.25, spanGaps: true,
+        borderColor: color, backgroundColor: color,
+        ...(compare && m !== shown[0] ? { borderDash: [6, 4] } : {})
+      };
     }));
-    new Chart(ctx, { type:'line', data:{ labels: dash.trend.timepoints, datasets }, options:{ plugins:{legend:{position:'bottom'}}, scales:{ y:{ beginAtZero:true, suggestedMax: 50 }}}});
-  }
+    if (chart) chart.destroy();
+    chart = new Chart(el.querySelector('canvas').getContext('2d'), {
+      type: 'line',
+      data: { labels, datasets },
+      options: {
+        plugins: {
+          legend: { position: 'bottom' },
+          tooltip: { callbacks: {
+            label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y}${ctx.dataset.unit || ''}`,
+            afterLabel: (ctx) => {
+              const src = ctx.dataset.sources[ctx.dataIndex];
+              if (!src || !src.fileName) return '';
+              return `Source: ${src.fileName}${src.page ? `, p.${src.page}` : src.sheet ? ` (${src.sheet})` : ''}`;
+            }
+          } }
+        },
+        scales: { y: { beginAtZero: shown.every(m => m.unit === '%'), suggestedMax: shown.every(m => m.unit === '%') ? 50 : undefined } }
+      }
+    });
+  };
+  select.addEventListener('change', draw);
+  return { el, draw };
 }
 
 
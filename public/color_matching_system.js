@@ -9,12 +9,12 @@
         '#ff9f1a','#5a626d','#ffa94d','#cbd5e1','#e67e22','#1f2937'
       ];
 
-      // Product & taxonomy color map
-      this.productColors = {
-        'evrysdi':'#ff7a00','risdiplam':'#ff7a00',
-        'spinraza':'#2563eb','nusinersen':'#2563eb',
-        'zolgensma':'#16a34a','onasemnogene':'#16a34a',
-        'untreated':'#94a3b8','no treatment':'#94a3b8','treatment naive':'#94a3b8',
+      // Product colours come from the library's taxonomy (term → colour, see setProductColors)
+      this.productColors = {};
+      this.setProductColors(global.productColorMap || {});
+
+      // Colours for recurring non-product categories
+      this.topicColors = {
         'other':'#6366f1','others':'#6366f1','new':'#f59e0b','emerging':'#f59e0b',
         'generic':'#8b5cf6','biosimilar':'#8b5cf6',
         'efficacy':'#059669','safety':'#dc2626','access':'#7c3aed','cost':'#ea580c',
@@ -37,6 +37,14 @@
       ];
     }
 
+    /** Replace the product colours, e.g. when another library is selected */
+    setProductColors(colorMap) {
+      this.productColors = {};
+      Object.keys(colorMap || {})
+        .sort((a, b) => b.length - a.length) // longest term first: "no treatment" before "treatment"
+        .forEach(k => { this.productColors[String(k).toLowerCase()] = colorMap[k]; });
+    }
+
     getColorsForChart(chartData, chartType = 'bar') {
       // 1) If a color map is provided by upstream (parsed from the report), use it
       const reportMap = (chartData && (chartData.colorMap || (chartData.context && chartData.context.reportColorMap))) || null;
@@ -81,6 +89,9 @@
       for (const [k, v] of Object.entries(this.productColors)) {
         if (lower.includes(k)) return v;
       }
+      for (const [k, v] of Object.entries(this.topicColors)) {
+        if (lower.includes(k)) return v;
+      }
       for (const p of this.colorPatterns) {
         if (p.pattern.test(label)) return p.color;
       }
@@ -0,0 +1,215 @@
+// rerank.js — Second-pass ordering of retrieved chunks before they reach the prompts
+// Retrieval casts a wide net; the reranker decides which few chunks the answer is written from.
+//  • Scorers (pluggable, all return a 0..1 relevance per chunk):
+//      "lexical"      : local — query term coverage, phrase hits and term proximity
+//      "llm"          : an LLM judges each snippet (call site "rerank"); falls back to lexical on error
+//      "crossEncoder" : HTTP cross-encoder service ({ query, texts } → [{ index, score }], e.g. TEI /rerank)
+//  • Relevance is blended with the retrieval score, then MMR picks a diverse top N so near-identical
+//    pages from one deck don't crowd out other studies
+
+import { tokenize } from "./keyword_index.js";
+
+const SNIPPET_CHARS = 700;
+
+// ---------------------------------------------------------------------------
+// Scorers
+// ---------------------------------------------------------------------------
+function createLexicalScorer() {
+  return {
+    name: "lexical",
+    async score(query, chunks) {
+      const qTerms = [...new Set(tokenize(query))];
+      const phrase = String(query || "").toLowerCase().replace(/\s+/g, " ").trim();
+      return chunks.map((c) => {
+        if (!qTerms.length) return 0;
+        const text = `${c.fileName || ""} ${c.textSnippet || ""}`;
+        const terms = tokenize(text);
+        const positions = new Map();
+        terms.forEach((t, i) => { if (!positions.has(t)) positions.set(t, i); });
+        const hits = qTerms.filter((t) => positions.has(t));
+        const coverage = hits.length / qTerms.length;
+        // Matched terms close together usually means the passage is about the question
+        const spread = hits.length > 1
+          ? Math.max(...hits.map((t) => positions.get(t))) - Math.min(...hits.map((t) => positions.get(t)))
+          : 0;
+        const proximity = hits.length > 1 ? Math.min(1, (hits.length * 4) / (spread + 1)) : 0;
+        const phraseHit = phrase.length > 3 && text.toLowerCase().includes(phrase) ? 1 : 0;
+        return Math.min(1, 0.7 * coverage + 0.2 * proximity + 0.1 * phraseHit);
+      });
+    },
+  };
+}
+
+/** `chat(messages, context)` → { content } (JSON mode); one call judges every candidate */
+function createLlmScorer({ chat, logger }) {
+  const fallback = createLexicalScorer();
+  return {
+    name: "llm",
+    async score(query, chunks, context = {}) {
+      const list = chunks
+        .map((c, i) => `[${i}] (${c.fileName || "Unknown"}, p.${c.page || 1}) ${String(c.textSnippet || "").slice(0, SNIPPET_CHARS)}`)
+        .join("\n\n");
+      const prompt = `Rate how well each snippet helps answer the question. 10 = directly answers it with specific evidence, 0 = unrelated.
+
+Question: "${query}"
+
+Snippets:
+${list}
+
+Return JSON: {"scores":[{"i":0,"score":7}, ...]} with one entry per snippet.`;
+      try {
+        const { content } = await chat([{ role: "user", content: prompt }], context);
+        const parsed = JSON.parse(content || "{}");
+        const out = new Array(chunks.length).fill(null);
+        (parsed.scores || []).forEach((s) => {
+          const i = Number(s.i);
+          if (Number.isInteger(i) && i >= 0 && i < chunks.length) out[i] = Math.max(0, Math.min(10, Number(s.score) || 0)) / 10;
+        });
+        if (out.every((s) => s == null)) throw new Error("no scores in reply");
+        // Snippets the judge skipped keep a lexical score rather than dropping to zero
+        const lexical = await fallback.score(query, chunks);
+        return out.map((s, i) => (s == null ? lexical[i] : s));
+      } catch (e) {
+        logger.warn("LLM rerank failed, using lexical scorer:", e?.message || e);
+        return fallback.score(query, chunks);
+      }
+    },
+  };
+}
+
+function createCrossEncoderScorer({ url, logger, timeoutMs = 15000 }) {
+  const fallback = createLexicalScorer();
+  return {
+    name: "crossEncoder",
+    async score(query, chunks) {
+      try {
+        const r = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ query, texts: chunks.map((c) => String(c.textSnippet || "").slice(0, SNIPPET_CHARS * 2)) }),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!r.ok) throw new Error(`${r.status} ${await r.text().catch(() => "")}`.trim());
+        const body = await r.json();
+        const rows = Array.isArray(body) ? body : body.results || body.scores || [];
+        const raw = new Array(chunks.length).fill(0);
+        rows.forEach((row, j) => {
+          const i = typeof row === "number" ? j : Number(row.index ?? j);
+          const s = typeof row === "number" ? row : Number(row.score ?? row.relevance_score);
+          if (i >= 0 && i < chunks.length && Number.isFinite(s)) raw[i] = s;
+        });
+        // Cross-encoders return logits on some servers and probabilities on others
+        return raw.every((s) => s >= 0 && s <= 1) ? raw : raw.map((s) => 1 / (1 + Math.exp(-s)));
+      } catch (e) {
+        logger.warn("Cross-encoder rerank failed, using lexical scorer:", e?.message || e);
+        return fallback.score(query, chunks);
+      }
+    },
+  };
+}
+
+export function createScorer(name, opts = {}) {
+  const logger = opts.logger || console;
+  switch (String(name || "lexical")) {
+    case "lexical": return createLexicalScorer();
+    case "llm":
+      if (typeof opts.chat !== "function") throw new Error('Rerank scorer "llm" needs a chat function');
+      return createLlmScorer({ chat: opts.chat, logger });
+    case "crossEncoder":
+      if (!opts.crossEncoderUrl) throw new Error('Rerank scorer "crossEncoder" needs RERANK_CROSS_ENCODER_URL');
+      return createCrossEncoderScorer({ url: opts.crossEncoderUrl, logger });
+    default: throw new Error(`Unknown rerank scorer "${name}"`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Diversity
+// ---------------------------------------------------------------------------
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  a.forEach((t) => { if (b.has(t)) inter++; });
+  return inter / (a.size + b.size - inter);
+}
+
+/** Text overlap, raised for chunks of the same file (a deck repeats its own framing on every page) */
+function chunkSimilarity(a, b, sameFileWeight) {
+  const text = jaccard(a.terms, b.terms);
+  const sameFile = a.chunk.fileId && a.chunk.fileId === b.chunk.fileId ? sameFileWeight : 0;
+  return Math.min(1, Math.max(text, sameFile + text * (1 - sameFile)));
+}
+
+/** Maximal marginal relevance: items = [{ chunk, relevance, terms }] */
+export function selectMmr(items, { limit, lambda = 0.7, sameFileWeight = 0.5 } = {}) {
+  const pool = items.slice();
+  const picked = [];
+  while (pool.length && picked.length < limit) {
+    let best = 0;
+    let bestValue = -Infinity;
+    pool.forEach((item, i) => {
+      const redundancy = picked.length ? Math.max(...picked.map((p) => chunkSimilarity(item, p, sameFileWeight))) : 0;
+      const value = lambda * item.relevance - (1 - lambda) * redundancy;
+      if (value > bestValue) { bestValue = value; best = i; }
+    });
+    const [item] = pool.splice(best, 1);
+    picked.push({ ...item, redundancy: picked.length ? Math.max(...picked.map((p) => chunkSimilarity(item, p, sameFileWeight))) : 0 });
+  }
+  return picked;
+}
+
+// ---------------------------------------------------------------------------
+// Reranker
+// ---------------------------------------------------------------------------
+
+/**
+ * opts = { scorer: "lexical" | "llm" | "crossEncoder", chat, crossEncoderUrl, logger,
+ *          topN = 12, maxTopN = 30, candidates = 40, lambda = 0.7, relevanceWeight = 0.75, sameFileWeight = 0.5 }
+ * rerank(query, chunks, { topN, clientId }) → { chunks: topN chunks (rerankScore set), meta }
+ * (a per-call topN — it can come from a request — is capped at maxTopN)
+ * (the options object is passed through to the scorer, so the LLM judge can route per library)
+ */
+export function createReranker(opts = {}) {
+  const logger = opts.logger || console;
+  const topN = Math.max(1, Number(opts.topN) || 12);
+  const maxTopN = Math.max(topN, Number(opts.maxTopN) || 30);
+  const candidates = Math.max(topN, Number(opts.candidates) || 40);
+  const lambda = Number.isFinite(Number(opts.lambda)) ? Number(opts.lambda) : 0.7;
+  const relevanceWeight = Number.isFinite(Number(opts.relevanceWeight)) ? Number(opts.relevanceWeight) : 0.75;
+  const sameFileWeight = Number.isFinite(Number(opts.sameFileWeight)) ? Number(opts.sameFileWeight) : 0.5;
+  const scorer = createScorer(opts.scorer, opts);
+
+  return {
+    scorer: scorer.name,
+    async rerank(query, chunks, overrides = {}) {
+      const limit = Math.min(maxTopN, Math.max(1, Number(overrides.topN) || topN));
+      const pool = (chunks || []).slice(0, candidates);
+      if (!pool.length) return { chunks: [], meta: { scorer: scorer.name, candidates: 0, kept: 0, lambda } };
+
+      const relevance = await scorer.score(query, pool, overrides);
+      const maxRetrieval = Math.max(...pool.map((c) => Number(c.score) || 0)) || 1;
+      const items = pool.map((chunk, i) => ({
+        chunk,
+        terms: new Set(tokenize(chunk.textSnippet)),
+        relevance: relevanceWeight * (relevance[i] || 0) + (1 - relevanceWeight) * ((Number(chunk.score) || 0) / maxRetrieval),
+      }));
+      const picked = selectMmr(items, { limit, lambda, sameFileWeight });
+      const out = picked.map((p) => ({
+        ...p.chunk,
+        retrievalScore: p.chunk.score,
+        rerankScore: Number(p.relevance.toFixed(4)),
+      }));
+      logger.info(`Rerank (${scorer.name}): kept ${out.length} of ${pool.length} candidates from ${new Set(out.map((c) => c.fileId || c.fileName)).size} files`);
+      return {
+        chunks: out,
+        meta: {
+          scorer: scorer.name,
+          candidates: pool.length,
+          kept: out.length,
+          dropped: (chunks || []).length - out.length,
+          lambda,
+          files: new Set(out.map((c) => c.fileId || c.fileName)).size,
+        },
+      };
+    },
+  };
+}
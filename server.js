@@ -20,61 +20,25 @@ async function __loadCanvasFlexible() {
 /* === MR Broker Server â€“ FULL v12 (ESM/CJS safe, no early returns in stats) === */
 
 // ===== Dashboard payload builder (intent-aware; async) =====
-async function buildDashboardPayload({answer, themes, relevantChunks, mostRecentRef}){
+// The question's intent (intent.js) picks the layout; dashboard.js fills each card from the
+// themes, data tables, trends and references of this search.
+async function buildDashboardPayload({answer, query, themes, relevantChunks, mostRecentRef, taxonomy, tables}){
   try{
-    // Snapshot (prefer canonical chartData)
-    let snapshot = null;
-    const charts = (themes||[]).map(t=>t.chartData).filter(Boolean);
-    let c = Array.isArray(charts) ? charts.find(x=>x && x._preferred) || charts.find(x=>x && x.type==='pie') : charts;
-    if (Array.isArray(c)) c = c[0];
-    if (c && c.series && c.series.length){
-      snapshot = {
-        type: "pie",
-        asOf: (mostRecentRef && (mostRecentRef.yearTag||mostRecentRef.monthTag)) ? `${mostRecentRef.monthTag||''} ${mostRecentRef.yearTag||''}`.trim() : null,
-        labels: c.series.map(s=> s.label),
-        values: c.series.map(s=> Number(s.value)||0),
-        colors: (Array.isArray(c.colors) && c.colors.length? c.colors : (Array.isArray(c.series) ? c.series.map(s=> (s && s.color) || null) : null))
-      };
-      // label -> color map (preserve report palette)
-      if (c.series){
-        const cmap = {};
-        c.series.forEach((s,i)=>{
-          if (s && s.label){
-            const col = s.color || (snapshot.colors && snapshot.colors[i]) || null;
-            if (col) cmap[s.label] = col;
-          }
-        });
-        if (Object.keys(cmap).length) snapshot.colorMap = cmap;
-      }
-    }
+    const intent = classifyIntent(query);
+    const parserCfg = loadParserConfig(DATA_PARSER_PATH);
 
-    // Trend from dated snippets (if available, 2+ timepoints)
-    let trend = null;
-    if (typeof buildTrendFromChunks === 'function'){
-      trend = buildTrendFromChunks(relevantChunks) || null;
+    // Metrics tracked across waves / report dates (2+ timepoints per series)
+    let trends = null;
+    try {
+      const found = buildTrends({ chunks: relevantChunks, tables, taxonomy, waveRegex: parserCfg.waveRegex, metrics: parserCfg.trendMetrics });
+      if (found.metrics.length) trends = found;
+    } catch (e) {
+      logger.warn('buildTrends failed:', e?.message || e);
     }
 
-    // Drivers (frequency of bullets)
-    let drivers = null;
-    const counts = {};
-    (themes||[]).forEach(t=> (t.bullets||[]).forEach(b=>{
-      const k = String(b).split(':')[0].trim().toLowerCase();
-      if (k) counts[k] = (counts[k]||0)+1;
-    }));
-    const top = Object.entries(counts).sort((a,b)=>b[1]-a[1]).slice(0,5);
-    if (top.length){ drivers = { type:"bars", items: top.map(([k,v])=>({label: k[0].toUpperCase()+k.slice(1), value:v})) }; }
-
-    // Quotes (HCP/Patient/Caregiver only)
-    const quotes = [];
-    (themes||[]).forEach(t=> (t.quotes||[]).forEach(q=>{
-      if (!q || !q.text || !q.speaker) return;
-      const s = String(q.speaker).toLowerCase();
-      if (s==='hcp' || s==='patient' || s==='caregiver') quotes.push({text:q.text, speaker:q.speaker});
-    }));
-
     // Reports: enrich with Drive preview + thumbnail
     const reports = await (async () => {
-      const arr = (relevantChunks || []).slice(0, 6);
+      const arr = (relevantChunks || []).filter(c => c.sourceType !== 'table').slice(0, 6);
       const out = [];
       for (const c of arr) {
         let thumb = null, preview = null;
@@ -102,11 +66,13 @@ async function buildDashboardPayload({answer, themes, relevantChunks, mostRecent
 
     console.log('Debug - Server generating reports:', reports);
     console.log('Debug - First report:', reports[0]);
-    return { headline: answer, snapshot, trend, drivers, quotes: quotes.slice(0, 4), reports };
+    const cards = buildDashboardCards({ intent, query, themes, chunks: relevantChunks, tables, trends, taxonomy, waveRegex: parserCfg.waveRegex, mostRecentRef, reports });
+    logger.info(`Dashboard intent "${intent.id}" (${intent.confidence}): ${cards.map(c => c.slot).join(', ') || 'no cards'}`);
+    return { headline: answer, intent: { id: intent.id, label: intent.label, confidence: intent.confidence, matched: intent.matched }, cards };
   }catch(e){
     console.error('Error in buildAnalysisResponse:', e);
     console.error('Stack trace:', e.stack);
-    return { headline: answer, reports: [] }; // Return empty reports array instead of undefined
+    return { headline: answer, intent: null, cards: [] };
   }
 }
 
@@ -125,6 +91,14 @@ async function __downloadDriveFile(fileId) {
   return Buffer.from(resp.data);
 }
 
+// --- helper to export a native Google file (Docs/Sheets/Slides) as Buffer ---
+async function __exportDriveFile(fileId, mimeType) {
+  const auth = getAuth && typeof getAuth === 'function' ? getAuth() : undefined;
+  const drive = google.drive({ version: 'v3', auth });
+  const resp = await drive.files.export({ fileId, mimeType }, { responseType: 'arraybuffer' });
+  return Buffer.from(resp.data);
+}
+
 import { fileURLToPath } from 'node:url';
 import { createWriteStream } from 'fs';
 import { mkdirSync, rmSync } from 'fs';
@@ -179,40 +153,6 @@ function buildDrivePreviewUrl(fileId, page){
   return `https://drive.google.com/file/d/${fileId}/preview${p}`;
 }
 
-// ===== Extract trend from snippets across timepoints =====
-function extractSharesFromText(text){
-  if (!text) return null;
-  const out = {};
-  const reLabelVal = /(Evrysdi|Spinraza|Zolgensma|Untreated)\s*(?:-|:)?\s*(\d{1,2})(?:\.\d+)?\s*%/gi;
-  let m;
-  while((m = reLabelVal.exec(text))){
-    const L = m[1]; const v = Number(m[2]);
-    out[L] = v;
-  }
-  const keys = Object.keys(out);
-  return keys.length ? out : null;
-}
-
-function buildTrendFromChunks(chunks){
-  // group by (year, month)
-  const pts = {};
-  (chunks||[]).forEach(c=>{
-    const y = Number(c.yearTag)||0; const m = monthToNum(c.monthTag||'');
-    if (!y) return;
-    const key = `${y}-${String(m).padStart(2,'0')}`;
-    const parsed = extractSharesFromText(c.textSnippet||'');
-    if (parsed){
-      pts[key] = Object.assign(pts[key]||{}, parsed);
-    }
-  });
-  const keys = Object.keys(pts).sort();
-  if (keys.length < 2) return null;
-  const labels = ["Evrysdi","Spinraza","Zolgensma","Untreated"];
-  const series = labels.map(L=> ({ label:L, values: keys.map(k=> pts[k][L] ?? null) }));
-  return { type: 'lines', timepoints: keys, labels, series };
-}
-
-
 async function extractTagsFromTitlePage(fileId){
   try{
     const pdfjsLoad = (typeof __loadPdfjsFlexible === 'function') ? await __loadPdfjsFlexible() : { mod: null };
@@ -224,23 +164,28 @@ async function extractTagsFromTitlePage(fileId){
     const doc = await pdfjsLib.getDocument({ data: new Uint8Array(pdfBuffer) }).promise;
     const page = await doc.getPage(1);
     const tc = await page.getTextContent();
-    const text = (tc.items||[]).map(it=>it.str).join(' ').replace(/\s+/g,' ').trim();
-    const monthWord = (text.match(/\b(January|February|March|April|May|June|July|August|September|October|November|December)\b/i)||[])[0] || '';
-    const month = monthWord ? monthWord.slice(0,3) : '';
-    const y = (text.match(/\b(20\d{2})\b/)||[])[1] || '';
-    const lower = text.toLowerCase();
-    let report = '';
-    if (lower.includes('conjoint')) report = 'Conjoint';
-    else if (lower.includes('atu')) report = 'ATU';
-    else if (lower.includes('integrated') || lower.includes('pmr') || lower.includes('quant')) report = 'PMR';
-    else if (lower.includes('competitive')) report = 'Competitive Readiness';
-    else if (lower.includes('tracker')) report = 'Tracker';
-    return { year:y||'', month:month||'', report };
+    return tagsFromTitleText((tc.items||[]).map(it=>it.str).join(' '));
   }catch(e){
     return { year:'', month:'', report:'' };
   }
 }
 
+// Year / month / report type named on a title page (first page text)
+function tagsFromTitleText(rawText){
+  const text = String(rawText||'').replace(/\s+/g,' ').trim();
+  const monthWord = (text.match(/\b(January|February|March|April|May|June|July|August|September|October|November|December)\b/i)||[])[0] || '';
+  const month = monthWord ? monthWord.slice(0,3) : '';
+  const y = (text.match(/\b(20\d{2})\b/)||[])[1] || '';
+  const lower = text.toLowerCase();
+  let report = '';
+  if (lower.includes('conjoint')) report = 'Conjoint';
+  else if (lower.includes('atu')) report = 'ATU';
+  else if (lower.includes('integrated') || lower.includes('pmr') || lower.includes('quant')) report = 'PMR';
+  else if (lower.includes('competitive')) report = 'Competitive Readiness';
+  else if (lower.includes('tracker')) report = 'Tracker';
+  return { year:y||'', month:month||'', report };
+}
+
 async function ensureChunkTags(c){
   if (!c) return;
   const haveAll = c.yearTag && c.monthTag && c.reportTag;
@@ -259,18 +204,6 @@ async function ensureChunkTags(c){
 
 // ===== Helpers =====
 // recency + market share canonicalization (global scope) =====
-const SMA_LABELS = ["Evrysdi","Spinraza","Zolgensma","Untreated"];
-const COLOR_BY_LABEL = { Evrysdi:"#2563eb", Spinraza:"#16a34a", Zolgensma:"#f59e0b", Untreated:"#6b7280" };
-
-function normalizeLabel(lbl){
-  if(!lbl) return null;
-  const x = String(lbl).trim().toLowerCase();
-  if (x.startsWith("evry")) return "Evrysdi";
-  if (x.startsWith("spin")) return "Spinraza";
-  if (x.startsWith("zol")) return "Zolgensma";
-  if (x.includes("untreat") || x.includes("no treat") || x.includes("none")) return "Untreated";
-  return String(lbl).trim();
-}
 
 function monthToNum(m){
   if (!m) return 0;
@@ -287,12 +220,15 @@ function preferMostRecent(chunks){
   return { mostRecent: arr[0] || null, ordered: arr };
 }
 
-function canonicalizeMarketShareChart(chart){
-  if (!chart || !Array.isArray(chart.series)) return chart;
+// Product labels folded onto the library's taxonomy (aliases and generics merge into the brand), in
+// taxonomy order with brand colours; charts with no product labels (barriers, attributes) are left alone
+function canonicalizeMarketShareChart(chart, taxonomy){
+  if (!chart || !Array.isArray(chart.series) || !taxonomy?.products.length) return chart;
+  if (!chart.series.some(s=> s && taxonomy.productFor(s.label))) return chart;
   const map = new Map();
   chart.series.forEach(s=>{
     if(!s) return;
-    const L = normalizeLabel(s.label);
+    const L = taxonomy.normalizeLabel(s.label);
     if (!L) return;
     const val = Number(s.value)||0;
     map.set(L, (map.get(L)||0) + val);
@@ -300,9 +236,13 @@ function canonicalizeMarketShareChart(chart){
   // If totals look like a pie, force pie
   const sum = Array.from(map.values()).reduce((a,b)=>a+b,0);
   if (sum>=90 && sum<=110) chart.type = "pie";
-  const series = SMA_LABELS.map(L=> ({ label:L, value: map.get(L)||0, color: COLOR_BY_LABEL[L] }));
-  chart.series = series.filter(s=> s.value>0);
-  chart.colors = chart.series.map(s=> s.color);
+  const products = taxonomy.products.map(p=> p.name).filter(L=> map.has(L));
+  const others = [...map.keys()].filter(L=> !products.includes(L));
+  chart.series = [...products, ...others]
+    .map(L=> ({ label:L, value: map.get(L), ...(taxonomy.colorFor(L) ? { color: taxonomy.colorFor(L) } : {}), ...(taxonomy.groupOf(L) ? { group: taxonomy.groupOf(L) } : {}) }))
+    .filter(s=> s.value>0);
+  chart.colors = chart.series.map(s=> s.color || null);
+  chart.colorMap = taxonomy.colorMap;
   chart.legend = chart.series.map(s=> s.label);
   chart._preferred = true;
   return chart;
@@ -315,9 +255,23 @@ import cors from "cors";
 import dotenv from "dotenv";
 import session from "express-session";
 import bcrypt from "bcryptjs";
-import OpenAI from "openai";
 import { google } from "googleapis";
 import crypto from "node:crypto";
+import { chunkPages, chunkVectorId } from "./chunking.js";
+import { extractPages, extractorFor } from "./extractors.js";
+import { loadParserConfig, parseCrosstabWorkbook, findTables, tableToText } from "./crosstab.js";
+import { createSyncJobQueue, summarizeJob } from "./sync_jobs.js";
+import { createVectorStore } from "./vector_store.js";
+import { createLlmRouter, loadLlmRoutes } from "./llm_providers.js";
+import { createKeywordIndex, fuseRankings, tokenize } from "./keyword_index.js";
+import { createReranker } from "./rerank.js";
+import { loadTokenCounter, buildContext } from "./context_builder.js";
+import { verifyCitations, verifyBullets, citationNumbers } from "./citation_check.js";
+import { scoreConfidence, closestDocuments } from "./confidence.js";
+import { normalizeTaxonomy, compileTaxonomy, loadTaxonomies } from "./taxonomy.js";
+import { buildTrends } from "./trends.js";
+import { classifyIntent } from "./intent.js";
+import { buildDashboardCards } from "./dashboard.js";
 
 dotenv.config({ path: path.resolve(process.cwd(), ".env"), override: true });
 
@@ -330,6 +284,10 @@ const config = {
   },
   ai: {
     openaiKey: process.env.OPENAI_API_KEY,
+    // openai (any OpenAI-compatible endpoint via OPENAI_BASE_URL) or fixture (offline, deterministic)
+    provider: process.env.LLM_PROVIDER || "openai",
+    openaiBaseUrl: process.env.OPENAI_BASE_URL || undefined,
+    fixtureEmbeddingDim: Number(process.env.FIXTURE_EMBEDDING_DIM) || 256,
     embeddingModel: process.env.EMBEDDING_MODEL || "text-embedding-3-small",
     answerModel: process.env.ANSWER_MODEL || "gpt-4o-mini",
     defaultTopK: Number(process.env.DEFAULT_TOPK) || 50,
@@ -338,6 +296,11 @@ const config = {
     apiKey: process.env.PINECONE_API_KEY,
     indexHost: process.env.PINECONE_INDEX_HOST,
   },
+  vectorStore: {
+    // auto = Pinecone when PINECONE_INDEX_HOST is set, otherwise the local file store
+    backend: process.env.VECTOR_STORE || "auto",
+    localDir: process.env.VECTOR_STORE_DIR || path.join(process.env.DATA_CACHE_DIR || path.resolve(process.cwd(), "data-cache"), "vectors"),
+  },
   drive: {
     rootFolderId: process.env.DRIVE_ROOT_FOLDER_ID || "",
     keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS || "",
@@ -350,12 +313,63 @@ const config = {
     skipManifestFilter: process.env.SKIP_MANIFEST_FILTER === "true",
     maxThemes: Number(process.env.MAX_THEMES) || 50,
     scoreThreshold: Number(process.env.SEARCH_SCORE_THRESHOLD || 0.5),
+    // Hybrid retrieval: BM25 keyword matches fused with vector matches (reciprocal-rank fusion).
+    // There is no threshold on the fused score: an RRF score comes from ranks alone (every list has a
+    // rank 1), so it cannot tell a weak match from a strong one. Fusion only orders the matches; a match
+    // is relevant when its cosine reaches scoreThreshold or the chunk holds at least keywordMinCoverage
+    // (0-1) of the query's distinct terms. The top-K fallback applies when neither passes.
+    hybrid: String(process.env.HYBRID_SEARCH || "true").toLowerCase() !== "false",
+    rrfK: Number(process.env.RRF_K) || 60,
+    keywordMinCoverage: Number(process.env.KEYWORD_MIN_COVERAGE || 0.6),
+    // Reranking between retrieval and the prompts: only the top N chunks are sent to the LLM
+    rerank: {
+      scorer: process.env.RERANK_SCORER || "lexical",   // lexical | llm | crossEncoder | none
+      topN: Number(process.env.RERANK_TOP_N) || 12,
+      maxTopN: Number(process.env.RERANK_MAX_TOP_N) || 30,   // upper bound for a request's rerankTopN
+      candidates: Number(process.env.RERANK_CANDIDATES) || 40,
+      lambda: Number(process.env.RERANK_MMR_LAMBDA || 0.7),
+      crossEncoderUrl: process.env.RERANK_CROSS_ENCODER_URL || "",
+    },
+    // Prompt context budgets, counted with the tokenizer of the model each call site resolves to
+    context: {
+      answerTokens: Number(process.env.CONTEXT_TOKEN_BUDGET) || 6000,
+      themeTokens: Number(process.env.THEME_CONTEXT_TOKEN_BUDGET) || 3000,
+      maxChunkTokens: Number(process.env.CONTEXT_MAX_CHUNK_TOKENS) || 600,
+      expandNeighbours: String(process.env.CONTEXT_EXPAND_NEIGHBOURS || "true").toLowerCase() !== "false",
+    },
+    // Citation verification on answers and theme bullets: flag (mark claims) | remove (drop unsupported sentences) | off
+    citationCheck: (process.env.CITATION_CHECK || "flag").toLowerCase(),
+    // Below this confidence (0..1, see confidence.js) the answer says the library doesn't cover the question
+    confidenceMin: Number(process.env.CONFIDENCE_MIN || 0.35),
+    // Conversation threads: prior turns used to rewrite follow-ups and shown to the answer prompt
+    threadContextTurns: Number(process.env.THREAD_CONTEXT_TURNS) || 3,
+    maxThreadTurns: Number(process.env.MAX_THREAD_TURNS) || 50,
+    maxThreadsPerUser: Number(process.env.MAX_THREADS_PER_USER) || 100,
+    maxHistoryPerUser: Number(process.env.MAX_SEARCH_HISTORY_PER_USER) || 200,
+  },
+  ingest: {
+    chunkChars: Number(process.env.INGEST_CHUNK_CHARS) || 1800,
+    chunkOverlap: Number(process.env.INGEST_CHUNK_OVERLAP ?? 200),
+    embedBatchSize: Number(process.env.INGEST_EMBED_BATCH) || 64,
+    upsertBatchSize: Number(process.env.INGEST_UPSERT_BATCH) || 100,
   },
   autoIngest: {
     onStart: String(process.env.AUTO_INGEST_ON_START || "false").toLowerCase() === "true",
     startDelayMs: Number(process.env.AUTO_INGEST_DELAY_MS || 2000),
     syncIntervalMs: Number(process.env.AUTO_SYNC_INTERVAL_MS || 3600000),
   },
+  sync: {
+    jobConcurrency: Number(process.env.SYNC_JOB_CONCURRENCY) || 1,
+    jobHistory: Number(process.env.SYNC_JOB_HISTORY) || 50,
+  },
+  // Saved questions re-run after syncs; alerts go to in-app notifications and, optionally, a webhook
+  alerts: {
+    webhookUrl: process.env.ALERT_WEBHOOK_URL || "",
+    webhookToken: process.env.ALERT_WEBHOOK_TOKEN || "",
+    headlineSimilarity: Number(process.env.ALERT_HEADLINE_SIMILARITY || 0.6),
+    maxSavedPerUser: Number(process.env.MAX_SAVED_QUESTIONS_PER_USER) || 50,
+    maxNotificationsPerUser: Number(process.env.MAX_NOTIFICATIONS_PER_USER) || 200,
+  },
 };
 
 const logger = {
@@ -423,13 +437,13 @@ async function serveHtmlWithUi(res, filePath) {
         // Enhanced color selection with brand colors
         let backgroundColor, borderColor;
         if (chartType === 'pie') {
+          // Brand colours from the library's product taxonomy (longest matching term wins)
+          const brandColors = chartData.colorMap || window.productColorMap || {};
+          const brandTerms = Object.keys(brandColors).sort((a, b) => b.length - a.length);
           backgroundColor = labels.map(label => {
             const lowerLabel = label.toLowerCase();
-            // Match pharmaceutical product colors
-            if (lowerLabel.includes('evrysdi') || lowerLabel.includes('risdiplam')) return '#ff7a00';
-            if (lowerLabel.includes('spinraza') || lowerLabel.includes('nusinersen')) return '#2563eb';
-            if (lowerLabel.includes('zolgensma') || lowerLabel.includes('onasemnogene')) return '#16a34a';
-            if (lowerLabel.includes('untreated') || lowerLabel.includes('no treatment')) return '#94a3b8';
+            const brand = brandTerms.find(term => lowerLabel.includes(term));
+            if (brand) return brandColors[brand];
             if (lowerLabel.includes('other') || lowerLabel.includes('others')) return '#6366f1';
             
             // Fallback to orange palette
@@ -623,6 +637,9 @@ app.use(session({
 const CONFIG_DIR = path.resolve(process.cwd(), "config");
 const USERS_PATH = path.join(CONFIG_DIR, "users.json");
 const MANIFEST_DIR = path.join(CONFIG_DIR, "manifests");
+const DATA_PARSER_PATH = path.join(CONFIG_DIR, "data-parser.json");
+const TAXONOMIES_PATH = path.join(CONFIG_DIR, "taxonomies.json");
+const TABLES_DIR = path.join(config.data.cacheDir, "tables");
 
 // Wrapped for maximum compatibility (no top-level await)
 ;(async () => {
@@ -630,6 +647,7 @@ const MANIFEST_DIR = path.join(CONFIG_DIR, "manifests");
     await fsp.mkdir(CONFIG_DIR, { recursive: true });
     await fsp.mkdir(MANIFEST_DIR, { recursive: true });
     await fsp.mkdir(config.data.cacheDir, { recursive: true });
+    await fsp.mkdir(TABLES_DIR, { recursive: true });
   } catch (e) {
     logger.error("mkdir bootstrap failed:", e?.message || e);
   }
@@ -694,28 +712,62 @@ function getAuth(){
   throw new Error("Google credentials missing");
 }
 
-const openai = new OpenAI({ apiKey: config.ai.openaiKey });
+// Chat + embedding providers, routed per call site and per library (config/llm-routes.json overrides)
+// A library routed to another provider (e.g. a self-hosted one) sends every call site below to it, so that
+// provider needs a model for each of them — see config/llm-routes.example.json.
+const LLM_ROUTES_PATH = process.env.LLM_ROUTES_PATH || path.join(CONFIG_DIR, "llm-routes.json");
+const llm = createLlmRouter(loadLlmRoutes({
+  defaultProvider: config.ai.provider,
+  providers: {
+    openai: { type: "openai", apiKey: config.ai.openaiKey, baseURL: config.ai.openaiBaseUrl },
+    fixture: { type: "fixture", fixturesPath: path.join(CONFIG_DIR, "llm-fixtures.json"), dimensions: config.ai.fixtureEmbeddingDim }
+  },
+  callSites: {
+    answer: { model: config.ai.answerModel, temperature: 0.2, maxTokens: 500 },
+    themeAssign: { model: config.ai.answerModel, temperature: 0.7, maxTokens: 800 },
+    themeDetail: { model: config.ai.answerModel, temperature: 0.3, maxTokens: 1200 },
+    rerank: { model: config.ai.answerModel, temperature: 0, maxTokens: 900 },
+    queryRewrite: { model: config.ai.answerModel, temperature: 0, maxTokens: 120 },
+    cardRefine: { model: config.ai.answerModel, temperature: 0.3, maxTokens: 900 },
+    embedding: { model: config.ai.embeddingModel }
+  }
+}, LLM_ROUTES_PATH));
+
+// Embeddings for a library namespace (ingest and query must resolve to the same model)
+async function embedTexts(texts, clientId){
+  return llm.embed(texts, { clientId });
+}
+
+// Vector index used by sync, search and admin stats (see vector_store.js for the backends)
+const vectorStore = createVectorStore({ ...config.vectorStore, pinecone: config.pinecone });
+logger.info(`Vector store backend: ${vectorStore.backend}`);
+
+// Second-pass ordering of retrieved chunks (see rerank.js); RERANK_SCORER=none keeps retrieval order
+const reranker = config.search.rerank.scorer === "none" ? null : createReranker({
+  ...config.search.rerank,
+  logger,
+  chat: (messages, { clientId } = {}) => llm.chat("rerank", { clientId, messages, json: true })
+});
+
+// BM25 index over the same chunks (kept in step with the vector store by ingest / delete / rename)
+const keywordIndex = createKeywordIndex({ dir: path.join(config.data.cacheDir, "keyword-index") });
 
-async function embedTexts(texts){
-  const r = await openai.embeddings.create({ model: config.ai.embeddingModel, input: texts });
-  return r.data.map(d=>d.embedding);
+// Tokenizer for the model a call site resolves to in this library
+function tokenCounterFor(site, clientId){
+  return loadTokenCounter(llm.resolve(site, clientId).model);
 }
 
-async function pineconeQuery(vector, namespace, topK){
-  const r = await fetch(`${config.pinecone.indexHost}/query`, {
-    method:"POST",
-    headers:{ "Content-Type":"application/json", "Api-Key": config.pinecone.apiKey },
-    body: JSON.stringify({ vector, topK, includeMetadata:true, namespace })
-  });
-  if(!r.ok){ throw new Error(`Pinecone query failed: ${await r.text()}`); }
-  return r.json();
+// Adjacent chunks of the same file (next page first), read back from the keyword index
+function neighbourChunks(chunk, namespace){
+  const ids = [chunk.chunkIndex + 1, chunk.chunkIndex - 1].filter(i => i >= 0).map(i => chunkVectorId(chunk.fileId, i));
+  return keywordIndex.get(ids, namespace).map(({ metadata }) => ({ page: metadata.page, chunkIndex: metadata.chunkIndex, text: metadata.text }));
 }
 
 // === FIXED Supporting Findings helpers ===
-async function proposeThemeAssignments(openai, model, userQuery, chunks) {
+async function proposeThemeAssignments(ai, userQuery, chunks) {
   const refs = (chunks || []).map((c, i) => ({
     id: c.id || `ref${i + 1}`,
-    text: c.textSnippet,
+    text: c.textSnippet || '',
     file: c.fileName
   }));
 
@@ -728,10 +780,13 @@ async function proposeThemeAssignments(openai, model, userQuery, chunks) {
     }];
   }
 
+  // Each reference gets an equal share of the budget (a short excerpt is enough to group it)
+  const counter = await tokenCounterFor("themeAssign", ai.clientId);
+  const perRef = Math.max(20, Math.min(80, Math.floor(config.search.context.themeTokens / refs.length)));
   const prompt = `Create up to 10 DISTINCT themes for: "${userQuery}"
 
 Available references (assign each to EXACTLY ONE theme):
-${refs.map(r => `${r.id}: ${r.text.substring(0, 200)}...`).join("\n\n")}
+${refs.map(r => `${r.id}: ${counter.truncate(r.text, perRef)}`).join("\n\n")}
 
 RULES:
 - Create up to 10 themes that don't overlap
@@ -746,16 +801,13 @@ Return JSON:
   {"title":"Theme 3 Name", "refIds":["ref4","ref5"]}
 ]}`;
 
-  const cmp = await openai.chat.completions.create({
-    model,
-    temperature: 0.7,
-    response_format: { type: "json_object" },
-    messages: [{ role: "user", content: prompt }],
-    max_tokens: 800
+  const cmp = await ai.chat("themeAssign", {
+    json: true,
+    messages: [{ role: "user", content: prompt }]
   });
 
   try {
-    const data = JSON.parse(cmp.choices[0]?.message?.content || "{}");
+    const data = JSON.parse(cmp.content || "{}");
     let themes = Array.isArray(data.themes) ? data.themes : [];
     
     // Ensure no reference appears in multiple themes
@@ -813,20 +865,29 @@ Return JSON:
   }
 }
 
-async function buildSupportingThemes(openai, model, userQuery, chunks) {
+// opts.onTheme(theme, index) fires as each theme completes; opts.signal stops early when aborted
+async function buildSupportingThemes(ai, userQuery, chunks, opts = {}) {
   if (!chunks || chunks.length === 0) {
     return [];
   }
 
-  const proposals = await proposeThemeAssignments(openai, model, userQuery, chunks);
+  const proposals = await proposeThemeAssignments(ai, userQuery, chunks);
   const byId = Object.fromEntries((chunks || []).map(c => [c.id, c]));
+  const counter = await tokenCounterFor("themeDetail", ai.clientId);
   const out = [];
 
   for (const th of proposals) {
+    if (opts.signal?.aborted) break;
     const refs = (th.refIds || []).map(id => byId[id]).filter(Boolean);
     if (!refs.length) continue;
 
-    const themeContext = refs.map(r => `[${r.id}] ${r.textSnippet}`).join("\n\n");
+    const packed = await buildContext(refs.map(r => ({ ...r, textSnippet: r.contextText || r.textSnippet })), {
+      counter,
+      budget: config.search.context.themeTokens,
+      maxChunkTokens: config.search.context.maxChunkTokens,
+      format: (c) => `[${c.id}] ${c.contextText}`
+    });
+    const themeContext = packed.chunks.map(r => `[${r.id}] ${r.contextText}`).join("\n\n");
     
     const prompt = `Analyze "${th.title}" theme using ONLY these references:
 
@@ -856,17 +917,14 @@ JSON format:
   "quotes": [{"text": "actual quoted text", "speaker": "Patient"}]
 }`;
 
-    const cmp = await openai.chat.completions.create({
-      model,
-      temperature: 0.3,
-      response_format: { type: "json_object" },
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: 1200
+    const cmp = await ai.chat("themeDetail", {
+      json: true,
+      messages: [{ role: "user", content: prompt }]
     });
 
     let obj = {};
     try { 
-      obj = JSON.parse(cmp.choices[0]?.message?.content || "{}");
+      obj = JSON.parse(cmp.content || "{}");
     } catch {
       logger.warn("Failed to parse theme JSON, skipping");
       continue;
@@ -896,7 +954,7 @@ JSON format:
           title: obj.title
         };
         if (obj.chartData) { 
-          obj.chartData = canonicalizeMarketShareChart(obj.chartData); 
+          obj.chartData = canonicalizeMarketShareChart(obj.chartData, taxonomyFor(ai.clientId)); 
           obj.chartData._preferred = true; 
         }
       } else {
@@ -909,6 +967,8 @@ JSON format:
     // Ensure unique bullets
     const bullets = Array.isArray(obj.bullets) ? obj.bullets : [];
     const uniqueBullets = [...new Set(bullets)].slice(0, 4);
+    // [n] in bullets numbers the full reference list, like the answer
+    const checked = config.search.citationCheck === 'off' ? null : verifyBullets(uniqueBullets, chunks, { mode: config.search.citationCheck });
 
     // FIXED: Strict quote filtering - only allow Patient, Caregiver, HCP
     const validQuotes = Array.isArray(obj.quotes) ?
@@ -924,10 +984,12 @@ JSON format:
     out.push({
       title: obj.title,
       subtitle: obj.subtitle,
-      bullets: uniqueBullets,
+      bullets: checked ? checked.bullets : uniqueBullets,
       chartData: obj.chartData,
-      quotes: validQuotes
+      quotes: validQuotes,
+      ...(checked ? { citationCheck: { claims: checked.claims, summary: checked.summary } } : {})
     });
+    if (typeof opts.onTheme === 'function') opts.onTheme(out[out.length - 1], out.length - 1);
 
     if (out.length >= 4) break;
   }
@@ -936,110 +998,491 @@ JSON format:
   return out;
 }
 
+// Bump when the vector layout changes so already-processed files are re-ingested (2 = page-level chunks)
+const INGEST_VERSION = 2;
+
 // === FIXED Google Drive sync (using current manifest files) ===
-async function syncGoogleDriveData() {
+// Queues one background job per library and returns the jobs without waiting for them.
+// options.fullRescan forces a recursive walk instead of the Changes API (admin action),
+// options.clientId limits the sync to one library, options.trigger labels the job (manual / schedule / startup).
+async function syncGoogleDriveData(options = {}) {
   if (!config.drive.rootFolderId) {
     logger.warn("No Google Drive root folder configured - skipping sync");
-    return;
+    return [];
   }
 
   try {
-    logger.info("ðŸ”„ Starting Google Drive sync...");
-    
-    const drive = google.drive({ version: "v3", auth: authClient || getAuth() });
-    const clientFolders = await listClientFolders();
-    
-    for (const clientFolder of clientFolders) {
-      logger.info(`ðŸ“ Syncing client: ${clientFolder.name}`);
-      
-      // Get current files from Drive
-      const allFiles = await getAllFilesRecursively(drive, clientFolder.id);
-      
-      // Filter for supported file types
-      const supportedTypes = [
-        'application/pdf',
-        'application/vnd.google-apps.document',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'application/vnd.google-apps.presentation',
-        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-        'application/vnd.google-apps.spreadsheet',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-      ];
-      
-      const currentFiles = allFiles.filter(file => {
-        const isSupported = supportedTypes.includes(file.mimeType) || 
-                           file.mimeType.includes('document') || 
-                           file.mimeType.includes('presentation') || 
-                           file.mimeType.includes('spreadsheet') ||
-                           file.name.toLowerCase().endsWith('.pdf');
-        return isSupported;
-      });
+    const clientFolders = (await listClientFolders())
+      .filter(cf => !options.clientId || cf.id === options.clientId);
+
+    const jobs = clientFolders.map(cf => syncJobs.enqueue({
+      clientId: cf.id,
+      clientName: cf.name,
+      fullRescan: !!options.fullRescan,
+      trigger: options.trigger || 'manual',
+      requestedBy: options.requestedBy || null
+    }));
+    const fresh = jobs.filter(j => !j.deduplicated).length;
+    logger.info(`ðŸ”„ Google Drive sync queued${options.fullRescan ? ' (full rescan)' : ''}: ${fresh} new job(s), ${jobs.length - fresh} already pending`);
+    return jobs.map(j => ({ ...summarizeJob(j.job), deduplicated: j.deduplicated }));
+  } catch (error) {
+    logger.error("âš  Google Drive sync failed:", error.message);
+    throw error;
+  }
+}
 
-      // Load existing manifest
-      const manifestPath = path.join(MANIFEST_DIR, `${clientFolder.id}.json`);
-      let existingManifest = { files: [], lastUpdated: null };
-      
-      if (fs.existsSync(manifestPath)) {
-        try {
-          existingManifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-        } catch (e) {
-          logger.warn(`Failed to read manifest for ${clientFolder.name}:`, e.message);
-        }
-      }
+// Body of one sync job: the queue holds the library lock while this runs
+async function runSyncJob(job, progress){
+  const drive = google.drive({ version: "v3", auth: authClient || getAuth() });
+  const clientFolder = { id: job.clientId, name: job.clientName || job.clientId };
+  if (job.mode === 'reindex') {
+    await reindexLibraryFiles(clientFolder, job.fileIds || [], progress);
+    return;
+  }
+  const { changedFiles } = await syncClientLibrary(drive, clientFolder, { fullRescan: job.mode === 'full', progress });
+  logger.info(`âœ… Google Drive sync completed for ${clientFolder.name}`);
+  await rerunSavedQuestions(clientFolder.id, changedFiles, progress);
+}
 
-      // Update manifest with current files only (remove deleted files)
-      const updatedManifest = {
-        files: currentFiles.map(f => {
-          const existingFile = existingManifest.files.find(ef => ef.id === f.id);
-          return {
-            id: f.id,
-            name: f.name,
-            mimeType: f.mimeType,
-            modifiedTime: f.modifiedTime,
-            size: f.size || 0,
-            folderPath: f.folderPath,
-            processed: existingFile ? existingFile.processed : false
-          };
-        }),
-        lastUpdated: new Date().toISOString(),
-        clientId: clientFolder.id,
-        clientName: clientFolder.name
+const syncJobs = createSyncJobQueue({
+  run: runSyncJob,
+  persistPath: path.join(config.data.cacheDir, "sync-jobs.json"),
+  logger,
+  concurrency: config.sync.jobConcurrency,
+  maxHistory: config.sync.jobHistory
+});
+
+// Supported ingest types (native Google + Office + PDF)
+const SUPPORTED_MIME_TYPES = [
+  'application/pdf',
+  'application/vnd.google-apps.document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.google-apps.presentation',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.google-apps.spreadsheet',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+function isSupportedDriveFile(file){
+  const mime = String(file.mimeType || '');
+  return SUPPORTED_MIME_TYPES.includes(mime) ||
+         mime.includes('document') ||
+         mime.includes('presentation') ||
+         mime.includes('spreadsheet') ||
+         String(file.name || '').toLowerCase().endsWith('.pdf');
+}
+
+// options.progress receives per-file stages (see sync_jobs.js); a no-op when called outside a job.
+// Returns { changedFiles }: files added or modified in Drive and embedded by this run.
+async function syncClientLibrary(drive, clientFolder, options = {}) {
+  logger.info(`ðŸ“ Syncing client: ${clientFolder.name}`);
+  const progress = options.progress || { stage(){}, log(){}, set(){} };
+
+  // Load existing manifest
+  const manifestPath = path.join(MANIFEST_DIR, `${clientFolder.id}.json`);
+  let existingManifest = { files: [], lastUpdated: null };
+  
+  if (fs.existsSync(manifestPath)) {
+    try {
+      existingManifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (e) {
+      logger.warn(`Failed to read manifest for ${clientFolder.name}:`, e.message);
+    }
+  }
+
+  // Incremental listing from the stored change token; fall back to a full walk
+  const syncState = readSyncState();
+  const libState = syncState[clientFolder.id] || {};
+  let listing = null;
+  if (!options.fullRescan && libState.startPageToken && libState.folders && existingManifest.lastUpdated) {
+    try {
+      listing = await listFilesFromChanges(drive, clientFolder.id, existingManifest.files, libState);
+      logger.info(`Incremental sync for ${clientFolder.name}: ${listing.changeCount} changes since last run`);
+    } catch (e) {
+      logger.warn(`Incremental sync failed for ${clientFolder.name}, falling back to full scan:`, e?.message||e);
+    }
+  }
+  if (!listing) {
+    // Take the token before walking so edits made during the walk show up next run
+    const startPageToken = await getChangesStartToken(drive);
+    const folders = {};
+    const files = await getAllFilesRecursively(drive, clientFolder.id, '', folders);
+    listing = { files, folders, startPageToken, mode: 'full', changeCount: null };
+  }
+
+  const currentFiles = listing.files.filter(isSupportedDriveFile);
+  progress.log(`${listing.mode === 'full' ? 'Full scan' : 'Incremental sync'}: ${currentFiles.length} supported files`);
+  currentFiles.forEach(f => progress.stage(f, 'listed'));
+
+  // Update manifest with current files only (remove deleted files)
+  const updatedManifest = {
+    files: currentFiles.map(f => {
+      const existingFile = existingManifest.files.find(ef => ef.id === f.id);
+      return {
+        id: f.id,
+        name: f.name,
+        mimeType: f.mimeType,
+        modifiedTime: f.modifiedTime,
+        size: f.size || 0,
+        folderPath: f.folderPath,
+        parentId: f.parentId || (Array.isArray(f.parents) ? f.parents[0] : undefined),
+        processed: existingFile ? existingFile.processed : false,
+        ingestVersion: existingFile ? existingFile.ingestVersion : undefined,
+        chunkCount: existingFile ? existingFile.chunkCount : undefined,
+        ...carryIngestStatus(existingFile, f)
       };
+    }),
+    lastUpdated: new Date().toISOString(),
+    clientId: clientFolder.id,
+    clientName: clientFolder.name
+  };
 
-      writeJSON(manifestPath, updatedManifest);
-      
-      const processedCount = updatedManifest.files.filter(f => f.processed).length;
-      logger.info(`âœ… Updated manifest for ${clientFolder.name}: ${updatedManifest.files.length} files (${processedCount} processed)`);
-
-      // Ingest / embed files to Pinecone when needed
-      const forceReembed = (String(process.env.FORCE_REEMBED||'').toLowerCase()==='true');
-      let upserted = 0;
-      for (const f of updatedManifest.files){
-        const existing = existingManifest.files.find(ef => ef.id === f.id) || {};
-        const changed = forceReembed || !existing.processed || (existing.modifiedTime !== f.modifiedTime);
-        if (!changed) continue;
-        try{
-          const text = await extractTextForEmbedding(f);
-          const [vec] = await embedTexts([text]);
-          const meta = { fileId: f.id, fileName: f.name, mimeType: f.mimeType };
-          await pineconeUpsert([{ id: f.id, values: vec, metadata: meta }], clientFolder.id);
-          f.processed = true;
-          upserted++;
-        }catch(e){ logger.warn('Embed failed for', f.name, e?.message||e); }
+  writeJSON(manifestPath, updatedManifest);
+  
+  const processedCount = updatedManifest.files.filter(f => f.processed).length;
+  logger.info(`âœ… Updated manifest for ${clientFolder.name}: ${updatedManifest.files.length} files (${processedCount} processed)`);
+
+  // Files gone from Drive: delete their vectors and leave a tombstone
+  const currentIds = new Set(updatedManifest.files.map(f => f.id));
+  const tombstones = [];
+  for (const gone of existingManifest.files.filter(ef => !currentIds.has(ef.id))){
+    let vectorsDeleted = 0;
+    try {
+      vectorsDeleted = await deleteFileVectors(gone, clientFolder.id);
+    } catch (e) {
+      logger.warn('Vector delete failed for removed file', gone.name, e?.message||e);
+    }
+    tombstones.push({ type: 'deleted', fileId: gone.id, fileName: gone.name, folderPath: gone.folderPath || '', vectorsDeleted, at: new Date().toISOString() });
+    progress.stage(gone, 'deleted');
+  }
+
+  // Ingest / embed files into the vector store when needed
+  const forceReembed = (String(process.env.FORCE_REEMBED||'').toLowerCase()==='true');
+  let upserted = 0;
+  const changedFiles = [];
+  for (const f of updatedManifest.files){
+    const existing = existingManifest.files.find(ef => ef.id === f.id) || {};
+    const renamed = existing.processed && existing.name && existing.name !== f.name;
+    if (renamed) {
+      tombstones.push({ type: 'renamed', fileId: f.id, fileName: f.name, previousName: existing.name, at: new Date().toISOString() });
+    }
+    const changed = forceReembed || !existing.processed || (existing.modifiedTime !== f.modifiedTime) || (existing.ingestVersion !== INGEST_VERSION);
+    if (!changed && !f.keywordIndexed && config.search.hybrid) {
+      await indexFileKeywords(f, clientFolder.id).catch(e => logger.warn('Keyword indexing failed for', f.name, e?.message||e));
+    }
+    if (!changed) {
+      // Same content under a new name: patch vector metadata instead of re-embedding
+      if (renamed) {
+        await renameFileVectors(f, clientFolder.id).catch(e => logger.warn('Vector rename failed for', f.name, e?.message||e));
+        progress.stage(f, 'renamed');
+      } else {
+        progress.stage(f, 'skipped');
       }
-      writeJSON(manifestPath, updatedManifest);
-      logger.info(`📥 Ingest complete for ${clientFolder.name}: ${upserted} files embedded`);
+      continue;
+    }
+    if (await ingestTrackedFile(f, clientFolder.id, existing.chunkCount, progress)) {
+      upserted++;
+      // Re-embeds for a new ingest version or FORCE_REEMBED don't change what the file says
+      if (!existing.id || !existing.processed) changedFiles.push({ fileId: f.id, fileName: f.name, change: 'added' });
+      else if (existing.modifiedTime !== f.modifiedTime) changedFiles.push({ fileId: f.id, fileName: f.name, change: 'modified' });
     }
+  }
+  if (tombstones.length) {
+    appendTombstones(clientFolder.id, tombstones);
+    logger.info(`🪦 ${clientFolder.name}: ${tombstones.filter(t => t.type === 'deleted').length} removed, ${tombstones.filter(t => t.type === 'renamed').length} renamed`);
+  }
+  writeJSON(manifestPath, updatedManifest);
+  invalidateFilterOptions(clientFolder.id);
+  logger.info(`📥 Ingest complete for ${clientFolder.name}: ${upserted} files embedded`);
+
+  await syncDataTables(clientFolder.id, updatedManifest.files);
+
+  // Re-read: other libraries may have saved their state while this one was running
+  const latestState = readSyncState();
+  latestState[clientFolder.id] = {
+    startPageToken: listing.startPageToken,
+    folders: listing.folders,
+    lastMode: listing.mode,
+    lastSyncAt: new Date().toISOString(),
+    lastFullScanAt: listing.mode === 'full' ? new Date().toISOString() : (libState.lastFullScanAt || null)
+  };
+  writeSyncState(latestState);
+  return { changedFiles };
+}
 
-    logger.info("âœ… Google Drive sync completed");
-    
-  } catch (error) {
-    logger.error("âš  Google Drive sync failed:", error.message);
+// Ingest status fields kept on manifest entries between syncs (attempts restart when the file changes)
+function carryIngestStatus(existingFile, f){
+  if (!existingFile) return {};
+  const sameVersion = existingFile.modifiedTime === f.modifiedTime;
+  return {
+    extractor: existingFile.extractor,
+    pageCount: existingFile.pageCount,
+    titleTags: existingFile.titleTags,
+    keywordIndexed: sameVersion ? existingFile.keywordIndexed : undefined,
+    tags: existingFile.titleTags || existingFile.tags ? fileNameTags(f.name, existingFile.titleTags) : undefined,
+    attempts: sameVersion ? (existingFile.attempts || 0) : 0,
+    lastError: sameVersion ? (existingFile.lastError || null) : null,
+    lastErrorAt: sameVersion ? (existingFile.lastErrorAt || null) : null,
+    lastIngestAt: existingFile.lastIngestAt || null
+  };
+}
+
+// ingestFile plus bookkeeping on the manifest entry: attempts, lastError and job progress.
+// Returns true when the file was embedded.
+async function ingestTrackedFile(f, namespace, previousChunkCount, progress){
+  f.attempts = (f.attempts || 0) + 1;
+  try{
+    await ingestFile(f, namespace, previousChunkCount, (stage, extra) => progress.stage(f, stage, extra));
+    progress.stage(f, 'embedded', { chunks: f.chunkCount, ...(f.lastError ? { error: f.lastError } : {}) });
+    return true;
+  }catch(e){
+    const msg = e?.message || String(e);
+    logger.warn('Embed failed for', f.name, msg);
+    f.processed = false;
+    f.lastError = msg;
+    f.lastErrorAt = new Date().toISOString();
+    progress.stage(f, 'failed', { error: msg });
+    return false;
+  }
+}
+
+// Re-run ingestion for selected manifest files without listing Drive (admin reindex job)
+async function reindexLibraryFiles(clientFolder, fileIds, progress){
+  const manifestPath = path.join(MANIFEST_DIR, `${clientFolder.id}.json`);
+  const manifest = readJSON(manifestPath, { files: [] });
+  const wanted = new Set(fileIds);
+  const targets = (manifest.files || []).filter(f => wanted.has(f.id));
+  const missing = fileIds.filter(id => !targets.some(f => f.id === id));
+  if (missing.length) progress.log(`${missing.length} file(s) not in the manifest: ${missing.join(', ')}`);
+  progress.log(`Reindexing ${targets.length} file(s)`);
+  targets.forEach(f => progress.stage(f, 'listed'));
+
+  let embedded = 0;
+  for (const f of targets){
+    if (await ingestTrackedFile(f, clientFolder.id, f.chunkCount, progress)) embedded++;
+    writeJSON(manifestPath, manifest);
+  }
+  invalidateFilterOptions(clientFolder.id);
+  await syncDataTables(clientFolder.id, manifest.files || []);
+  logger.info(`🔁 Reindexed ${embedded}/${targets.length} files for ${clientFolder.name}`);
+}
+
+// Embed one manifest file as page-level chunk vectors; marks it processed on success.
+// previousChunkCount lets a shorter re-ingest drop the tail chunks left from the last version;
+// onStage(stage, extra) is told when extraction finishes (sync job progress).
+async function ingestFile(f, namespace, previousChunkCount = 0, onStage = null){
+  const { chunks, extractor, pageCount, extractError } = await buildChunksForFile(f);
+  if (onStage) onStage('extracted', { chunks: chunks.length });
+  const titleTags = extractError ? null : tagsFromTitleText(chunks.filter(c => c.page === 1).map(c => c.text).join(' '));
+  const tags = fileNameTags(f.name, titleTags);
+  const vectors = [];
+  for (let i = 0; i < chunks.length; i += config.ingest.embedBatchSize){
+    const batch = chunks.slice(i, i + config.ingest.embedBatchSize);
+    const embeddings = await embedTexts(batch.map(c => `${f.name}\n${c.text}`), namespace);
+    batch.forEach((c, j) => {
+      vectors.push({ id: chunkVectorId(f.id, c.chunkIndex), values: embeddings[j], metadata: chunkMetadata(f, c, tags) });
+    });
+  }
+  for (let i = 0; i < vectors.length; i += config.ingest.upsertBatchSize){
+    await vectorStore.upsert(vectors.slice(i, i + config.ingest.upsertBatchSize), namespace);
+  }
+  keywordIndex.upsert(vectors.map(v => ({ id: v.id, metadata: v.metadata })), namespace);
+  // Drop the legacy whole-file vector (id === file id) and any chunks beyond the new count
+  const staleIds = [f.id];
+  for (let i = chunks.length; i < (Number(previousChunkCount) || 0); i++) staleIds.push(chunkVectorId(f.id, i));
+  keywordIndex.delete(staleIds, namespace);
+  await vectorStore.delete({ ids: staleIds }, namespace).catch(e => logger.warn('Stale vector delete failed for', f.name, e?.message||e));
+  f.processed = true;
+  f.ingestVersion = INGEST_VERSION;
+  f.chunkCount = chunks.length;
+  f.extractor = extractor;
+  f.pageCount = pageCount;
+  f.titleTags = titleTags || undefined;
+  f.tags = tags;
+  f.keywordIndexed = true;
+  f.lastIngestAt = new Date().toISOString();
+  // Text extraction failures still index the file by name; keep the reason visible to admins
+  f.lastError = extractError ? `Extraction failed, indexed by name only: ${extractError}` : null;
+  f.lastErrorAt = extractError ? f.lastIngestAt : null;
+  logger.info(`Embedded ${f.name}: ${chunks.length} chunks (${extractor})`);
+}
+
+// Metadata stored with a chunk in the vector store and the keyword index
+function chunkMetadata(f, c, tags){
+  return {
+    fileId: f.id, fileName: f.name, mimeType: f.mimeType, folderPath: f.folderPath || '',
+    page: c.page, chunkIndex: c.chunkIndex, text: c.text,
+    ...(c.slide ? { slide: c.slide } : {}),
+    ...(c.sheetName ? { sheetName: c.sheetName } : {}),
+    ...tags
+  };
+}
+
+// Keyword-index a file embedded before the keyword index existed (no re-embedding)
+async function indexFileKeywords(f, namespace){
+  const { chunks } = await buildChunksForFile(f);
+  const tags = f.tags || fileNameTags(f.name, f.titleTags);
+  keywordIndex.upsert(chunks.map(c => ({ id: chunkVectorId(f.id, c.chunkIndex), metadata: chunkMetadata(f, c, tags) })), namespace);
+  f.keywordIndexed = true;
+}
+
+// Every vector id a manifest entry may own (legacy whole-file id + page chunks)
+function vectorIdsForFile(f){
+  const ids = [f.id];
+  for (let i = 0; i < (Number(f.chunkCount) || 0); i++) ids.push(chunkVectorId(f.id, i));
+  return ids;
+}
+
+async function deleteFileVectors(f, namespace){
+  const ids = vectorIdsForFile(f);
+  keywordIndex.delete(ids, namespace);
+  for (let i = 0; i < ids.length; i += 1000){
+    await vectorStore.delete({ ids: ids.slice(i, i + 1000) }, namespace);
+  }
+  return ids.length;
+}
+
+// Patch fileName and filename-derived tags on every chunk of a renamed file
+async function renameFileVectors(f, namespace){
+  const setMetadata = {
+    fileName: f.name,
+    folderPath: f.folderPath || '',
+    ...fileNameTags(f.name, f.titleTags),
+  };
+  const ids = vectorIdsForFile(f).slice(1);
+  keywordIndex.updateMetadata(ids, setMetadata, namespace);
+  for (const id of ids) await vectorStore.updateMetadata(id, setMetadata, namespace);
+  return ids.length;
+}
+
+// ---- Tombstones (audit of removed / renamed files) → data-cache/tombstones/<clientId>.json ----
+const TOMBSTONES_DIR = path.join(config.data.cacheDir, "tombstones");
+const MAX_TOMBSTONES = 5000;
+
+function readTombstones(clientId){
+  return readJSON(path.join(TOMBSTONES_DIR, `${clientId}.json`), { clientId, events: [] });
+}
+
+function appendTombstones(clientId, events){
+  const store = readTombstones(clientId);
+  store.events = [...(store.events || []), ...events].slice(-MAX_TOMBSTONES);
+  fs.mkdirSync(TOMBSTONES_DIR, { recursive: true });
+  writeJSON(path.join(TOMBSTONES_DIR, `${clientId}.json`), store);
+}
+
+// ---- Incremental sync via the Drive Changes API ----
+// Per-library state lives in data-cache/sync-state.json:
+//   { [clientId]: { startPageToken, folders: { folderId: { name, parentId } }, lastMode, lastSyncAt, lastFullScanAt } }
+const SYNC_STATE_PATH = path.join(config.data.cacheDir, "sync-state.json");
+
+function readSyncState(){ return readJSON(SYNC_STATE_PATH, {}); }
+function writeSyncState(state){ writeJSON(SYNC_STATE_PATH, state); }
+
+async function getChangesStartToken(drive){
+  const r = await drive.changes.getStartPageToken({ supportsAllDrives: true });
+  return r.data.startPageToken;
+}
+
+async function listDriveChanges(drive, pageToken){
+  const changes = [];
+  let token = pageToken;
+  let newStartPageToken = null;
+  while (token) {
+    const r = await drive.changes.list({
+      pageToken: token,
+      pageSize: 1000,
+      includeRemoved: true,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+      fields: "nextPageToken,newStartPageToken,changes(fileId,removed,time,file(id,name,mimeType,modifiedTime,size,parents,trashed))"
+    });
+    changes.push(...(r.data.changes || []));
+    token = r.data.nextPageToken;
+    if (r.data.newStartPageToken) newStartPageToken = r.data.newStartPageToken;
+  }
+  return { changes, newStartPageToken: newStartPageToken || pageToken };
+}
+
+// Folder path relative to the client folder ('Root' for top-level files), or null when outside the library
+function folderPathFor(folderId, rootId, folders){
+  const names = [];
+  let id = folderId;
+  for (let depth = 0; depth < 50; depth++){
+    if (id === rootId) return names.length ? names.reverse().join('/') : 'Root';
+    const node = folders[id];
+    if (!node) return null;
+    names.push(node.name);
+    id = node.parentId;
+  }
+  return null;
+}
+
+// Apply Drive changes to the current manifest listing for one client folder
+function applyDriveChanges(files, folders, changes, rootId){
+  const nextFolders = { ...folders };
+  const byId = new Map((files || []).map(f => [f.id, { ...f }]));
+  const isGone = (c) => c.removed || !c.file || c.file.trashed;
+  const parentIn = (file) => (file.parents || []).find(p => p === rootId || nextFolders[p]);
+
+  // Folders first; repeat so folders created inside new folders resolve
+  const folderChanges = changes.filter(c => c.file && c.file.mimeType === 'application/vnd.google-apps.folder' || (c.removed && nextFolders[c.fileId]));
+  for (let pass = 0, dirty = true; dirty && pass < 10; pass++){
+    dirty = false;
+    for (const c of folderChanges){
+      const id = c.fileId;
+      if (isGone(c)) {
+        if (nextFolders[id]) { delete nextFolders[id]; dirty = true; }
+        continue;
+      }
+      const parent = parentIn(c.file);
+      const prev = nextFolders[id];
+      if (parent && (!prev || prev.name !== c.file.name || prev.parentId !== parent)) {
+        nextFolders[id] = { name: c.file.name, parentId: parent };
+        dirty = true;
+      } else if (!parent && prev) {
+        delete nextFolders[id];
+        dirty = true;
+      }
+    }
+  }
+
+  for (const c of changes){
+    if (c.file && c.file.mimeType === 'application/vnd.google-apps.folder') continue;
+    if (isGone(c)) { byId.delete(c.fileId); continue; }
+    const parent = parentIn(c.file);
+    if (!parent) { byId.delete(c.fileId); continue; }
+    byId.set(c.fileId, { ...c.file, parentId: parent, folderPath: folderPathFor(parent, rootId, nextFolders) });
+  }
+
+  // Re-derive paths (folder renames/moves/deletes) for files whose parent is known
+  for (const [id, f] of byId){
+    if (!f.parentId) continue;
+    const p = folderPathFor(f.parentId, rootId, nextFolders);
+    if (p === null) byId.delete(id);
+    else f.folderPath = p;
+  }
+  // Folders that just entered the library (moved in from elsewhere); Drive reports only the folder, not
+  // its unchanged contents. Only the topmost ones — listing a folder walks its subfolders too.
+  const addedFolders = Object.keys(nextFolders).filter(id => !(folders || {})[id]);
+  const enteredFolders = addedFolders.filter(id => !addedFolders.includes(nextFolders[id].parentId));
+  return { files: [...byId.values()], folders: nextFolders, enteredFolders };
+}
+
+async function listFilesFromChanges(drive, rootId, manifestFiles, libState){
+  const { changes, newStartPageToken } = await listDriveChanges(drive, libState.startPageToken);
+  const { files, folders, enteredFolders } = applyDriveChanges(manifestFiles, libState.folders, changes, rootId);
+  // List what a folder moved into the library already held
+  const byId = new Map(files.map(f => [f.id, f]));
+  for (const id of enteredFolders){
+    const listed = await getAllFilesRecursively(drive, id, folderPathFor(id, rootId, folders), folders);
+    listed.forEach(f => { if (!byId.has(f.id)) byId.set(f.id, f); });
   }
+  return { files: [...byId.values()], folders, startPageToken: newStartPageToken, mode: 'incremental', changeCount: changes.length };
 }
 
 // Helper function to recursively get all files from a folder and its subfolders
-async function getAllFilesRecursively(drive, folderId, folderPath = '') {
+// `folders` (optional) collects { folderId: { name, parentId } } for incremental sync
+async function getAllFilesRecursively(drive, folderId, folderPath = '', folders = null) {
   const allFiles = [];
   
   try {
@@ -1056,12 +1499,14 @@ async function getAllFilesRecursively(drive, folderId, folderPath = '') {
     
     for (const item of items) {
       if (item.mimeType === 'application/vnd.google-apps.folder') {
+        if (folders) folders[item.id] = { name: item.name, parentId: folderId };
         const subFolderPath = folderPath ? `${folderPath}/${item.name}` : item.name;
-        const subFiles = await getAllFilesRecursively(drive, item.id, subFolderPath);
+        const subFiles = await getAllFilesRecursively(drive, item.id, subFolderPath, folders);
         allFiles.push(...subFiles);
       } else {
         allFiles.push({
           ...item,
+          parentId: folderId,
           folderPath: folderPath || 'Root'
         });
       }
@@ -1075,37 +1520,79 @@ async function getAllFilesRecursively(drive, folderId, folderPath = '') {
 
 
 // ---- Embedding helpers ----
-async function extractTextForEmbedding(file){
-  // Only implementing PDF robustly; other types fallback to name
+// Returns { extractor, pages: [{ page, text, ...meta }] }; failures fall back to the file name
+async function extractPagesForEmbedding(file){
   try {
-    if (file.mimeType === 'application/pdf') {
-      const { mod } = await __loadPdfjsFlexible();
-      const pdfjsLib = (mod && (mod.getDocument||mod.GlobalWorkerOptions)) ? mod : (mod && mod.default ? mod.default : null);
-      const bytes = await __downloadDriveFile(file.id);
-      const doc = await pdfjsLib.getDocument({ data: new Uint8Array(bytes) }).promise;
-      const pages = Math.min(doc.numPages, 10);
-      let text = file.name + "\n";
-      for (let p=1; p<=pages; p++){
-        const page = await doc.getPage(p);
-        const content = await page.getTextContent();
-        text += content.items.map(it=>it.str).join(" ") + "\n";
-      }
-      return text.slice(0, 8000);
-    }
-  } catch(e){ logger.warn("extractTextForEmbedding failed:", e?.message||e); }
-  return file.name;
+    return await extractPages(file, {
+      download: __downloadDriveFile,
+      exportAs: __exportDriveFile,
+      loadPdfjs: __loadPdfjsFlexible
+    });
+  } catch(e){
+    logger.warn("extractPagesForEmbedding failed:", file.name, e?.message||e);
+    return { extractor: 'name-only', pages: [{ page: 1, text: file.name }], error: e?.message || String(e) };
+  }
 }
 
-async function pineconeUpsert(vectors, namespace){
-  const body = { vectors, namespace };
-  const r = await fetch(`${config.pinecone.indexHost}/vectors/upsert`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Api-Key': config.pinecone.apiKey },
-    body: JSON.stringify(body)
-  });
-  if (!r.ok){ throw new Error('Pinecone upsert failed: '+r.status); }
-  return r.json();
+// Page-level chunks for a file; a file with no extractable text still gets one name-only chunk
+async function buildChunksForFile(file){
+  const { pages, extractor, error } = await extractPagesForEmbedding(file);
+  const chunks = chunkPages(pages, { maxChars: config.ingest.chunkChars, overlap: config.ingest.chunkOverlap });
+  return {
+    chunks: chunks.length ? chunks : [{ page: 1, chunkIndex: 0, text: file.name }],
+    extractor: chunks.length ? extractor : 'name-only',
+    pageCount: error ? 0 : pages.length,
+    extractError: error || null
+  };
+}
+
+// ---- Crosstab data tables (data folder workbooks → data-cache/tables/<clientId>.json) ----
+function isDataTableFile(file){
+  const folder = String(file.folderPath || '').toLowerCase();
+  return folder.split('/').some(seg => seg.includes('data')) && extractorFor(file) === 'xlsx';
+}
+
+function readTableStore(clientId){
+  return readJSON(path.join(TABLES_DIR, `${clientId}.json`), { clientId, updatedAt: null, files: {} });
+}
+
+function writeTableStore(clientId, store){
+  fs.mkdirSync(TABLES_DIR, { recursive: true });
+  writeJSON(path.join(TABLES_DIR, `${clientId}.json`), { ...store, clientId, updatedAt: new Date().toISOString() });
+}
+
+// Parse new/changed data workbooks and drop tables whose source file left the manifest
+async function syncDataTables(clientId, files){
+  const store = readTableStore(clientId);
+  const cfg = loadParserConfig(DATA_PARSER_PATH);
+  const candidates = (files || []).filter(isDataTableFile);
+  const keep = new Set(candidates.map(f => f.id));
+  let parsed = 0, dropped = 0;
+
+  for (const fileId of Object.keys(store.files)){
+    if (!keep.has(fileId)) { delete store.files[fileId]; dropped++; }
+  }
+  for (const f of candidates){
+    const existing = store.files[f.id];
+    if (existing && existing.modifiedTime === f.modifiedTime) continue;
+    try{
+      const exportMime = f.mimeType === 'application/vnd.google-apps.spreadsheet'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : null;
+      const bytes = exportMime ? await __exportDriveFile(f.id, exportMime) : await __downloadDriveFile(f.id);
+      const tables = parseCrosstabWorkbook(bytes, cfg, { fileId: f.id, fileName: f.name });
+      store.files[f.id] = { fileName: f.name, modifiedTime: f.modifiedTime, parsedAt: new Date().toISOString(), tables };
+      parsed++;
+      logger.info(`Parsed ${tables.length} data tables from ${f.name}`);
+    }catch(e){ logger.warn('Data table parse failed for', f.name, e?.message||e); }
+  }
+  if (parsed || dropped) writeTableStore(clientId, store);
+}
+
+function listDataTables(clientId){
+  const store = readTableStore(clientId);
+  return Object.values(store.files || {}).flatMap(f => f.tables || []);
 }
+
 // Auto-sync initialization
 async function initializeAutoSync() {
   if (config.autoIngest.onStart) {
@@ -1113,7 +1600,7 @@ async function initializeAutoSync() {
     
     setTimeout(async () => {
       try {
-        await syncGoogleDriveData();
+        await syncGoogleDriveData({ trigger: 'startup' });
       } catch (error) {
         logger.error("Initial sync failed:", error.message);
       }
@@ -1127,7 +1614,7 @@ async function initializeAutoSync() {
     setInterval(async () => {
       try {
         logger.info("ðŸ”„ Running scheduled sync (recurring)");
-        await syncGoogleDriveData();
+        await syncGoogleDriveData({ trigger: 'schedule' });
       } catch (error) {
         logger.error("Scheduled sync failed:", error.message);
       }
@@ -1206,6 +1693,78 @@ function extractReportTypeFromFileName(name){
   return 'Survey';
 }
 
+function extractMethodologyFromFileName(name, reportType){
+  const s = String(name||'').toLowerCase();
+  if (/\bqual\b|qualitative|\bidis?\b|in-depth|interview|focus group|ethnograph/.test(s)) return 'Qualitative';
+  const rt = reportType || extractReportTypeFromFileName(name);
+  if (/\bquant\b|quantitative|survey|tracker|\batu\b|conjoint|pmr/.test(s) || ['ATU','Conjoint','Tracker','PMR'].includes(rt)) return 'Quantitative';
+  return '';
+}
+
+// Tags stored on every chunk vector (and used for filtering): the filename wins, the title page
+// (tagsFromTitleText) fills what the filename doesn't say
+const MONTH_NAMES = ['January','February','March','April','May','June','July','August','September','October','November','December'];
+function fileNameTags(name, titleTags = null){
+  const t = titleTags || {};
+  let reportType = extractReportTypeFromFileName(name);
+  if (reportType === 'Survey' && t.report) reportType = t.report;
+  const titleMonth = monthToNum(t.month) ? MONTH_NAMES[monthToNum(t.month) - 1] : '';
+  return {
+    year: extractYearFromFileName(name) || t.year || '',
+    month: extractMonthFromFileName(name) || titleMonth,
+    reportType,
+    methodology: extractMethodologyFromFileName(name, reportType),
+  };
+}
+
+// ===== Search filters (years / reports / methodology from the filter panel) =====
+// Metadata fields the vector store can filter on; anything else is applied after the query.
+// Vectors embedded before methodology was stored lack that field, so it stays a post-filter.
+const PUSHDOWN_FILTER_FIELDS = { years: 'year', reports: 'reportType' };
+
+function normalizeSearchFilters(filters){
+  const list = (v) => [...new Set((Array.isArray(v) ? v : (v ? [v] : [])).map(x => String(x).trim()).filter(Boolean))];
+  return {
+    years: list(filters?.years),
+    reports: list(filters?.reports),
+    methodology: list(filters?.methodology)
+  };
+}
+
+function hasSearchFilters(f){
+  return !!(f.years.length || f.reports.length || f.methodology.length);
+}
+
+// Metadata filter (Pinecone syntax, honoured by every vector store backend) for the pushdown-capable fields
+function buildVectorFilter(f){
+  const clauses = Object.entries(PUSHDOWN_FILTER_FIELDS)
+    .filter(([key]) => f[key].length)
+    .map(([key, field]) => ({ [field]: { $in: f[key] } }));
+  if (!clauses.length) return undefined;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+// Post-filter on the chunk's derived tags (covers fields the store could not filter on)
+function chunkMatchesSearchFilters(chunk, f){
+  const lower = (arr) => arr.map(x => x.toLowerCase());
+  const reportTag = chunk.sourceType === 'table' ? extractReportTypeFromFileName(chunk.fileName) : chunk.reportTag;
+  if (f.years.length && !f.years.includes(String(chunk.yearTag || ''))) return false;
+  if (f.reports.length && !lower(f.reports).includes(String(reportTag || '').toLowerCase())) return false;
+  if (f.methodology.length && !lower(f.methodology).includes(String(chunk.methodologyTag || '').toLowerCase())) return false;
+  return true;
+}
+
+// Tags of a raw vector match, derived the same way the /search chunk mapping does
+function tagsFromMetadata(md = {}){
+  const fileName = md.fileName || md.source || '';
+  return {
+    fileName,
+    yearTag: md.year || md.yearTag || extractYearFromFileName(fileName),
+    reportTag: md.reportType || md.reportTag || extractReportTypeFromFileName(fileName),
+    methodologyTag: md.methodology || extractMethodologyFromFileName(fileName, md.reportType)
+  };
+}
+
 // ===== end tag helpers =====
 function requireSession(req,res,next){ 
   const t=req.get("x-auth-token"); 
@@ -1219,6 +1778,67 @@ function requireAuth(req, res, next) {
   res.status(401).json({ error: "Unauthorized" });
 }
 
+// ---- Library access (allowedClients / clientFolderId) and the session's active library ----
+// allowedClients may be "*", one id, a comma-separated list or an array; admins see every library.
+// The shared x-auth-token is a service credential with access to every library.
+function accessUser(req){
+  if (req.session?.user) return req.session.user;
+  const t = req.get && req.get("x-auth-token");
+  if (t && t === config.server.authToken) return { username: 'service', role: 'service', allowedClients: '*' };
+  return null;
+}
+
+function getAllowedClientIds(user){
+  if (!user) return [];
+  const role = String(user.role || '').toLowerCase().trim();
+  const raw = user.allowedClients;
+  if (role === 'admin' || role === 'service' || raw === '*' || (Array.isArray(raw) && raw.includes('*'))) return '*';
+  const ids = (Array.isArray(raw) ? raw : String(raw || '').split(','))
+    .map(x => String(x).trim())
+    .filter(Boolean);
+  if (user.clientFolderId) ids.push(String(user.clientFolderId));
+  return [...new Set(ids)];
+}
+
+function canAccessClient(user, clientId){
+  if (!clientId) return false;
+  const allowed = getAllowedClientIds(user);
+  return allowed === '*' || allowed.includes(String(clientId));
+}
+
+// Active library for this session: the stored choice when still allowed, else the user's only/first library.
+// Admins have no implicit default and must pick one.
+function resolveActiveClientId(req){
+  const user = accessUser(req);
+  if (!user) return null;
+  const stored = req.session?.activeClientId;
+  if (stored && canAccessClient(user, stored)) return stored;
+  const allowed = getAllowedClientIds(user);
+  const fallback = allowed === '*' ? null : (allowed[0] || null);
+  if (req.session) req.session.activeClientId = fallback;
+  return fallback;
+}
+
+// Namespace for a request: an explicit id must be allowed (403), otherwise the active library is used
+function resolveRequestClientId(req, requestedId){
+  const user = accessUser(req);
+  if (requestedId) {
+    if (!canAccessClient(user, requestedId)) {
+      const err = new Error('Access to this client library is not allowed');
+      err.status = 403;
+      throw err;
+    }
+    return String(requestedId);
+  }
+  return resolveActiveClientId(req);
+}
+
+async function listAccessibleClientFolders(req){
+  const allowed = getAllowedClientIds(accessUser(req));
+  const folders = await listClientFolders();
+  return allowed === '*' ? folders : folders.filter(f => allowed.includes(f.id));
+}
+
 // ---- Admin role utilities ----
 function getRole(req) {
   return String((req.session && req.session.user && req.session.user.role) || '').toLowerCase().trim();
@@ -1283,12 +1903,21 @@ app.get("/api/admin/stats", requireAuth, requireAdmin, async (req, res) => {
     
     // Mock searches today (you can implement real tracking later)
     const searchesToday = 0;
+
+    let vectorNamespaces = [];
+    try {
+      vectorNamespaces = await vectorStore.listNamespaces();
+    } catch (e) {
+      logger.warn("Vector namespace listing failed:", e.message);
+    }
     
     res.json({
       totalAdmins: adminCount,
       totalClients: clientCount,
       clientLibraries: libraryCount,
-      searchesToday: searchesToday
+      searchesToday: searchesToday,
+      vectorStore: vectorStore.backend,
+      vectorNamespaces
     });
   } catch (error) {
     logger.error("Failed to get admin stats:", error);
@@ -1392,11 +2021,13 @@ app.post("/admin/manual-sync", requireAuth, requireAdmin, async (req, res) => {
   }
   
   try {
-    logger.info("ðŸ”§ Manual Google Drive sync triggered from admin panel");
-    await syncGoogleDriveData();
-    res.json({ 
+    const fullRescan = req.body?.fullRescan === true;
+    logger.info(`ðŸ”§ Manual Google Drive sync triggered from admin panel${fullRescan ? ' (full rescan)' : ''}`);
+    const jobs = await syncGoogleDriveData({ fullRescan, clientId: req.body?.clientId || undefined, trigger: 'manual', requestedBy: req.session?.user?.username });
+    res.status(202).json({ 
       success: true,
-      message: "Google Drive sync completed successfully", 
+      message: "Google Drive sync queued", 
+      jobs,
       timestamp: new Date().toISOString() 
     });
   } catch (error) {
@@ -1409,55 +2040,238 @@ app.post("/admin/manual-sync", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
-// Library Stats API endpoint - Fixed to show Google Drive files
-app.get("/admin/library-stats", requireAuth, requireAdmin, async (req, res) => {
-  if (!isAdmin(req)) { 
-    res.status(403).json({ error: 'Admin access required' }); 
-    return;
+// Full recursive rescan (ignores stored change tokens and rebuilds folder maps)
+app.post("/admin/full-rescan", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const clientId = req.body?.clientId || undefined;
+    logger.info(`ðŸ”§ Full Drive rescan triggered from admin panel${clientId ? ` for ${clientId}` : ''}`);
+    const jobs = await syncGoogleDriveData({ fullRescan: true, clientId, trigger: 'manual', requestedBy: req.session?.user?.username });
+    res.status(202).json({ 
+      success: true,
+      message: "Full Google Drive rescan queued", 
+      jobs,
+      timestamp: new Date().toISOString() 
+    });
+  } catch (error) {
+    logger.error("Full Google Drive rescan failed:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Google Drive rescan failed", 
+      details: error.message 
+    });
   }
-  
+});
+
+// Files of a library with their ingest status; status = failed | unprocessed | problems (both) | all
+app.get("/admin/library-files", requireAuth, requireAdmin, async (req, res) => {
   try {
     const { clientId } = req.query;
-    
     if (!clientId) {
       res.status(400).json({ error: "Client ID required" });
       return;
     }
-    
-    // Get manifest data for the client
-    const manifestPath = path.join(MANIFEST_DIR, `${clientId}.json`);
-    let manifest = { files: [], lastUpdated: null };
-    
-    if (fs.existsSync(manifestPath)) {
-      try {
-        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-      } catch (e) {
-        logger.warn(`Failed to read manifest for ${clientId}:`, e.message);
-      }
+    const manifest = readJSON(path.join(MANIFEST_DIR, `${clientId}.json`), { files: [] });
+    const files = manifest.files || [];
+    const isFailed = f => !!f.lastError;
+    const isUnprocessed = f => !f.processed;
+    const status = String(req.query.status || 'problems');
+    const pick = {
+      failed: isFailed,
+      unprocessed: isUnprocessed,
+      problems: f => isFailed(f) || isUnprocessed(f),
+      all: () => true
+    }[status];
+    if (!pick) {
+      res.status(400).json({ error: "status must be failed, unprocessed, problems or all" });
+      return;
     }
-    
-    // Count processed vs total files
-    const totalFiles = manifest.files.length;
-    const processedFiles = manifest.files.filter(f => f.processed).length;
-    
     res.json({
-      driveCount: totalFiles,
-      libraryCount: processedFiles,
-      lastUpdated: manifest.lastUpdated,
-      clientId: clientId
+      clientId,
+      lastUpdated: manifest.lastUpdated || null,
+      counts: { total: files.length, failed: files.filter(isFailed).length, unprocessed: files.filter(isUnprocessed).length },
+      files: files.filter(pick).map(f => ({
+        id: f.id,
+        name: f.name,
+        folderPath: f.folderPath || '',
+        mimeType: f.mimeType,
+        modifiedTime: f.modifiedTime,
+        processed: !!f.processed,
+        lastError: f.lastError || null,
+        lastErrorAt: f.lastErrorAt || null,
+        attempts: f.attempts || 0,
+        extractor: f.extractor || null,
+        pageCount: f.pageCount ?? null,
+        chunkCount: f.chunkCount ?? null,
+        lastIngestAt: f.lastIngestAt || null
+      }))
     });
-    
   } catch (error) {
-    logger.error("Failed to get library stats:", error);
-    res.status(500).json({ error: "Failed to get library statistics" });
+    logger.error("Failed to list library files:", error);
+    res.status(500).json({ error: "Failed to list library files" });
   }
 });
 
-// Delete User API endpoint
-app.delete("/api/admin/users/:username", requireAuth, async (req, res) => {
-  if (!isAdmin(req)) { 
-    res.status(403).json({ error: 'Admin access required' }); 
-    return;
+// Re-run ingestion for selected files of one library (queued as a reindex job)
+app.post("/admin/reindex", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const clientId = req.body?.clientId;
+    const fileIds = Array.isArray(req.body?.fileIds) ? req.body.fileIds.map(String).filter(Boolean) : [];
+    if (!clientId || !fileIds.length) {
+      res.status(400).json({ error: "clientId and fileIds are required" });
+      return;
+    }
+    const folder = (await listClientFolders()).find(cf => cf.id === clientId);
+    if (!folder) {
+      res.status(404).json({ error: "Client library not found" });
+      return;
+    }
+    logger.info(`ðŸ”§ Reindex of ${fileIds.length} file(s) requested for ${folder.name}`);
+    const { job, deduplicated } = syncJobs.enqueue({ clientId, clientName: folder.name, fileIds, trigger: 'manual', requestedBy: req.session?.user?.username });
+    res.status(202).json({ success: true, message: "Reindex queued", jobs: [{ ...summarizeJob(job), deduplicated }] });
+  } catch (error) {
+    logger.error("Reindex request failed:", error);
+    res.status(500).json({ success: false, error: "Reindex failed", details: error.message });
+  }
+});
+
+// === Product taxonomy (per library) ===
+// Brands, generics, aliases, competitor groups and colours (config/taxonomies.json, see taxonomy.js).
+// Libraries without their own entry use the default; admins edit entries from the admin page.
+let taxonomies = loadTaxonomies(TAXONOMIES_PATH, logger);
+const compiledTaxonomies = new Map(); // clientId ('' = default) → compiled taxonomy
+
+function taxonomyFor(clientId){
+  const key = clientId && taxonomies.libraries[clientId] ? String(clientId) : '';
+  if (!compiledTaxonomies.has(key)) {
+    compiledTaxonomies.set(key, compileTaxonomy(key ? taxonomies.libraries[key] : taxonomies.default));
+  }
+  return compiledTaxonomies.get(key);
+}
+
+function saveTaxonomies(){
+  writeJSON(TAXONOMIES_PATH, taxonomies);
+  compiledTaxonomies.clear();
+}
+
+app.get("/admin/taxonomy", requireAuth, requireAdmin, (req, res) => {
+  const clientId = String(req.query.clientId || '');
+  if (!clientId) {
+    res.status(400).json({ error: "Client ID required" });
+    return;
+  }
+  const custom = !!taxonomies.libraries[clientId];
+  res.json({ clientId, custom, taxonomy: custom ? taxonomies.libraries[clientId] : taxonomies.default, defaultTaxonomy: taxonomies.default });
+});
+
+app.put("/admin/taxonomy", requireAuth, requireAdmin, (req, res) => {
+  const clientId = String(req.body?.clientId || '');
+  if (!clientId) {
+    res.status(400).json({ success: false, error: "Client ID required" });
+    return;
+  }
+  let taxonomy;
+  try {
+    taxonomy = normalizeTaxonomy(req.body?.taxonomy || {});
+  } catch (e) {
+    res.status(400).json({ success: false, error: e.message });
+    return;
+  }
+  taxonomies.libraries[clientId] = taxonomy;
+  saveTaxonomies();
+  logger.info(`Taxonomy for ${clientId} saved by ${req.session?.user?.username}: ${taxonomy.products.length} products`);
+  res.json({ success: true, clientId, custom: true, taxonomy });
+});
+
+// Back to the default taxonomy
+app.delete("/admin/taxonomy", requireAuth, requireAdmin, (req, res) => {
+  const clientId = String(req.query.clientId || '');
+  if (!clientId) {
+    res.status(400).json({ success: false, error: "Client ID required" });
+    return;
+  }
+  delete taxonomies.libraries[clientId];
+  saveTaxonomies();
+  res.json({ success: true, clientId, custom: false, taxonomy: taxonomies.default });
+});
+
+// What the chart colour systems need for one library
+app.get("/api/taxonomy", requireSession, (req, res) => {
+  try {
+    const clientId = resolveRequestClientId(req, req.query.clientId);
+    const t = taxonomyFor(clientId);
+    res.json({ ok: true, data: {
+      clientId,
+      name: t.name,
+      products: t.products.map(p => ({ name: p.name, generic: p.generic, group: p.group, color: p.color })),
+      groups: t.groups,
+      colorMap: t.colorMap
+    } });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Vector count for a library namespace (null when the store can't be reached)
+async function namespaceVectorCount(namespace){
+  try {
+    return (await vectorStore.namespaceStats(namespace)).vectorCount;
+  } catch (e) {
+    logger.warn(`Vector stats failed for ${namespace}:`, e.message);
+    return null;
+  }
+}
+
+// Library Stats API endpoint - Fixed to show Google Drive files
+app.get("/admin/library-stats", requireAuth, requireAdmin, async (req, res) => {
+  if (!isAdmin(req)) { 
+    res.status(403).json({ error: 'Admin access required' }); 
+    return;
+  }
+  
+  try {
+    const { clientId } = req.query;
+    
+    if (!clientId) {
+      res.status(400).json({ error: "Client ID required" });
+      return;
+    }
+    
+    // Get manifest data for the client
+    const manifestPath = path.join(MANIFEST_DIR, `${clientId}.json`);
+    let manifest = { files: [], lastUpdated: null };
+    
+    if (fs.existsSync(manifestPath)) {
+      try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      } catch (e) {
+        logger.warn(`Failed to read manifest for ${clientId}:`, e.message);
+      }
+    }
+    
+    // Count processed vs total files
+    const totalFiles = manifest.files.length;
+    const processedFiles = manifest.files.filter(f => f.processed).length;
+    
+    res.json({
+      driveCount: totalFiles,
+      libraryCount: processedFiles,
+      vectorCount: await namespaceVectorCount(clientId),
+      vectorStore: vectorStore.backend,
+      lastUpdated: manifest.lastUpdated,
+      clientId: clientId
+    });
+    
+  } catch (error) {
+    logger.error("Failed to get library stats:", error);
+    res.status(500).json({ error: "Failed to get library statistics" });
+  }
+});
+
+// Delete User API endpoint
+app.delete("/api/admin/users/:username", requireAuth, async (req, res) => {
+  if (!isAdmin(req)) { 
+    res.status(403).json({ error: 'Admin access required' }); 
+    return;
   }
   
   try {
@@ -1503,10 +2317,55 @@ app.get('/me', async (req, res) => {
   }
   const u = req.session.user;
   const role = String(u.role || '').toLowerCase().trim();
-  const activeClientId = req.session.activeClientId || null;
+  const activeClientId = resolveActiveClientId(req);
   res.json({ ok:true, user: { username: u.username, role }, activeClientId });
 });
 
+// Set the session's active library (the only way /search and the library routes change namespace)
+async function switchActiveClient(req, res){
+  try {
+    if (!req.session?.user) {
+      res.status(401).json({ ok:false, error: 'Not authenticated' });
+      return;
+    }
+    const clientId = String(req.body?.clientId || '').trim();
+    if (!clientId) {
+      res.status(400).json({ ok:false, error: 'clientId required' });
+      return;
+    }
+    if (!canAccessClient(req.session.user, clientId)) {
+      logger.warn(`Blocked library switch by ${req.session.user.username} to ${clientId}`);
+      res.status(403).json({ ok:false, error: 'Access to this client library is not allowed' });
+      return;
+    }
+    const client = (await listClientFolders()).find(f => f.id === clientId);
+    if (!client) {
+      res.status(404).json({ ok:false, error: 'Client library not found' });
+      return;
+    }
+    req.session.activeClientId = clientId;
+    res.json({ ok:true, activeClientId: clientId, client });
+  } catch (err) {
+    logger.error('Switch client error', err);
+    res.status(500).json({ ok:false, error: 'Failed to switch client library' });
+  }
+}
+
+app.post('/auth/switch-client', express.json(), switchActiveClient);
+app.post('/active-client', express.json(), switchActiveClient);
+
+app.get('/active-client', requireAuth, async (req, res) => {
+  const activeClientId = resolveActiveClientId(req);
+  const client = activeClientId ? ((await listClientFolders()).find(f => f.id === activeClientId) || { id: activeClientId, name: activeClientId }) : null;
+  res.json({ ok:true, activeClientId, client });
+});
+
+// Libraries the signed-in user may switch to
+app.get('/clients', requireAuth, async (req, res) => {
+  const clients = await listAccessibleClientFolders(req);
+  res.json({ ok:true, clients, activeClientId: resolveActiveClientId(req) });
+});
+
 app.post('/auth/login', express.json(), async (req, res) => {
   try {
     const { username, password } = req.body || {};
@@ -1545,7 +2404,9 @@ app.post('/auth/login', express.json(), async (req, res) => {
       allowedClients: user.allowedClients || null, 
       clientFolderId: user.clientFolderId || null 
     };
-    res.json({ ok:true, user: { username: user.username, role } });
+    req.session.activeClientId = null;
+    const activeClientId = resolveActiveClientId(req);
+    res.json({ ok:true, user: { username: user.username, role }, activeClientId });
   } catch (err) {
     logger.error('Login error', err);
     res.status(500).json({ ok:false, error: 'Login failed' });
@@ -1624,9 +2485,10 @@ app.post("/admin/sync-data", requireAuth, async (req, res) => {
   
   try {
     logger.info("ðŸ”§ Manual data sync triggered");
-    await syncGoogleDriveData();
-    res.json({ 
-      message: "Data sync completed successfully", 
+    const jobs = await syncGoogleDriveData({ trigger: 'manual', requestedBy: req.session?.user?.username });
+    res.status(202).json({ 
+      message: "Data sync queued", 
+      jobs,
       timestamp: new Date().toISOString() 
     });
   } catch (error) {
@@ -1646,6 +2508,7 @@ app.get("/admin/sync-status", requireAuth, requireAdmin, async (req, res) => {
 
   try {
     const clientFolders = await listClientFolders();
+    const syncState = readSyncState();
     const status = [];
 
     for (const folder of clientFolders) {
@@ -1665,21 +2528,88 @@ app.get("/admin/sync-status", requireAuth, requireAdmin, async (req, res) => {
         clientName: folder.name,
         fileCount: manifest.files.length,
         processedCount: manifest.files.filter(f => f.processed).length,
-        lastUpdated: manifest.lastUpdated
+        lastUpdated: manifest.lastUpdated,
+        lastSyncMode: syncState[folder.id]?.lastMode || null,
+        lastFullScanAt: syncState[folder.id]?.lastFullScanAt || null,
+        locked: syncJobs.isLocked(folder.id)
       });
     }
 
-    res.json({ status, serverStartTime: new Date().toISOString() });
+    res.json({
+      status,
+      current: syncJobs.active().map(summarizeJob),
+      recent: syncJobs.list({ limit: Number(req.query.limit) || 20 }).filter(j => j.status !== 'queued' && j.status !== 'running').map(summarizeJob),
+      serverStartTime: new Date().toISOString()
+    });
   } catch (error) {
     logger.error("Failed to get sync status:", error);
     res.status(500).json({ error: "Failed to get sync status" });
   }
 });
 
+// Live sync job progress (Server-Sent Events): a snapshot of active jobs, then every job/file event
+app.get("/admin/sync-jobs/stream", requireAuth, requireAdmin, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  const send = (event, data) => { res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+  send('snapshot', { jobs: syncJobs.active().map(summarizeJob) });
+
+  const onEvent = (evt) => send(evt.type, evt);
+  syncJobs.events.on('event', onEvent);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    syncJobs.events.off('event', onEvent);
+  });
+});
+
+app.get("/admin/sync-jobs", requireAuth, requireAdmin, (req, res) => {
+  const jobs = syncJobs.list({
+    clientId: req.query.clientId ? String(req.query.clientId) : undefined,
+    status: req.query.status ? String(req.query.status) : undefined,
+    limit: Number(req.query.limit) || undefined
+  });
+  res.json({ jobs: jobs.map(summarizeJob) });
+});
+
+// One job with its per-file progress
+app.get("/admin/sync-jobs/:id", requireAuth, requireAdmin, (req, res) => {
+  const job = syncJobs.get(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: "Sync job not found" });
+    return;
+  }
+  res.json({ job: { ...summarizeJob(job), files: Object.values(job.files || {}) } });
+});
+
+// Audit trail of files removed from / renamed in Drive since ingest
+app.get("/admin/tombstones", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.query;
+    if (!clientId) {
+      res.status(400).json({ error: "Client ID required" });
+      return;
+    }
+    const store = readTombstones(clientId);
+    const type = req.query.type ? String(req.query.type) : null;
+    const events = (store.events || []).filter(e => !type || e.type === type).reverse();
+    res.json({ clientId, count: events.length, events });
+  } catch (error) {
+    logger.error("Failed to get tombstones:", error);
+    res.status(500).json({ error: "Failed to get tombstones" });
+  }
+});
+
 // FIXED: Get current file manifest for a client
-app.get("/api/client-manifest/:clientId", async (req, res) => {
+app.get("/api/client-manifest/:clientId", requireSession, async (req, res) => {
   try {
-    const { clientId } = req.params;
+    const clientId = resolveRequestClientId(req, req.params.clientId);
     const manifestPath = path.join(MANIFEST_DIR, `${clientId}.json`);
     
     if (fs.existsSync(manifestPath)) {
@@ -1696,6 +2626,10 @@ app.get("/api/client-manifest/:clientId", async (req, res) => {
       res.json({ files: [], lastUpdated: null });
     }
   } catch (error) {
+    if (error.status === 403) {
+      res.status(403).json({ error: error.message });
+      return;
+    }
     logger.error("Manifest fetch error:", error);
     res.status(500).json({ error: "Failed to fetch manifest" });
   }
@@ -1716,59 +2650,21 @@ async function filterChunksToCurrentManifest(chunks, clientId){
       return chunks;
     }
 
-    // Create comprehensive matching sets for current files
+    // Sync deletes vectors for removed files, so a fileId must match the current manifest exactly.
+    // Exact (normalized) names are only used for legacy chunks ingested without a fileId.
     const currentFileIds = new Set(files.map(f => f.id).filter(Boolean));
     const currentNormalizedNames = new Set(files.map(f => f.name ? f.name.toLowerCase().replace(/[^a-z0-9]/g, '') : '').filter(Boolean));
-    
-    // Also track all possible name variations for renamed files
-    const nameVariations = new Set();
-    files.forEach(f => {
-      if (f.name) {
-        nameVariations.add(f.name.toLowerCase());
-        nameVariations.add(f.name.toLowerCase().replace(/[^a-z0-9]/g, ''));
-        // Add partial matches for common patterns
-        const words = f.name.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2);
-        words.forEach(word => nameVariations.add(word));
-      }
-    });
 
     const filtered = (chunks||[]).filter(c => {
-      // First check if file ID matches current files
-      if (c.fileId && currentFileIds.has(c.fileId)) {
-        return true;
-      }
-      
-      // Then check various name patterns
-      const candidates = [
-        c.fileName, c.source, c.study, c.title, c.name
-      ].filter(Boolean);
-      
-      for (const candidate of candidates) {
-        const normalized = candidate.toLowerCase().replace(/[^a-z0-9]/g, '');
-        if (currentNormalizedNames.has(normalized)) {
-          return true;
-        }
-        
-        // Check if any words from the candidate match current file variations
-        const candidateWords = candidate.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2);
-        const matchingWords = candidateWords.filter(word => nameVariations.has(word));
-        
-        // If significant word overlap, consider it a match (handles renames)
-        if (matchingWords.length > 0 && matchingWords.length / candidateWords.length > 0.5) {
-          return true;
-        }
-      }
-      
-      return false;
+      if (c.sourceType === 'table') return true;
+      if (c.fileId) return currentFileIds.has(c.fileId);
+      const candidates = [c.fileName, c.source].filter(Boolean);
+      return candidates.some(candidate => currentNormalizedNames.has(candidate.toLowerCase().replace(/[^a-z0-9]/g, '')));
     });
 
-    // If filtering removes everything, fallback to original chunks to avoid empty results
-    if (filtered.length === 0) {
-      logger.warn(`Manifest filter removed all chunks - using original results as fallback`);
-      return chunks; 
+    if (filtered.length < chunks.length) {
+      logger.info(`Manifest filter: ${chunks.length} â†’ ${filtered.length} chunks (dropped references to removed files)`);
     }
-    
-    logger.info(`Manifest filter: ${chunks.length} â†’ ${filtered.length} chunks (handles renamed files)`);
     return filtered;
   }catch(e){
     logger.warn("Manifest filter fallback:", e?.message||e);
@@ -1806,34 +2702,146 @@ async function listClientFolders(){
   }
 }
 
-app.get("/api/client-libraries", async (req,res)=>{
-  const libs = await listClientFolders();
+app.get("/api/client-libraries", requireSession, async (req,res)=>{
+  const libs = await listAccessibleClientFolders(req);
   logger.info(`Returning ${libs.length} client libraries`);
   res.json(libs);
 });
 
 // MAIN SEARCH ENDPOINT - FIXED for thumbnails and file names
-app.post("/search", requireSession, async (req,res)=>{
-  try{
-    const { userQuery, clientId, filters } = req.body || {};
-    if(!userQuery || !String(userQuery).trim()) {
-      res.status(400).json({ error:"Query is required"});
-      return;
+// Plain statement that the library doesn't cover the question, naming the nearest documents
+function insufficientEvidenceAnswer(closest, filtered){
+  const names = closest.slice(0, 3).map(d => d.fileName).filter(Boolean);
+  return `HEADLINE: The ${filtered ? 'filtered ' : ''}library doesn't answer this question\nDETAILS: No document addresses it closely enough to give a grounded answer.${names.length ? ` The closest documents are ${names.join('; ')}; they may cover related topics.` : ''}`;
+}
+
+// Totals over the answer and every theme, for searchMeta
+function citationSummary(answerCheck, themes){
+  const parts = [answerCheck, ...(themes || []).map(t => t.citationCheck)].filter(Boolean);
+  const total = {};
+  parts.forEach(p => Object.entries(p.summary || {}).forEach(([k, v]) => { total[k] = (total[k] || 0) + v; }));
+  return { mode: config.search.citationCheck, ...total };
+}
+
+// Error carrying the HTTP status a search route should answer with
+function searchError(message, status){
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// The whole search: retrieval → rerank → context → headline → themes → reports → dashboard.
+// emit(type, data) reports each stage as it completes ("references", "answerDelta", "answer",
+// "theme", "reports", "dashboard"); /search ignores them, /search/stream forwards them.
+// Returns the same payload /search has always sent; request errors throw with .status set.
+// With `threadId` the question is a follow-up in that thread; otherwise a new thread is started.
+// `options` are server-side switches, never taken from the request body:
+//   recordThread: false runs the search without touching the user's threads
+//   recordHistory: false keeps it out of the user's history; rerunOf links the entry to the one re-run
+async function runSearchPipeline(req, { userQuery, clientId, filters, threadId } = {}, { recordThread = true, recordHistory = true, rerunOf = null, emit = () => {}, signal = null } = {}){
+  const searchFilters = normalizeSearchFilters(filters);
+  if(!userQuery || !String(userQuery).trim()) throw searchError("Query is required", 400);
+
+  let namespace;
+  try {
+    namespace = resolveRequestClientId(req, clientId);
+  } catch (e) {
+    logger.warn(`Blocked search by ${req.session?.user?.username || 'unknown'} on library ${clientId}`);
+    throw searchError(e.message, 403);
+  }
+  if (!namespace) throw searchError("Select a client library first", 400);
+  logger.info(`Search query: "${userQuery}" in namespace: ${namespace}`);
+
+  // Follow-ups are retrieved with a standalone rewrite ("and among caregivers?" → the full question)
+  const thread = recordThread ? openSearchThread(req, threadId, namespace, userQuery) : null;
+  const history = thread ? thread.turns.slice(-config.search.threadContextTurns) : [];
+  const retrievalQuery = history.length ? await rewriteFollowUpQuery(namespace, userQuery, history) : String(userQuery).trim();
+  if (thread) emit("thread", { thread: summarizeThread(thread), standaloneQuery: retrievalQuery });
+  
+  const [queryEmbedding] = await embedTexts([retrievalQuery], namespace);
+  const topK = filters?.topK || config.ai.defaultTopK;
+  // Filters the store can't apply are post-filtered, so over-fetch to keep enough candidates
+  const vectorFilter = buildVectorFilter(searchFilters);
+  const needsPostFilter = searchFilters.methodology.length > 0;
+  const fetchK = needsPostFilter ? Math.min(Number(topK) * 3, 200) : topK;
+  const searchResults = await vectorStore.query({ vector: queryEmbedding, topK: fetchK, namespace, filter: vectorStore.supportsFilter ? vectorFilter : undefined });
+  const rawMatches = (searchResults.matches||[]).sort((a,b)=>(b.score||0)-(a.score||0));
+  const vectorMatches = hasSearchFilters(searchFilters)
+    ? rawMatches.filter(m => chunkMatchesSearchFilters(tagsFromMetadata(m.metadata), searchFilters)).slice(0, Number(topK) || 50)
+    : rawMatches;
+  // Keyword (BM25) leg: exact terms such as wave labels, codes and question numbers
+  let keywordMatches = [];
+  if (config.search.hybrid) {
+    try {
+      const rawKeyword = keywordIndex.search(retrievalQuery, { namespace, topK: fetchK, filter: vectorFilter });
+      keywordMatches = hasSearchFilters(searchFilters)
+        ? rawKeyword.filter(m => chunkMatchesSearchFilters(tagsFromMetadata(m.metadata), searchFilters)).slice(0, Number(topK) || 50)
+        : rawKeyword;
+    } catch (e) {
+      logger.warn('Keyword search failed, using vector matches only:', e?.message||e);
     }
-    
-    const namespace = clientId || req.session?.activeClientId || "sample_client_1";
-    logger.info(`Search query: "${userQuery}" in namespace: ${namespace}`);
-    
-    const [queryEmbedding] = await embedTexts([String(userQuery).trim()]);
-    const topK = filters?.topK || config.ai.defaultTopK;
-    const searchResults = await pineconeQuery(queryEmbedding, namespace, topK);
-    const matches = (searchResults.matches||[]).sort((a,b)=>(b.score||0)-(a.score||0));
-    
-    logger.info("Pinecone search returned", matches.length, "results");
-    logger.info("Top scores:", matches.slice(0,5).map(m=> (m.score||0).toFixed(3)).join(", "));
-    
-    const threshold = config.search.scoreThreshold;
-    let relevantChunks = matches.filter(m=> (m.score||0) >= threshold).map((m,i)=>{
+  }
+  const matches = config.search.hybrid
+    ? fuseRankings({ vector: vectorMatches, keyword: keywordMatches }, { k: config.search.rrfK }).slice(0, Number(topK) || 50)
+    : vectorMatches;
+  const appliedFilters = {
+    ...searchFilters,
+    pushedDown: vectorStore.supportsFilter ? Object.keys(PUSHDOWN_FILTER_FIELDS).filter(k => searchFilters[k].length) : [],
+    postFiltered: Object.keys(searchFilters).filter(k => searchFilters[k].length),
+    removedByPostFilter: Math.max(0, rawMatches.length - vectorMatches.length)
+  };
+  if (hasSearchFilters(searchFilters)) logger.info('Search filters applied:', JSON.stringify(appliedFilters));
+  const retrieval = {
+    mode: config.search.hybrid ? 'hybrid' : 'vector',
+    vector: vectorMatches.length,
+    keyword: keywordMatches.length,
+    ...(config.search.hybrid ? { fused: matches.length, rrfK: config.search.rrfK } : {})
+  };
+  
+  logger.info(`Vector search (${vectorStore.backend}) returned`, vectorMatches.length, "results; keyword search returned", keywordMatches.length);
+  logger.info("Top scores:", matches.slice(0,5).map(m=> (m.score||0).toFixed(3)).join(", "));
+  
+  const threshold = config.search.hybrid
+    ? { vector: config.search.scoreThreshold, keywordCoverage: config.search.keywordMinCoverage }
+    : config.search.scoreThreshold;
+  const isRelevant = (m) => {
+    const cosine = m.scores ? m.scores.vector : m.score;
+    if (cosine != null && cosine >= config.search.scoreThreshold) return true;
+    return config.search.hybrid && (m.coverage || 0) >= config.search.keywordMinCoverage;
+  };
+  let usedFallback = false;
+  let relevantChunks = matches.filter(isRelevant).map((m,i)=>{
+    const md = m.metadata||{};
+    return {
+      id:`ref${i+1}`,
+      fileName: md.fileName || md.source || "Unknown Document",
+      study: md.study || md.title || md.fileName || "Unknown Study",
+      yearTag: md.year || md.yearTag || extractYearFromFileName(md.fileName||""),
+      monthTag: md.month || md.monthTag || extractMonthFromFileName(md.fileName||""),
+      reportTag: md.reportType || md.reportTag || extractReportTypeFromFileName(md.fileName||""),
+      methodologyTag: md.methodology || extractMethodologyFromFileName(md.fileName||"", md.reportType),
+      textSnippet: md.text || md.content || "Content not available",
+      score: m.score,
+      retrievers: m.retrievers || ['vector'],
+      vectorScore: m.scores ? m.scores.vector : m.score,
+      keywordScore: m.scores ? m.scores.keyword : undefined,
+      keywordCoverage: m.coverage,
+      pageNumber: md.page || md.pageNumber || 1,
+      page: md.page || md.pageNumber || 1,
+      source: md.source || md.fileName || "Unknown Document",
+      chunkIndex: md.chunkIndex,
+      slide: md.slide,
+      sheetName: md.sheetName,
+      // CRITICAL: Add Google Drive file ID from metadata
+      fileId: md.fileId || md.driveId || md.gdocId || null
+    };
+  });
+  
+  if (relevantChunks.length===0 && matches.length>0){
+    logger.warn(`No matches exceeded threshold ${JSON.stringify(threshold)}. Using topK as fallback.`);
+    usedFallback = true;
+    const fallbackCount = Math.min(matches.length, Number(topK)||50);
+    relevantChunks = matches.slice(0,fallbackCount).map((m,i)=>{
       const md = m.metadata||{};
       return {
         id:`ref${i+1}`,
@@ -1842,169 +2850,241 @@ app.post("/search", requireSession, async (req,res)=>{
         yearTag: md.year || md.yearTag || extractYearFromFileName(md.fileName||""),
         monthTag: md.month || md.monthTag || extractMonthFromFileName(md.fileName||""),
         reportTag: md.reportType || md.reportTag || extractReportTypeFromFileName(md.fileName||""),
+        methodologyTag: md.methodology || extractMethodologyFromFileName(md.fileName||"", md.reportType),
         textSnippet: md.text || md.content || "Content not available",
         score: m.score,
+        retrievers: m.retrievers || ['vector'],
+        vectorScore: m.scores ? m.scores.vector : m.score,
+        keywordScore: m.scores ? m.scores.keyword : undefined,
+        keywordCoverage: m.coverage,
         pageNumber: md.page || md.pageNumber || 1,
         page: md.page || md.pageNumber || 1,
         source: md.source || md.fileName || "Unknown Document",
         chunkIndex: md.chunkIndex,
+        slide: md.slide,
+        sheetName: md.sheetName,
         // CRITICAL: Add Google Drive file ID from metadata
         fileId: md.fileId || md.driveId || md.gdocId || null
       };
     });
-    
-    if (relevantChunks.length===0 && matches.length>0){
-      logger.warn(`No matches exceeded threshold ${threshold}. Using topK as fallback.`);
-      const fallbackCount = Math.min(matches.length, Number(topK)||50);
-      relevantChunks = matches.slice(0,fallbackCount).map((m,i)=>{
-        const md = m.metadata||{};
-        return {
-          id:`ref${i+1}`,
-          fileName: md.fileName || md.source || "Unknown Document",
-          study: md.study || md.title || md.fileName || "Unknown Study",
-          yearTag: md.year || md.yearTag || extractYearFromFileName(md.fileName||""),
-          monthTag: md.month || md.monthTag || extractMonthFromFileName(md.fileName||""),
-          reportTag: md.reportType || md.reportTag || extractReportTypeFromFileName(md.fileName||""),
-          textSnippet: md.text || md.content || "Content not available",
-          score: m.score,
-          pageNumber: md.page || md.pageNumber || 1,
-          page: md.page || md.pageNumber || 1,
-          source: md.source || md.fileName || "Unknown Document",
-          chunkIndex: md.chunkIndex,
-          // CRITICAL: Add Google Drive file ID from metadata
-          fileId: md.fileId || md.driveId || md.gdocId || null
-        };
-      });
-    }
-    
-    logger.info(`Processed ${relevantChunks.length} relevant chunks`);
+  }
+  
+  logger.info(`Processed ${relevantChunks.length} relevant chunks`);
 
-    // ENHANCED: Better file ID mapping from current Google Drive manifest with name updates
-    try {
-      const manifestPath = path.join(MANIFEST_DIR, `${namespace}.json`);
-      if (fs.existsSync(manifestPath)) {
-        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-        const currentFiles = manifest.files || [];
-        
-        // Create multiple mappings for robust file matching
-        const fileIdToCurrentData = new Map();
-        const normalizedNameToCurrentData = new Map();
+  // ENHANCED: Better file ID mapping from current Google Drive manifest with name updates
+  try {
+    const manifestPath = path.join(MANIFEST_DIR, `${namespace}.json`);
+    if (fs.existsSync(manifestPath)) {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      const currentFiles = manifest.files || [];
+      
+      // Create multiple mappings for robust file matching
+      const fileIdToCurrentData = new Map();
+      const normalizedNameToCurrentData = new Map();
+      
+      currentFiles.forEach(file => {
+        if (file.id && file.name) {
+          const currentData = {
+            id: file.id,
+            currentName: file.name,  // This is the up-to-date name from Drive
+            mimeType: file.mimeType,
+            modifiedTime: file.modifiedTime
+          };
+          
+          // Map by file ID (most reliable)
+          fileIdToCurrentData.set(file.id, currentData);
+          
+          // Map by normalized name for fallback matching
+          const normalizedName = file.name.toLowerCase().replace(/[^a-z0-9]/g, '');
+          normalizedNameToCurrentData.set(normalizedName, currentData);
+        }
+      });
+      
+      // Update chunks with current Google Drive file information
+      relevantChunks.forEach(chunk => {
+        let matched = false;
         
-        currentFiles.forEach(file => {
-          if (file.id && file.name) {
-            const currentData = {
-              id: file.id,
-              currentName: file.name,  // This is the up-to-date name from Drive
-              mimeType: file.mimeType,
-              modifiedTime: file.modifiedTime
-            };
-            
-            // Map by file ID (most reliable)
-            fileIdToCurrentData.set(file.id, currentData);
-            
-            // Map by normalized name for fallback matching
-            const normalizedName = file.name.toLowerCase().replace(/[^a-z0-9]/g, '');
-            normalizedNameToCurrentData.set(normalizedName, currentData);
-          }
-        });
+        // First, try to match by existing fileId in metadata
+        if (chunk.fileId && fileIdToCurrentData.has(chunk.fileId)) {
+          const currentData = fileIdToCurrentData.get(chunk.fileId);
+          chunk.fileName = currentData.currentName;  // Use CURRENT name from Drive
+          chunk.source = currentData.currentName;
+          matched = true;
+          console.log(`âœ… Updated by fileId: ${chunk.fileId} â†’ ${currentData.currentName}`);
+        }
         
-        // Update chunks with current Google Drive file information
-        relevantChunks.forEach(chunk => {
-          let matched = false;
+        // If no fileId match, try matching by normalized filename (legacy chunks without a fileId only;
+        // a fileId missing from the manifest means the file was deleted)
+        if (!matched && !chunk.fileId && chunk.fileName) {
+          const normalizedChunkName = chunk.fileName.toLowerCase().replace(/[^a-z0-9]/g, '');
           
-          // First, try to match by existing fileId in metadata
-          if (chunk.fileId && fileIdToCurrentData.has(chunk.fileId)) {
-            const currentData = fileIdToCurrentData.get(chunk.fileId);
+          if (normalizedNameToCurrentData.has(normalizedChunkName)) {
+            const currentData = normalizedNameToCurrentData.get(normalizedChunkName);
+            chunk.fileId = currentData.id;
             chunk.fileName = currentData.currentName;  // Use CURRENT name from Drive
             chunk.source = currentData.currentName;
             matched = true;
-            console.log(`âœ… Updated by fileId: ${chunk.fileId} â†’ ${currentData.currentName}`);
+            console.log(`âœ… Updated by name match: ${normalizedChunkName} â†’ ${currentData.currentName} (${currentData.id})`);
           }
+        }
+        
+        // Try partial matching for renamed files
+        if (!matched && !chunk.fileId && chunk.fileName) {
+          const chunkWords = chunk.fileName.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2);
           
-          // If no fileId match, try matching by normalized filename
-          if (!matched && chunk.fileName) {
-            const normalizedChunkName = chunk.fileName.toLowerCase().replace(/[^a-z0-9]/g, '');
+          for (const [fileId, currentData] of fileIdToCurrentData.entries()) {
+            const currentWords = currentData.currentName.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2);
+            
+            // Calculate word overlap
+            const commonWords = chunkWords.filter(word => currentWords.includes(word));
+            const similarity = commonWords.length / Math.max(chunkWords.length, currentWords.length);
             
-            if (normalizedNameToCurrentData.has(normalizedChunkName)) {
-              const currentData = normalizedNameToCurrentData.get(normalizedChunkName);
+            // If significant similarity (>60% word overlap), assume it's the same file
+            if (similarity > 0.6) {
               chunk.fileId = currentData.id;
               chunk.fileName = currentData.currentName;  // Use CURRENT name from Drive
               chunk.source = currentData.currentName;
               matched = true;
-              console.log(`âœ… Updated by name match: ${normalizedChunkName} â†’ ${currentData.currentName} (${currentData.id})`);
+              console.log(`âœ… Updated by similarity match: ${chunk.fileName} â†’ ${currentData.currentName} (${similarity.toFixed(2)} similarity)`);
+              break;
             }
           }
-          
-          // Try partial matching for renamed files
-          if (!matched && chunk.fileName) {
-            const chunkWords = chunk.fileName.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2);
-            
-            for (const [fileId, currentData] of fileIdToCurrentData.entries()) {
-              const currentWords = currentData.currentName.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2);
-              
-              // Calculate word overlap
-              const commonWords = chunkWords.filter(word => currentWords.includes(word));
-              const similarity = commonWords.length / Math.max(chunkWords.length, currentWords.length);
-              
-              // If significant similarity (>60% word overlap), assume it's the same file
-              if (similarity > 0.6) {
-                chunk.fileId = currentData.id;
-                chunk.fileName = currentData.currentName;  // Use CURRENT name from Drive
-                chunk.source = currentData.currentName;
-                matched = true;
-                console.log(`âœ… Updated by similarity match: ${chunk.fileName} â†’ ${currentData.currentName} (${similarity.toFixed(2)} similarity)`);
-                break;
-              }
-            }
-          }
-        });
-        
-        logger.info(`Mapped file IDs for ${relevantChunks.filter(c => c.fileId).length} chunks from current manifest`);
-        logger.info(`Using current file names from Google Drive (handles renames)`);
-      }
-    } catch (error) {
-      logger.error('Error mapping file IDs from manifest:', error);
+        }
+      });
+      
+      logger.info(`Mapped file IDs for ${relevantChunks.filter(c => c.fileId).length} chunks from current manifest`);
+      logger.info(`Using current file names from Google Drive (handles renames)`);
     }
+  } catch (error) {
+    logger.error('Error mapping file IDs from manifest:', error);
+  }
 
-    // Drop any references not in current Drive manifest (prevents stale docs)
-    if (Array.isArray(relevantChunks)) {
-      const activeClient = (req.session && req.session.clientId) || (filters && filters.clientId) || null;
-      if (!config.search.skipManifestFilter) {
-        relevantChunks = await filterChunksToCurrentManifest(relevantChunks, activeClient);
-      } else { 
-        logger.info('Manifest filter skipped via SKIP_MANIFEST_FILTER'); 
-      }
-      logger.info(`After manifest filter: ${relevantChunks.length} chunks`);
-    
-      // If nothing survives filtering, avoid hallucinations: return a grounded message
-      if (!relevantChunks || relevantChunks.length === 0) {
-        res.json({
-          answer: "I couldn't find grounded content in the selected library for that question.",
-          supporting: [],
-          reportSlides: [],
-          references: [],
-          ok: true
-        });
-        return;
-      }
+  // Drop any references not in current Drive manifest (prevents stale docs)
+  if (Array.isArray(relevantChunks)) {
+    if (!config.search.skipManifestFilter) {
+      relevantChunks = await filterChunksToCurrentManifest(relevantChunks, namespace);
+    } else { 
+      logger.info('Manifest filter skipped via SKIP_MANIFEST_FILTER'); 
+    }
+    logger.info(`After manifest filter: ${relevantChunks.length} chunks`);
+  
+    // If nothing survives filtering, avoid hallucinations: return a grounded message
+    if (!relevantChunks || relevantChunks.length === 0) {
+      const answer = hasSearchFilters(searchFilters)
+        ? "I couldn't find grounded content matching the selected filters for that question."
+        : "I couldn't find grounded content in the selected library for that question.";
+      const confidence = scoreConfidence({ chunks: [], minimum: config.search.confidenceMin });
+      const empty = {
+        answer,
+        confidence,
+        insufficientEvidence: { closestDocuments: [], reasons: confidence.reasons },
+        supporting: [],
+        reportSlides: [],
+        references: [],
+        searchMeta: { totalResults: matches.length, threshold, appliedFilters, retrieval, confidence: { score: 0, level: confidence.level }, standaloneQuery: retrievalQuery },
+        ...(thread ? { thread: recordThreadTurn(req, thread, { question: userQuery, standaloneQuery: retrievalQuery, answer, chunks: [] }) } : {}),
+        ok: true
+      };
+      if (recordHistory) empty.historyId = recordSearchHistory(req, { userQuery, clientId: namespace, filters, threadId: empty.thread?.id, rerunOf }, empty);
+      return empty;
     }
+  }
 
-    // Select most recent study once (global for this request)
-    const recency = preferMostRecent(relevantChunks);
-    const mostRecentRef = recency.mostRecent;
+  // Rerank and diversify; only the top N go to the answer and theme prompts
+  let rerankMeta = null;
+  if (reranker) {
+    try {
+      const reranked = await reranker.rerank(retrievalQuery, relevantChunks, { clientId: namespace, topN: filters?.rerankTopN });
+      relevantChunks = reranked.chunks.map((c,i)=> ({ ...c, id:`ref${i+1}` }));
+      rerankMeta = reranked.meta;
+    } catch (e) {
+      logger.warn('Rerank failed, keeping retrieval order:', e?.message || e);
+      relevantChunks = relevantChunks.slice(0, config.search.rerank.topN);
+    }
+  }
 
-    // Generate main answer with better headline structure
-    const context = relevantChunks.map((c,i)=>`[${i+1}] ${c.textSnippet}`).join("\n\n");
-    let generatedAnswer = "No answer.";
-    
+  // Exact figures from parsed crosstab tables go first so the prompt prefers them for numbers
+  const matchedTables = findTables(listDataTables(namespace), retrievalQuery, 6)
+    .filter(t => chunkMatchesSearchFilters({
+      sourceType: 'table',
+      fileName: t.fileName || '',
+      yearTag: extractYearFromFileName(t.fileName||''),
+      methodologyTag: 'Quantitative'
+    }, searchFilters));
+  const dataTables = matchedTables.slice(0, 3);
+  if (dataTables.length){
+    const tableChunks = dataTables.map(t => ({
+      sourceType: 'table',
+      tableId: t.id,
+      fileName: t.fileName || 'Data table',
+      study: t.fileName || 'Data table',
+      yearTag: extractYearFromFileName(t.fileName||''),
+      monthTag: extractMonthFromFileName(t.fileName||''),
+      reportTag: 'Data',
+      methodologyTag: 'Quantitative',
+      textSnippet: `DATA TABLE: ${tableToText(t)}`,
+      score: t.matchScore,
+      sheetName: t.sheet,
+      source: t.fileName || 'Data table',
+      fileId: t.fileId
+    }));
+    relevantChunks = [...tableChunks, ...relevantChunks].map((c,i)=> ({ ...c, id:`ref${i+1}` }));
+    logger.info(`Added ${dataTables.length} data tables to context`);
+  }
+
+  // Pack the prompt context within the answer model's token budget
+  const answerCounter = await tokenCounterFor("answer", namespace);
+  const packed = await buildContext(relevantChunks, {
+    counter: answerCounter,
+    budget: config.search.context.answerTokens,
+    maxChunkTokens: config.search.context.maxChunkTokens,
+    neighbours: config.search.context.expandNeighbours ? (c => c.sourceType === 'table' ? [] : neighbourChunks(c, namespace)) : null
+  });
+  relevantChunks = packed.chunks.map((c,i)=> ({ ...c, id:`ref${i+1}` }));
+  const contextMeta = {
+    model: answerCounter.model,
+    tokenizer: answerCounter.encoding,
+    budget: packed.budget,
+    usedTokens: packed.usedTokens,
+    selected: relevantChunks.length,
+    expanded: packed.expanded,
+    dropped: packed.dropped
+  };
+  if (packed.dropped.length) logger.info(`Context budget: kept ${relevantChunks.length} chunks (${packed.usedTokens}/${packed.budget} tokens), dropped ${packed.dropped.length}`);
+  emit("references", {
+    references: { chunks: relevantChunks },
+    dataTables,
+    searchMeta: { totalResults: matches.length, threshold, appliedFilters, retrieval, rerank: rerankMeta, context: contextMeta }
+  });
+  if (signal?.aborted) return null;
+
+  // Select most recent study once (global for this request)
+  const recency = preferMostRecent(relevantChunks);
+  const mostRecentRef = recency.mostRecent;
+
+  // Weak retrieval: say so rather than write an answer the library can't support
+  const retrievalConfidence = scoreConfidence({ chunks: relevantChunks, threshold: config.search.scoreThreshold, minimum: config.search.confidenceMin });
+  const insufficient = retrievalConfidence.level === 'insufficient';
+
+  // Generate main answer with better headline structure
+  const context = relevantChunks.map((c,i)=>`[${i+1}] ${c.contextText}`).join("\n\n");
+  const conversation = history.length ? `
+Earlier in this conversation (for context only; cite the snippets below, not these answers):
+${history.map(t => `Q: ${t.question}\nA: ${answerCounter.truncate(t.answer || '', 250)}`).join("\n\n")}
+` : '';
+  let generatedAnswer = "No answer.";
+  
+  if (!insufficient) {
     try{
       const prompt = `You are a research analyst providing direct answers based ONLY on the snippets below.
-
-User Question: "${userQuery}"
+${conversation}
+User Question: "${userQuery}"${retrievalQuery !== String(userQuery).trim() ? `\n(Standalone form: "${retrievalQuery}")` : ''}
 
 Relevant Information from Documents:
 ${context}
 
+Snippets starting with "DATA TABLE" are exact tabulated results; use them for any percentages or counts they cover.
+
 Instructions:
 Create a structured answer with:
 1. HEADLINE: A direct, factual answer to the question (NOT a newspaper headline). Start with key findings, percentages, or specific answers.
@@ -2020,108 +3100,1003 @@ HEADLINE: [Direct answer with key data/findings]
 DETAILS: [Supporting context with citations]
 
 Answer:`;
-      
-      const completion = await openai.chat.completions.create({
-        model: config.ai.answerModel,
+    
+      const completion = await llm.chat("answer", {
+        clientId: namespace,
         messages: [{ role:"user", content: prompt }],
-        temperature: 0.2, 
-        max_tokens: 500
+        onDelta: (text) => emit("answerDelta", { text })
       });
-      generatedAnswer = completion.choices[0]?.message?.content || generatedAnswer;
+      generatedAnswer = completion.content || generatedAnswer;
     }catch(e){
-      logger.warn("OpenAI completion failed:", e.message);
+      logger.warn("Answer completion failed:", e.message);
       generatedAnswer = "HEADLINE: Limited evidence found in research library\nDETAILS: Unable to generate comprehensive answer based on available documents.";
     }
+  }
+  // Check every [n] against the references before the final answer goes out
+  let answerCheck = null;
+  if (!insufficient && config.search.citationCheck !== 'off') {
+    const checked = verifyCitations(generatedAnswer, relevantChunks, { mode: config.search.citationCheck, keepFirstSentence: true });
+    generatedAnswer = checked.text || generatedAnswer;
+    answerCheck = { claims: checked.claims, summary: checked.summary };
+    if (checked.summary.unsupported || checked.summary.uncited || checked.summary.invalidCitation) {
+      logger.info(`Citation check (${config.search.citationCheck}): ${JSON.stringify(checked.summary)}`);
+    }
+  }
+  // Final confidence includes how the answer's citations held up
+  const confidence = insufficient
+    ? retrievalConfidence
+    : scoreConfidence({ chunks: relevantChunks, threshold: config.search.scoreThreshold, citationCheck: answerCheck, minimum: config.search.confidenceMin });
+  const insufficientEvidence = confidence.level === 'insufficient'
+    ? { closestDocuments: closestDocuments(relevantChunks), reasons: confidence.reasons }
+    : null;
+  if (insufficientEvidence) {
+    logger.info(`Insufficient evidence (confidence ${confidence.score}): ${confidence.reasons.join('; ')}`);
+    generatedAnswer = insufficientEvidenceAnswer(insufficientEvidence.closestDocuments, hasSearchFilters(searchFilters));
+    answerCheck = null;
+  }
+  emit("answer", { answer: generatedAnswer, citationCheck: answerCheck, confidence, insufficientEvidence });
+  if (signal?.aborted) return null;
 
-    // Generate supporting themes without duplication
-    let supportingThemes = [];
+  // Generate supporting themes without duplication (none when the library doesn't answer the question)
+  let supportingThemes = [];
+  if (!insufficientEvidence) {
     try {
-      const model = config.ai.answerModel;
-      supportingThemes = await buildSupportingThemes(openai, model, userQuery, relevantChunks);
+      supportingThemes = await buildSupportingThemes(llm.forLibrary(namespace), retrievalQuery, relevantChunks, {
+        onTheme: (theme, index) => emit("theme", { theme, index }),
+        signal
+      });
       logger.info(`Generated ${supportingThemes.length} supporting themes with proper chart data`);
     } catch(e) {
       logger.warn('buildSupportingThemes failed:', e?.message || e);
     }
+  }
 
-    // Basic themes aggregation for backwards compatibility
-    const byReportType = {};
-    const byYear = {};
-    for (const c of relevantChunks){
-      if (c?.reportTag) byReportType[c.reportTag] = (byReportType[c.reportTag]||0)+1;
-      if (c?.yearTag) byYear[c.yearTag] = (byYear[c.yearTag]||0)+1;
-    }
+  // Basic themes aggregation for backwards compatibility
+  const byReportType = {};
+  const byYear = {};
+  for (const c of relevantChunks){
+    if (c?.reportTag) byReportType[c.reportTag] = (byReportType[c.reportTag]||0)+1;
+    if (c?.yearTag) byYear[c.yearTag] = (byYear[c.yearTag]||0)+1;
+  }
 
-    const themes = [
-      { key:"byReportType", title:"References by Report Type", type:"bar",
-        data: Object.entries(byReportType).map(([label,value])=>({label,value})).sort((a,b)=>b.value-a.value) },
-      { key:"byYear", title:"References by Year", type:"bar",
-        data: Object.entries(byYear).map(([label,value])=>({label,value})).sort((a,b)=> String(a.label).localeCompare(String(b.label))) },
-    ];
+  const themes = [
+    { key:"byReportType", title:"References by Report Type", type:"bar",
+      data: Object.entries(byReportType).map(([label,value])=>({label,value})).sort((a,b)=>b.value-a.value) },
+    { key:"byYear", title:"References by Year", type:"bar",
+      data: Object.entries(byYear).map(([label,value])=>({label,value})).sort((a,b)=> String(a.label).localeCompare(String(b.label))) },
+  ];
 
-    // FIXED: Generate reports with actual thumbnails (not fallback placeholders)
-    const reports = await (async () => {
-      const arr = (relevantChunks || []).slice(0, 6);
-      const out = [];
+  // FIXED: Generate reports with actual thumbnails (not fallback placeholders)
+  const reports = await (async () => {
+    const arr = (relevantChunks || []).filter(c => c.sourceType !== 'table').slice(0, 6);
+    const out = [];
+    
+    for (const c of arr) {
+      let thumb = null, preview = null;
       
-      for (const c of arr) {
-        let thumb = null, preview = null;
-        
-        if (c.fileId) {
-          try {
-            console.log(`[suppressed] Generating thumbnail for: ${c.fileName} (${c.fileId}) page ${c.page}`);
-            thumb = await getPdfThumbnail(c.fileId, c.page || 1);
-            preview = buildDrivePreviewUrl(c.fileId, c.page);
-            console.log(`Thumbnail result: ${thumb ? 'SUCCESS' : 'FAILED'}`);
-          } catch (e) {
-            console.error('Error getting thumbnail for', c.fileId, e);
-          }
-        }
-        
-        // Only include if we have valid data
-        if (c.fileName && c.fileId) {
-          out.push({
-            source: c.fileName,        // Use actual file name from manifest
-            page: c.page || 1,
-            study: c.fileName,         // Use file name as study
-            date: (c.monthTag ? (c.monthTag + ' ') : '') + (c.yearTag || ''),
-            fileId: c.fileId,
-            preview,
-            thumbnail: thumb           // This will be base64 data URL or null
-          });
+      if (c.fileId) {
+        try {
+          console.log(`[suppressed] Generating thumbnail for: ${c.fileName} (${c.fileId}) page ${c.page}`);
+          thumb = await getPdfThumbnail(c.fileId, c.page || 1);
+          preview = buildDrivePreviewUrl(c.fileId, c.page);
+          console.log(`Thumbnail result: ${thumb ? 'SUCCESS' : 'FAILED'}`);
+        } catch (e) {
+          console.error('Error getting thumbnail for', c.fileId, e);
         }
       }
       
-      console.log(`Generated ${out.length} reports with thumbnails`);
-      return out;
-    })();
+      // Only include if we have valid data
+      if (c.fileName && c.fileId) {
+        out.push({
+          source: c.fileName,        // Use actual file name from manifest
+          page: c.page || 1,
+          study: c.fileName,         // Use file name as study
+          date: (c.monthTag ? (c.monthTag + ' ') : '') + (c.yearTag || ''),
+          fileId: c.fileId,
+          preview,
+          thumbnail: thumb           // This will be base64 data URL or null
+        });
+      }
+    }
+    
+    console.log(`Generated ${out.length} reports with thumbnails`);
+    return out;
+  })();
+
+  console.log('Debug - Generated reports with thumbnails:', reports);
+  console.log('Debug - First report:', reports[0]);
+  emit("reports", { reports });
+
+  const dashboard = await buildDashboardPayload({answer: generatedAnswer, query: retrievalQuery, themes, relevantChunks, mostRecentRef, taxonomy: taxonomyFor(namespace), tables: matchedTables});
+  emit("dashboard", { dashboard });
+
+  const result = {
+    dashboard,
+    answer: generatedAnswer,
+    supportingThemes: supportingThemes || [],
+    references: { chunks: relevantChunks },
+    reports,  // This now contains actual thumbnails and correct file names
+    dataTables,
+    themes,
+    quotes: [], 
+    visuals: [], 
+    supportingData: [], 
+    secondary: [], 
+    supportingBullets: [],
+    searchMeta: { 
+      totalResults: matches.length, 
+      threshold, 
+      usedFallback,
+      appliedFilters,
+      retrieval,
+      rerank: rerankMeta,
+      context: contextMeta,
+      citations: answerCheck ? citationSummary(answerCheck, supportingThemes) : null,
+      confidence: { score: confidence.score, level: confidence.level },
+      standaloneQuery: retrievalQuery
+    }
+  };
+  if (answerCheck) result.citationCheck = { mode: config.search.citationCheck, answer: answerCheck };
+  result.confidence = confidence;
+  if (insufficientEvidence) result.insufficientEvidence = insufficientEvidence;
+  if (thread) result.thread = recordThreadTurn(req, thread, { question: userQuery, standaloneQuery: retrievalQuery, answer: generatedAnswer, chunks: relevantChunks });
+  if (recordHistory) result.historyId = recordSearchHistory(req, { userQuery, clientId: namespace, filters, threadId: result.thread?.id, rerunOf }, result);
+  return result;
+}
 
-    console.log('Debug - Generated reports with thumbnails:', reports);
-    console.log('Debug - First report:', reports[0]);
+// The question fields a client may send; everything else in the body is ignored
+function searchRequestOf(body){
+  const { userQuery, clientId, filters, threadId } = body || {};
+  return { userQuery, clientId, filters, threadId };
+}
 
-    res.json({
-      dashboard: await buildDashboardPayload({answer: generatedAnswer, themes, relevantChunks, mostRecentRef}),
-      answer: generatedAnswer,
-      supportingThemes: supportingThemes || [],
-      references: { chunks: relevantChunks },
-      reports,  // This now contains actual thumbnails and correct file names
-      themes,
-      quotes: [], 
-      visuals: [], 
-      supportingData: [], 
-      secondary: [], 
-      supportingBullets: [],
-      searchMeta: { 
-        totalResults: matches.length, 
-        threshold, 
-        usedFallback: relevantChunks.length>0 && (matches[0]?.score||0)<threshold
-      }
-    });
+app.post("/search", requireSession, async (req,res)=>{
+  try{
+    res.json(await runSearchPipeline(req, searchRequestOf(req.body)));
   }catch(err){
+    if (err.status) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
     logger.error("Search error:", err);
     res.status(500).json({ error:"Failed to process search query" });
   }
 });
 
+// Streaming search: newline-delimited JSON, one {"type": ...} event per line as each stage
+// finishes, ending with {"type":"done","result":<the /search payload>} or {"type":"error"}.
+// Request errors found before anything is streamed still get a plain JSON error status.
+app.post("/search/stream", requireSession, async (req,res)=>{
+  const controller = new AbortController();
+  let started = false;
+  let finished = false;
+  res.on("close", () => { if (!finished) controller.abort(); });
+
+  const send = (type, data = {}) => {
+    if (controller.signal.aborted) return;
+    if (!started) {
+      started = true;
+      res.status(200);
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("X-Accel-Buffering", "no");
+      res.flushHeaders?.();
+    }
+    res.write(JSON.stringify({ type, ...data }) + "\n");
+  };
+
+  try{
+    const result = await runSearchPipeline(req, searchRequestOf(req.body), { emit: send, signal: controller.signal });
+    if (controller.signal.aborted) {
+      logger.info("Search stream closed by the client before completion");
+      return;
+    }
+    send("done", { result });
+  }catch(err){
+    if (!started) {
+      if (err.status) res.status(err.status).json({ error: err.message });
+      else {
+        logger.error("Search stream error:", err);
+        res.status(500).json({ error:"Failed to process search query" });
+      }
+      return;
+    }
+    logger.error("Search stream error:", err);
+    send("error", { error: err.status ? err.message : "Failed to process search query" });
+  }finally{
+    finished = true;
+    if (started && !res.writableEnded) res.end();
+  }
+});
+
+// Library folder category used by the admin stats and the filter panel
+function folderCategoryFor(file){
+  const folderPath = (file.folderPath || '').toLowerCase();
+  const fileName = (file.name || '').toLowerCase();
+  if (folderPath.includes('report') || fileName.includes('report')) return 'Reports';
+  if (folderPath.includes('qnr') || folderPath.includes('questionnaire')) return 'QNR';
+  if (folderPath.includes('data')) return 'DataFiles';
+  return 'Reports';
+}
+
+// ---- Filter panel options per library (cached until the library syncs again) ----
+const filterOptionsCache = new Map();
+
+function invalidateFilterOptions(clientId){
+  if (clientId) filterOptionsCache.delete(clientId);
+  else filterOptionsCache.clear();
+}
+
+function buildFilterOptions(manifest){
+  const counters = { years: {}, reports: {}, methodology: {}, folders: {} };
+  const bump = (key, value) => { if (value) counters[key][value] = (counters[key][value] || 0) + 1; };
+  (manifest.files || []).forEach(f => {
+    const tags = f.tags || fileNameTags(f.name, f.titleTags);
+    bump('years', tags.year);
+    bump('reports', tags.reportType);
+    bump('methodology', tags.methodology);
+    bump('folders', folderCategoryFor(f));
+  });
+  const toOptions = (key, sort) => Object.entries(counters[key])
+    .map(([value, count]) => ({ value, count }))
+    .sort(sort || ((a, b) => (b.count - a.count) || a.value.localeCompare(b.value)));
+  const options = {
+    years: toOptions('years', (a, b) => b.value.localeCompare(a.value)),
+    reports: toOptions('reports'),
+    methodology: toOptions('methodology'),
+    folders: toOptions('folders')
+  };
+  return {
+    // Plain value lists, as the filter panel has always read them
+    years: options.years.map(o => o.value),
+    reports: options.reports.map(o => o.value),
+    methodology: options.methodology.map(o => o.value),
+    folders: options.folders.map(o => o.value),
+    options,
+    totalDocuments: (manifest.files || []).length,
+    lastUpdated: manifest.lastUpdated || null
+  };
+}
+
+app.get("/api/filter-options", requireSession, async (req, res) => {
+  try {
+    const clientId = resolveRequestClientId(req, req.query.clientId);
+    if (!clientId) {
+      res.json({ years: [], reports: [], methodology: [], folders: [], options: {}, totalDocuments: 0 });
+      return;
+    }
+    const manifest = readJSON(path.join(MANIFEST_DIR, `${clientId}.json`), { files: [], lastUpdated: null });
+    const cached = filterOptionsCache.get(clientId);
+    if (cached && cached.lastUpdated === (manifest.lastUpdated || null)) {
+      res.json({ ...cached, clientId, cached: true });
+      return;
+    }
+    const data = buildFilterOptions(manifest);
+    filterOptionsCache.set(clientId, data);
+    res.json({ ...data, clientId, cached: false });
+  } catch (error) {
+    if (error.status === 403) {
+      res.status(403).json({ error: error.message });
+      return;
+    }
+    logger.error("Filter options error:", error);
+    res.status(500).json({ error: "Failed to load filter options" });
+  }
+});
+
+// Parsed crosstab tables for a library (optionally ranked against ?q=)
+app.get("/api/data-tables/:clientId", requireSession, (req, res) => {
+  try {
+    const clientId = resolveRequestClientId(req, req.params.clientId);
+    const all = listDataTables(clientId);
+    const tables = req.query.q ? findTables(all, String(req.query.q), Number(req.query.limit) || 10) : all;
+    res.json({ ok:true, clientId, count: tables.length, tables });
+  } catch (error) {
+    if (error.status === 403) {
+      res.status(403).json({ ok:false, error: error.message });
+      return;
+    }
+    logger.error("Data tables fetch error:", error);
+    res.status(500).json({ ok:false, error: "Failed to fetch data tables" });
+  }
+});
+
+// === Card refinement ("Add More Detail" / "Simplify") ===
+// A card is the answer (headline + details) or one supporting theme (title, subtitle, bullets); its [n]
+// markers number the search's references. "expand" reads more of the cited documents (adjacent pages
+// and the best keyword hits elsewhere in the same files) and writes a deeper card citing the new
+// snippets as [n+1]…; "simplify" rewrites in plain language and must keep every original marker.
+const CARD_ACTIONS = ["expand", "simplify"];
+
+function cardCitations(text){
+  return [...new Set([...String(text || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)]
+    .flatMap(m => m[1].split(',').map(n => Number(n.trim()))))];
+}
+
+function cardText(card){
+  return card.kind === 'answer'
+    ? `HEADLINE: ${card.headline || ''}\nDETAILS: ${card.details || ''}`
+    : [card.title, card.subtitle, ...(card.bullets || []).map(b => `- ${b}`)].filter(Boolean).join('\n');
+}
+
+function normalizeCard(raw){
+  const kind = raw?.kind === 'answer' ? 'answer' : 'theme';
+  if (kind === 'answer') return { kind, headline: sanitizeText(raw.headline).slice(0, 1000), details: String(raw.details || '').slice(0, 4000) };
+  return {
+    kind,
+    title: sanitizeText(raw?.title).slice(0, 200),
+    subtitle: sanitizeText(raw?.subtitle).slice(0, 500),
+    bullets: (Array.isArray(raw?.bullets) ? raw.bullets : []).map(b => sanitizeText(b).slice(0, 800)).filter(Boolean).slice(0, 12)
+  };
+}
+
+// Reference text comes from the index where possible, not from what the browser sent back
+function loadCardReferences(refs, namespace){
+  return (Array.isArray(refs) ? refs : []).slice(0, 30).map(r => {
+    const n = Number(r.n);
+    if (!Number.isInteger(n) || n < 1) return null;
+    const stored = r.fileId != null && r.chunkIndex != null ? keywordIndex.get([chunkVectorId(r.fileId, Number(r.chunkIndex))], namespace)[0] : null;
+    const md = stored?.metadata || {};
+    return {
+      n,
+      id: `ref${n}`,
+      fileId: r.fileId || md.fileId || null,
+      fileName: md.fileName || r.fileName || 'Unknown',
+      page: md.page || Number(r.page) || 1,
+      chunkIndex: stored ? md.chunkIndex : (r.chunkIndex ?? null),
+      sourceType: r.sourceType,
+      textSnippet: md.text || String(r.textSnippet || '').slice(0, 4000)
+    };
+  }).filter(Boolean).sort((a, b) => a.n - b.n);
+}
+
+// More of the cited files: pages next to each cited chunk, then keyword hits elsewhere in those files
+function expansionCandidates(card, refs, namespace, query){
+  const taken = new Set(refs.map(r => `${r.fileId}#${r.chunkIndex}`));
+  const out = [];
+  const add = (md) => {
+    const key = `${md.fileId}#${md.chunkIndex}`;
+    if (!md.text || taken.has(key)) return;
+    taken.add(key);
+    out.push({ fileId: md.fileId, fileName: md.fileName, page: md.page || 1, chunkIndex: md.chunkIndex, textSnippet: md.text });
+  };
+  refs.filter(r => r.fileId && r.chunkIndex != null).forEach(r => {
+    [1, -1, 2, -2].map(d => r.chunkIndex + d).filter(i => i >= 0)
+      .forEach(i => keywordIndex.get([chunkVectorId(r.fileId, i)], namespace).forEach(({ metadata }) => add(metadata)));
+  });
+  const fileIds = [...new Set(refs.map(r => r.fileId).filter(Boolean))];
+  if (fileIds.length) {
+    keywordIndex.search(`${query || ''} ${cardText(card)}`, { namespace, topK: 20, filter: { fileId: { $in: fileIds } } })
+      .forEach(({ metadata }) => add(metadata));
+  }
+  return out;
+}
+
+// nextRef: first free reference number in the search the card belongs to (new snippets start there)
+async function refineCard(namespace, { action, card, references, query, nextRef }){
+  const refs = loadCardReferences(references, namespace);
+  const original = cardText(card);
+  const counter = await tokenCounterFor("cardRefine", namespace);
+  let extra = [];
+  if (action === 'expand') {
+    const candidates = expansionCandidates(card, refs, namespace, query);
+    const used = refs.reduce((sum, r) => sum + counter.count(r.textSnippet), 0);
+    const packed = await buildContext(candidates, {
+      counter,
+      budget: Math.max(0, config.search.context.answerTokens - used),
+      maxChunkTokens: config.search.context.maxChunkTokens
+    });
+    const next = Math.max(Math.max(0, ...refs.map(r => r.n)) + 1, Number(nextRef) || 0);
+    extra = packed.chunks.slice(0, 8).map((c, i) => ({ n: next + i, id: `ref${next + i}`, ...c, textSnippet: c.contextText }))
+      .map(({ contextText, contextTokens, expandedWith, ...c }) => c);
+  }
+  const snippets = [...refs, ...extra].map(r => `[${r.n}] (${r.fileName}, p.${r.page}) ${counter.truncate(r.textSnippet, config.search.context.maxChunkTokens)}`).join("\n\n");
+  const shape = card.kind === 'answer'
+    ? '{"headline":"...","details":"..."}'
+    : '{"title":"...","subtitle":"...","bullets":["...", "..."]}';
+  const instructions = action === 'expand'
+    ? `Write a deeper version of this card. Keep what it already says, then add specifics from the snippets: figures, segments, waves and reasons. Cite every statement with the [n] numbers shown on the snippets${extra.length ? `; the new snippets are [${extra[0].n}] to [${extra[extra.length - 1].n}]` : ''}. Use ONLY the snippets.${card.kind === 'theme' ? ' Up to 8 bullets.' : ' The headline stays one sentence; details may be a short paragraph.'}`
+    : `Rewrite this card in plain language for a non-specialist: short sentences, no jargon, same facts and numbers. Keep EVERY citation marker from the original (${cardCitations(original).map(n => `[${n}]`).join(' ') || 'none'}) attached to the statement it supports. Do not add facts or citations.`;
+  const prompt = `${instructions}
+
+Question the card answers: "${query || ''}"
+
+Card:
+${original}
+
+Snippets:
+${snippets || '(none)'}
+
+Return JSON: ${shape}`;
+
+  const known = new Set([...refs, ...extra].map(r => r.n));
+  // Drop markers that point at nothing; a group ("[2, 9]") keeps the numbers that exist
+  const clean = (s) => String(s || '').replace(/\s?\[(\d+(?:\s*,\s*\d+)*)\]/g, (m, group) => {
+    const ns = group.split(',').map(n => Number(n.trim()));
+    const kept = ns.filter(n => known.has(n));
+    if (!kept.length) return '';
+    return kept.length === ns.length ? m : `${m.match(/^\s?/)[0]}[${kept.join(', ')}]`;
+  });
+  const generate = async (extraInstruction) => {
+    const { content } = await llm.chat("cardRefine", { clientId: namespace, json: true, messages: [{ role: "user", content: extraInstruction ? `${prompt}\n\n${extraInstruction}` : prompt }] });
+    let parsed = {};
+    try { parsed = JSON.parse(content || "{}"); } catch { parsed = {}; }
+    const out = normalizeCard({ ...card, ...parsed, kind: card.kind });
+    if (card.kind === 'answer' ? !out.headline : !out.bullets.length) throw searchError("The model did not return a usable card", 502);
+    if (card.kind === 'answer') { out.headline = clean(out.headline); out.details = clean(out.details); }
+    else out.bullets = out.bullets.map(clean);
+    return out;
+  };
+  // A simplified card must keep every citation next to its statement: retry once, then give up rather
+  // than re-attach markers to text they may not support
+  const lost = (c) => cardCitations(original).filter(n => known.has(n) && !cardCitations(cardText(c)).includes(n));
+  let refined = await generate();
+  if (action === 'simplify' && lost(refined).length) {
+    logger.warn(`Card simplify dropped ${lost(refined).map(n => `[${n}]`).join('')}; retrying`);
+    refined = await generate(`Your previous rewrite dropped these citation markers: ${lost(refined).map(n => `[${n}]`).join(' ')}. Every one of them must appear after the statement it supports.`);
+    if (lost(refined).length) throw searchError("The simplified card lost some of its citations; try again", 502);
+  }
+  const cited = new Set(cardCitations(cardText(refined)));
+  return {
+    action,
+    card: refined,
+    references: [...refs, ...extra.filter(r => cited.has(r.n))],
+    added: extra.filter(r => cited.has(r.n)).map(r => r.n)
+  };
+}
+
+// Body: { action: "expand" | "simplify", clientId, query, card, nextRef, references: [{ n, fileId, chunkIndex, page, fileName, textSnippet }] }
+app.post("/api/cards/refine", requireSession, async (req,res)=>{
+  const { action, clientId, query } = req.body || {};
+  if (!CARD_ACTIONS.includes(action)) return res.status(400).json({ ok:false, error:`action must be one of ${CARD_ACTIONS.join(', ')}` });
+  const card = normalizeCard(req.body?.card);
+  if (card.kind === 'answer' ? !card.headline : !card.title && !card.bullets.length) return res.status(400).json({ ok:false, error:"Card is empty" });
+  try{
+    const namespace = resolveRequestClientId(req, clientId);
+    if (!namespace) return res.status(400).json({ ok:false, error:"Select a client library first" });
+    const data = await refineCard(namespace, { action, card, references: req.body?.references, query: sanitizeText(query).slice(0, 500), nextRef: req.body?.nextRef });
+    logger.info(`Card ${action}: ${data.references.length} references (${data.added.length} new) in ${namespace}`);
+    res.json({ ok:true, data });
+  }catch(err){
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    logger.error("Card refine error:", err);
+    res.status(500).json({ ok:false, error:"Failed to refine card" });
+  }
+});
+
+// === Search Threads (per-user) ===
+// Each thread keeps its questions, answers and the references the answers cited, so follow-ups
+// can be rewritten against the conversation and a thread can be resumed later.
+// Each user's threads live in their own file, so a search rewrites one user's threads rather than everyone's.
+// All changes go through updateUserThreads: read, change and write happen in one synchronous step (written
+// to a temp file and renamed), so two searches finishing together cannot interleave and drop a turn.
+const THREADS_DIR = path.join(config.data.cacheDir, "threads");
+function threadsFileFor(key){ return path.join(THREADS_DIR, `${encodeURIComponent(key)}.json`); }
+function readUserThreads(key){ try{ return JSON.parse(fs.readFileSync(threadsFileFor(key),"utf-8")); }catch(e){ return {}; } }
+function updateUserThreads(key, change){
+  const threads = readUserThreads(key);
+  const result = change(threads);
+  try{
+    const file = threadsFileFor(key);
+    fs.mkdirSync(THREADS_DIR, {recursive:true});
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(threads));
+    fs.renameSync(`${file}.tmp`, file);
+  }catch(e){ logger.warn("Failed to write threads:", e.message); }
+  return result;
+}
+
+function summarizeThread(thread){
+  const { turns, ...rest } = thread;
+  const last = (turns || [])[turns.length - 1];
+  return { ...rest, turnCount: (turns || []).length, lastQuestion: last ? last.question : null };
+}
+
+// The caller's thread for a follow-up, or a new (not yet saved) thread for a first question
+function openSearchThread(req, threadId, clientId, firstQuestion){
+  if (threadId) {
+    const thread = readUserThreads(getUserKey(req))[threadId];
+    if (!thread) throw searchError("Thread not found", 404);
+    if (thread.clientId !== clientId) throw searchError("Thread belongs to a different client library", 400);
+    return thread;
+  }
+  const now = Date.now();
+  return {
+    id: `thr_${new Date().toISOString().replace(/[-:TZ.]/g,'').slice(0,14)}_${Math.random().toString(36).substr(2,5)}`,
+    title: sanitizeText(firstQuestion).slice(0, 80),
+    clientId,
+    createdAt: now,
+    updatedAt: now,
+    turns: []
+  };
+}
+
+// Rewrite a follow-up into a question that retrieval can answer on its own
+async function rewriteFollowUpQuery(clientId, question, history){
+  const prompt = `Rewrite the follow-up question so it can be understood without the conversation. Keep names, products, audiences, waves and years from the conversation that the follow-up refers to. If it is already standalone, return it unchanged. Reply with the question only.
+
+Conversation:
+${history.map(t => `Q: ${t.question}\nA: ${String(t.answer || '').slice(0, 400)}`).join("\n\n")}
+
+Follow-up: ${question}
+Standalone question:`;
+  try {
+    const { content } = await llm.chat("queryRewrite", { clientId, messages: [{ role: "user", content: prompt }] });
+    // The label may sit on its own line ("Standalone question:\n...") or before the question
+    const rewritten = String(content || '').split("\n")
+      .map(l => l.trim().replace(/^standalone question:\s*/i, '').replace(/^"|"$/g, '').trim())
+      .find(Boolean) || '';
+    if (rewritten && rewritten.length <= 500) {
+      logger.info(`Follow-up rewritten: "${question}" → "${rewritten}"`);
+      return rewritten;
+    }
+  } catch (e) {
+    logger.warn("Follow-up rewrite failed, using the previous question as context:", e?.message || e);
+  }
+  return `${history[history.length - 1].question} ${question}`.trim();
+}
+
+// Cited references: the [n] markers in the answer, or the top few when it cites none
+function citedReferences(answer, chunks){
+  const cited = [...new Set([...String(answer || '').matchAll(/\[(\d+)\]/g)].map(m => Number(m[1])))]
+    .map(n => chunks[n - 1])
+    .filter(Boolean);
+  return (cited.length ? cited : chunks.slice(0, 3)).map(c => ({
+    ref: c.id,
+    fileId: c.fileId || null,
+    fileName: c.fileName,
+    page: c.page || null,
+    textSnippet: String(c.textSnippet || '').slice(0, 400)
+  }));
+}
+
+function recordThreadTurn(req, thread, { question, standaloneQuery, answer, chunks }){
+  return updateUserThreads(getUserKey(req), (threads) => {
+    const saved = threads[thread.id] || thread;
+    saved.turns = [...(saved.turns || []), {
+      id: `turn_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      question: sanitizeText(question),
+      ...(standaloneQuery && standaloneQuery !== String(question).trim() ? { standaloneQuery } : {}),
+      answer: String(answer || ''),
+      references: citedReferences(answer, chunks || []),
+      createdAt: Date.now()
+    }].slice(-config.search.maxThreadTurns);
+    saved.updatedAt = Date.now();
+    threads[saved.id] = saved;
+    // Keep the most recently used threads
+    const ids = Object.values(threads).sort((a,b) => b.updatedAt - a.updatedAt).map(t => t.id);
+    ids.slice(config.search.maxThreadsPerUser).forEach(id => { delete threads[id]; });
+    return summarizeThread(saved);
+  });
+}
+
+app.get("/api/threads", requireSession, (req,res)=>{
+  const { clientId } = req.query;
+  const list = Object.values(readUserThreads(getUserKey(req)))
+    .filter(t => !clientId || t.clientId === clientId)
+    .sort((a,b) => b.updatedAt - a.updatedAt)
+    .map(summarizeThread);
+  res.json({ ok:true, data: list });
+});
+
+app.get("/api/threads/:id", requireSession, (req,res)=>{
+  const thread = readUserThreads(getUserKey(req))[req.params.id];
+  if(!thread) return res.status(404).json({ ok:false, error:"Not found" });
+  res.json({ ok:true, data: thread });
+});
+
+app.put("/api/threads/:id", requireSession, (req,res)=>{
+  const title = sanitizeText(req.body?.title || "").slice(0, 120);
+  if (!title) return res.status(400).json({ ok:false, error:"Title required" });
+  const thread = updateUserThreads(getUserKey(req), (threads) => {
+    const t = threads[req.params.id];
+    if (!t) return null;
+    t.title = title;
+    t.updatedAt = Date.now();
+    return t;
+  });
+  if(!thread) return res.status(404).json({ ok:false, error:"Not found" });
+  res.json({ ok:true, data: summarizeThread(thread) });
+});
+
+app.delete("/api/threads/:id", requireSession, (req,res)=>{
+  const key = getUserKey(req);
+  if (readUserThreads(key)[req.params.id]) updateUserThreads(key, (threads) => { delete threads[req.params.id]; });
+  res.json({ ok:true, data: true });
+});
+
+// === Search History (per-user) ===
+// Every search is kept with its query, library, filters and a snapshot of what was shown, tied to
+// the library manifest's lastUpdated at the time. Old results reopen exactly as they were; a re-run
+// against the current library reports how the answer moved and which newly ingested files explain it.
+// Each user has a folder: index.json lists their searches (no snapshots), <id>.json holds one snapshot,
+// so recording a search rewrites one small index rather than everyone's stored results.
+const SEARCH_HISTORY_DIR = path.join(config.data.cacheDir, "search-history");
+function historyDirFor(key){ return path.join(SEARCH_HISTORY_DIR, encodeURIComponent(key)); }
+function readHistoryIndex(key){ try{ return JSON.parse(fs.readFileSync(path.join(historyDirFor(key), "index.json"),"utf-8")); }catch(e){ return []; } }
+function writeHistoryIndex(key, list){ try{ fs.mkdirSync(historyDirFor(key), {recursive:true}); fs.writeFileSync(path.join(historyDirFor(key), "index.json"), JSON.stringify(list)); }catch(e){ logger.warn("Failed to write search history:", e.message); } }
+function writeHistorySnapshot(key, id, snapshot){ try{ fs.mkdirSync(historyDirFor(key), {recursive:true}); fs.writeFileSync(path.join(historyDirFor(key), `${id}.json`), JSON.stringify(snapshot)); }catch(e){ logger.warn("Failed to write search snapshot:", e.message); } }
+function removeHistorySnapshot(key, id){ try{ fs.unlinkSync(path.join(historyDirFor(key), `${id}.json`)); }catch(e){ /* already gone */ } }
+
+// Index entry plus its snapshot, or null when the user has no such search
+function readHistoryEntry(key, id){
+  const entry = readHistoryIndex(key).find(e => e.id === id);
+  if (!entry) return null;
+  let snapshot = null;
+  try{ snapshot = JSON.parse(fs.readFileSync(path.join(historyDirFor(key), `${entry.id}.json`),"utf-8")); }catch(e){ logger.warn(`Search snapshot ${entry.id} unreadable:`, e.message); }
+  return { ...entry, snapshot };
+}
+
+// What the user saw, minus thumbnails and prompt-only text (kept small enough to store per search)
+function searchSnapshot(result){
+  const stripThumbs = (list) => (Array.isArray(list) ? list : []).map(({ thumbnail, ...r }) => r);
+  const chunks = Array.isArray(result.references?.chunks) ? result.references.chunks : [];
+  return {
+    answer: result.answer || '',
+    supportingThemes: result.supportingThemes || [],
+    references: { chunks: chunks.map(({ contextText, ...c }) => ({ ...c, textSnippet: String(c.textSnippet || '').slice(0, 1000) })) },
+    dataTables: result.dataTables || [],
+    citationCheck: result.citationCheck || null,
+    confidence: result.confidence || null,
+    insufficientEvidence: result.insufficientEvidence || null,
+    reports: stripThumbs(result.reports),
+    dashboard: result.dashboard ? {
+      ...result.dashboard,
+      cards: (result.dashboard.cards || []).map(c => (c.type === 'reports' ? { ...c, reports: stripThumbs(c.reports) } : c))
+    } : null,
+    searchMeta: result.searchMeta ? {
+      totalResults: result.searchMeta.totalResults,
+      appliedFilters: result.searchMeta.appliedFilters,
+      standaloneQuery: result.searchMeta.standaloneQuery
+    } : null
+  };
+}
+
+function summarizeHistoryEntry(entry){
+  const { snapshot, ...rest } = entry;
+  const headline = String(snapshot?.answer || '').split('\n')[0].replace(/^HEADLINE:\s*/i, '');
+  return { ...rest, headline: headline.slice(0, 200), referenceCount: snapshot?.references?.chunks?.length || 0 };
+}
+
+function recordSearchHistory(req, { userQuery, clientId, filters, threadId, rerunOf }, result){
+  const manifest = readJSON(path.join(MANIFEST_DIR, `${clientId}.json`), { files: [], lastUpdated: null });
+  const entry = {
+    id: `srch_${new Date().toISOString().replace(/[-:TZ.]/g,'').slice(0,14)}_${Math.random().toString(36).substr(2,5)}`,
+    query: sanitizeText(userQuery).slice(0, 500),
+    clientId,
+    filters: normalizeSearchFilters(filters),
+    createdAt: Date.now(),
+    manifestLastUpdated: manifest.lastUpdated || null,
+    ...(threadId ? { threadId } : {}),
+    ...(rerunOf ? { rerunOf } : {}),
+    snapshot: searchSnapshot(result)
+  };
+  const key = getUserKey(req);
+  writeHistorySnapshot(key, entry.id, entry.snapshot);
+  const list = [...readHistoryIndex(key), summarizeHistoryEntry(entry)];
+  const dropped = list.splice(0, Math.max(0, list.length - config.search.maxHistoryPerUser));
+  dropped.forEach(e => removeHistorySnapshot(key, e.id));
+  writeHistoryIndex(key, list);
+  return entry.id;
+}
+
+// LCS table size above which a diff is not worth computing inside a request
+const DIFF_MAX_CELLS = 250000;
+
+// Token diff → [{ op: 'same' | 'add' | 'del', text }], or null when the changed middle is too large.
+// The common prefix and suffix are matched first, so only the changed middle is tabled.
+function diffTokens(a, b){
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+  const x = a.slice(start, endA), y = b.slice(start, endB);
+  if ((x.length + 1) * (y.length + 1) > DIFF_MAX_CELLS) return null;
+  const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  const push = (op, text) => {
+    if (!text) return;
+    if (out.length && out[out.length - 1].op === op) out[out.length - 1].text += text;
+    else out.push({ op, text });
+  };
+  push('same', a.slice(0, start).join(''));
+  let i = 0, j = 0;
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) { push('same', x[i]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('del', x[i++]);
+    else push('add', y[j++]);
+  }
+  while (i < x.length) push('del', x[i++]);
+  while (j < y.length) push('add', y[j++]);
+  push('same', a.slice(endA).join(''));
+  return out;
+}
+
+// Word-level diff; line-level when too many words changed, whole-text replacement as a last resort
+function diffWords(before, after){
+  const a = String(before || ''), b = String(after || '');
+  return diffTokens(a.split(/(\s+)/).filter(Boolean), b.split(/(\s+)/).filter(Boolean))
+    || diffTokens(a.split(/(?<=\n)/), b.split(/(?<=\n)/))
+    || [{ op: 'del', text: a }, { op: 'add', text: b }].filter(p => p.text);
+}
+
+// How a re-run differs from the stored snapshot, and which files ingested since could explain it
+function diffSearchResults(entry, result){
+  const before = entry.snapshot || {};
+  const fileKey = (c) => c.fileId || c.fileName;
+  const beforeFiles = new Map((before.references?.chunks || []).map(c => [fileKey(c), c.fileName]));
+  const afterFiles = new Map((result.references?.chunks || []).map(c => [fileKey(c), c.fileName]));
+  const beforeThemes = new Set((before.supportingThemes || []).map(t => t.title));
+  const afterThemes = new Set((result.supportingThemes || []).map(t => t.title));
+  const manifest = readJSON(path.join(MANIFEST_DIR, `${entry.clientId}.json`), { files: [], lastUpdated: null });
+  const newDocuments = (manifest.files || [])
+    .filter(f => f.lastIngestAt && Date.parse(f.lastIngestAt) > entry.createdAt)
+    .map(f => ({ fileId: f.id, fileName: f.name, lastIngestAt: f.lastIngestAt, cited: afterFiles.has(f.id) }));
+  const normalize = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+  const answerChanged = normalize(before.answer) !== normalize(result.answer);
+  return {
+    answerChanged,
+    answerDiff: answerChanged ? diffWords(before.answer, result.answer) : [],
+    libraryChanged: (manifest.lastUpdated || null) !== (entry.manifestLastUpdated || null) && newDocuments.length > 0,
+    manifestLastUpdated: { before: entry.manifestLastUpdated || null, after: manifest.lastUpdated || null },
+    newDocuments,
+    referencesAdded: [...afterFiles].filter(([k]) => !beforeFiles.has(k)).map(([, name]) => name),
+    referencesRemoved: [...beforeFiles].filter(([k]) => !afterFiles.has(k)).map(([, name]) => name),
+    themesAdded: [...afterThemes].filter(t => !beforeThemes.has(t)),
+    themesRemoved: [...beforeThemes].filter(t => !afterThemes.has(t))
+  };
+}
+
+app.get("/api/search-history", requireSession, (req,res)=>{
+  const { clientId } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const list = readHistoryIndex(getUserKey(req))
+    .filter(e => !clientId || e.clientId === clientId)
+    .reverse()
+    .slice(0, limit);
+  res.json({ ok:true, data: list });
+});
+
+app.get("/api/search-history/:id", requireSession, (req,res)=>{
+  const entry = readHistoryEntry(getUserKey(req), req.params.id);
+  if(!entry) return res.status(404).json({ ok:false, error:"Not found" });
+  res.json({ ok:true, data: entry });
+});
+
+app.delete("/api/search-history/:id", requireSession, (req,res)=>{
+  const key = getUserKey(req);
+  const list = readHistoryIndex(key);
+  if (list.some(e => e.id === req.params.id)) {
+    writeHistoryIndex(key, list.filter(e => e.id !== req.params.id));
+    removeHistorySnapshot(key, req.params.id);
+  }
+  res.json({ ok:true, data: true });
+});
+
+// Same query, library and filters against the library as it is now
+app.post("/api/search-history/:id/rerun", requireSession, async (req,res)=>{
+  const entry = readHistoryEntry(getUserKey(req), req.params.id);
+  if(!entry) return res.status(404).json({ ok:false, error:"Not found" });
+  try{
+    const result = await runSearchPipeline(req, {
+      userQuery: entry.snapshot?.searchMeta?.standaloneQuery || entry.query,
+      clientId: entry.clientId,
+      filters: entry.filters
+    }, { recordThread: false, rerunOf: entry.id });
+    res.json({ ok:true, data: { result, previous: summarizeHistoryEntry(entry), diff: diffSearchResults(entry, result) } });
+  }catch(err){
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    logger.error("Search re-run error:", err);
+    res.status(500).json({ ok:false, error:"Failed to re-run search" });
+  }
+});
+
+// === Saved Questions & Notifications (per-user) ===
+// A saved question is re-run after every sync that adds or modifies files in its library. When a
+// changed file is cited in the new answer, or the headline moves materially, the user gets an in-app
+// notification (and ALERT_WEBHOOK_URL, when set, receives the same payload). Re-runs act as the
+// saving user, so access revoked since then stops the alerts rather than leaking the library.
+const SAVED_QUESTIONS_DB = path.join(config.data.cacheDir, "saved-questions.json");
+const NOTIFICATIONS_DB = path.join(config.data.cacheDir, "notifications.json");
+function readSavedQuestionsDb(){ try{ return JSON.parse(fs.readFileSync(SAVED_QUESTIONS_DB,"utf-8")); }catch(e){ return {}; } }
+function writeSavedQuestionsDb(db){ try{ fs.mkdirSync(path.dirname(SAVED_QUESTIONS_DB), {recursive:true}); fs.writeFileSync(SAVED_QUESTIONS_DB, JSON.stringify(db,null,2)); }catch(e){ logger.warn("Failed to write saved questions:", e.message); } }
+function readNotificationsDb(){ try{ return JSON.parse(fs.readFileSync(NOTIFICATIONS_DB,"utf-8")); }catch(e){ return {}; } }
+function writeNotificationsDb(db){ try{ fs.mkdirSync(path.dirname(NOTIFICATIONS_DB), {recursive:true}); fs.writeFileSync(NOTIFICATIONS_DB, JSON.stringify(db,null,2)); }catch(e){ logger.warn("Failed to write notifications:", e.message); } }
+
+function answerHeadline(answer){
+  return String(answer || '').split('\n')[0].replace(/^HEADLINE:\s*/i, '').trim();
+}
+
+// Material change: different figures, or word overlap below the configured similarity
+function compareHeadlines(before, after){
+  const words = (s) => new Set(tokenize(s));
+  const numbers = (s) => [...new Set(String(s || '').match(/\d+(?:\.\d+)?%?/g) || [])].sort().join(',');
+  const a = words(before), b = words(after);
+  const inter = [...a].filter(t => b.has(t)).length;
+  const similarity = a.size + b.size ? inter / (a.size + b.size - inter) : 1;
+  const numbersChanged = numbers(before) !== numbers(after);
+  return {
+    similarity: Number(similarity.toFixed(3)),
+    numbersChanged,
+    material: !!before && (numbersChanged || similarity < config.alerts.headlineSimilarity)
+  };
+}
+
+function summarizeSavedQuestion(q){
+  const { lastRun, ...rest } = q;
+  return { ...rest, lastRun: lastRun ? { at: lastRun.at, headline: lastRun.headline, historyId: lastRun.historyId || null, notified: !!lastRun.notified } : null };
+}
+
+function addNotification(userKey, notification){
+  const db = readNotificationsDb();
+  db[userKey] = [...(db[userKey] || []), notification].slice(-config.alerts.maxNotificationsPerUser);
+  writeNotificationsDb(db);
+}
+
+async function postAlertWebhook(payload){
+  if (!config.alerts.webhookUrl) return;
+  try{
+    const r = await fetch(config.alerts.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(config.alerts.webhookToken ? { Authorization: `Bearer ${config.alerts.webhookToken}` } : {}) },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!r.ok) throw new Error(`${r.status} ${await r.text().catch(() => '')}`.trim());
+  }catch(e){
+    logger.warn('Alert webhook failed:', e?.message||e);
+  }
+}
+
+// Stand-in request for a background re-run as the user who saved the question
+function savedQuestionRequest(userKey){
+  if (!userKey.startsWith('u:')) return null;
+  const username = userKey.slice(2);
+  const user = (readJSON(USERS_PATH, { users: [] }).users || []).find(u => String(u.username||'').toLowerCase() === username.toLowerCase());
+  const role = String(user?.role || '').toLowerCase().trim();
+  if (!user || !['admin','client'].includes(role)) return null;
+  // Same shape the login route puts on the session
+  return {
+    session: { user: { username: user.username, role, allowedClients: user.allowedClients || null, clientFolderId: user.clientFolderId || null } },
+    sessionID: null,
+    get: () => undefined
+  };
+}
+
+// After a sync: changedFiles = [{ fileId, fileName, change: 'added' | 'modified' }]
+async function rerunSavedQuestions(clientId, changedFiles, progress){
+  if (!changedFiles.length) return;
+  const db = readSavedQuestionsDb();
+  const due = [];
+  Object.entries(db).forEach(([userKey, list]) => (list || []).forEach(q => { if (q.clientId === clientId) due.push([userKey, q]); }));
+  if (!due.length) return;
+  progress.log(`Re-running ${due.length} saved question(s) after ${changedFiles.length} changed file(s)`);
+  let notified = 0;
+
+  for (const [userKey, q] of due){
+    const req = savedQuestionRequest(userKey);
+    if (!req || !canAccessClient(req.session.user, clientId)) {
+      logger.warn(`Saved question ${q.id} skipped: ${userKey} no longer has access to ${clientId}`);
+      continue;
+    }
+    try{
+      const result = await runSearchPipeline(req, { userQuery: q.question, clientId, filters: q.filters }, { recordThread: false, rerunOf: q.lastRun?.historyId || null });
+      const headline = answerHeadline(result.answer);
+      // Only documents the answer cites ([n] → nth reference), not everything retrieval returned
+      const chunks = result.references?.chunks || [];
+      const citedIds = [...new Set(citationNumbers(result.answer).map(n => chunks[n - 1]?.fileId).filter(Boolean))];
+      const citedChanged = changedFiles.filter(f => citedIds.includes(f.fileId));
+      const headlineChange = compareHeadlines(q.lastRun?.headline || '', headline);
+      const alert = citedChanged.length > 0 || headlineChange.material;
+
+      if (alert) {
+        const notification = {
+          id: `ntf_${Date.now()}_${Math.random().toString(36).substr(2,5)}`,
+          type: 'savedQuestion',
+          savedQuestionId: q.id,
+          clientId,
+          question: q.question,
+          createdAt: Date.now(),
+          read: false,
+          reasons: [...(citedChanged.length ? ['newDocumentsCited'] : []), ...(headlineChange.material ? ['headlineChanged'] : [])],
+          headline: { before: q.lastRun?.headline || null, after: headline },
+          headlineChange,
+          changedDocuments: changedFiles.map(f => ({ ...f, cited: citedIds.includes(f.fileId) })),
+          historyId: result.historyId || null
+        };
+        addNotification(userKey, notification);
+        await postAlertWebhook({ event: 'saved_question.changed', user: userKey.slice(2), notification });
+        notified++;
+      }
+
+      // Re-read: the user may have edited or removed questions while the search ran
+      const latest = readSavedQuestionsDb();
+      const stored = (latest[userKey] || []).find(x => x.id === q.id);
+      if (stored) {
+        stored.lastRun = { at: Date.now(), headline, citedFileIds: citedIds, historyId: result.historyId || null, notified: alert };
+        writeSavedQuestionsDb(latest);
+      }
+    }catch(e){
+      logger.warn(`Saved question ${q.id} re-run failed:`, e?.message||e);
+    }
+  }
+  progress.log(`Saved questions: ${notified} notification(s) created`);
+}
+
+// Saved questions need a signed-in user: they are re-run later, without the browser session
+app.get("/api/saved-questions", requireAuth, (req,res)=>{
+  const db = readSavedQuestionsDb(); const key = getUserKey(req);
+  const { clientId } = req.query;
+  res.json({ ok:true, data: (db[key] || []).filter(q => !clientId || q.clientId === clientId).map(summarizeSavedQuestion) });
+});
+
+// Body: { question, clientId, filters, historyId } — historyId (the search being saved) sets the baseline headline
+app.post("/api/saved-questions", requireAuth, (req,res)=>{
+  const question = sanitizeText(req.body?.question).slice(0, 500);
+  if (!question) return res.status(400).json({ ok:false, error:"Question is required" });
+  let clientId;
+  try { clientId = resolveRequestClientId(req, req.body?.clientId); }
+  catch (e) { return res.status(e.status || 403).json({ ok:false, error: e.message }); }
+  if (!clientId) return res.status(400).json({ ok:false, error:"Select a client library first" });
+
+  const db = readSavedQuestionsDb(); const key = getUserKey(req);
+  const list = db[key] || [];
+  if (list.length >= config.alerts.maxSavedPerUser) return res.status(400).json({ ok:false, error:`You can save up to ${config.alerts.maxSavedPerUser} questions` });
+  if (list.some(q => q.clientId === clientId && q.question.toLowerCase() === question.toLowerCase())) {
+    return res.status(409).json({ ok:false, error:"This question is already saved" });
+  }
+  const baseline = req.body?.historyId ? readHistoryEntry(key, String(req.body.historyId)) : null;
+  const saved = {
+    id: `sq_${Date.now()}_${Math.random().toString(36).substr(2,5)}`,
+    question,
+    clientId,
+    filters: normalizeSearchFilters(req.body?.filters),
+    createdAt: Date.now(),
+    lastRun: baseline && baseline.clientId === clientId ? {
+      at: baseline.createdAt,
+      headline: answerHeadline(baseline.snapshot?.answer),
+      citedFileIds: [...new Set((baseline.snapshot?.references?.chunks || []).map(c => c.fileId).filter(Boolean))],
+      historyId: baseline.id,
+      notified: false
+    } : null
+  };
+  db[key] = [...list, saved];
+  writeSavedQuestionsDb(db);
+  res.json({ ok:true, data: summarizeSavedQuestion(saved) });
+});
+
+app.delete("/api/saved-questions/:id", requireAuth, (req,res)=>{
+  const db = readSavedQuestionsDb(); const key = getUserKey(req);
+  if (db[key]) { db[key] = db[key].filter(q => q.id !== req.params.id); writeSavedQuestionsDb(db); }
+  res.json({ ok:true, data: true });
+});
+
+app.get("/api/notifications", requireAuth, (req,res)=>{
+  const db = readNotificationsDb(); const key = getUserKey(req);
+  const list = (db[key] || []).slice().reverse();
+  res.json({ ok:true, data: { unread: list.filter(n => !n.read).length, notifications: list.slice(0, Math.min(Number(req.query.limit) || 50, 200)) } });
+});
+
+app.post("/api/notifications/:id/read", requireAuth, (req,res)=>{
+  const db = readNotificationsDb(); const key = getUserKey(req);
+  const n = (db[key] || []).find(x => x.id === req.params.id);
+  if(!n) return res.status(404).json({ ok:false, error:"Not found" });
+  n.read = true;
+  writeNotificationsDb(db);
+  res.json({ ok:true, data: n });
+});
+
+app.post("/api/notifications/read-all", requireAuth, (req,res)=>{
+  const db = readNotificationsDb(); const key = getUserKey(req);
+  (db[key] || []).forEach(n => { n.read = true; });
+  writeNotificationsDb(db);
+  res.json({ ok:true, data: true });
+});
+
 // === Simple Reports Store (per-user) ===
 const REPORTS_DB = path.resolve(process.cwd(), "data-cache", "reports.json");
 function getUserKey(req){ return (req.session?.user?.username) ? `u:${req.session.user.username}` : `s:${req.sessionID||'anon'}`; }
@@ -2273,23 +4248,17 @@ app.get("/api/libraries/:id/stats", requireAuth, requireAdmin, async (req, res)
     let dataCount = 0;
     
     manifest.files.forEach(file => {
-      const folderPath = (file.folderPath || '').toLowerCase();
-      const fileName = (file.name || '').toLowerCase();
-      
-      if (folderPath.includes('report') || fileName.includes('report')) {
-        reportCount++;
-      } else if (folderPath.includes('qnr') || folderPath.includes('questionnaire')) {
-        qnrCount++;
-      } else if (folderPath.includes('data')) {
-        dataCount++;
-      } else {
-        reportCount++;
-      }
+      const category = folderCategoryFor(file);
+      if (category === 'QNR') qnrCount++;
+      else if (category === 'DataFiles') dataCount++;
+      else reportCount++;
     });
     
     res.json({
       totalFiles: totalFiles,
       processedFiles: processedFiles,
+      vectorCount: await namespaceVectorCount(id),
+      vectorStore: vectorStore.backend,
       lastSynced: manifest.lastUpdated,
       byCategory: {
         Reports: reportCount,
@@ -2436,6 +4405,7 @@ app.get('/secure-slide/health', async (req, res) => {
 app.listen(config.server.port, async ()=>{
     logger.info(`Jaice server running on port ${config.server.port}`);
     logger.info(`Secure cookies: ${config.server.secureCookies}`);
+    logger.info(`AI Provider: ${config.ai.provider}${config.ai.openaiBaseUrl ? ` (${config.ai.openaiBaseUrl})` : ''}`);
     logger.info(`AI Model: ${config.ai.answerModel}`);
     logger.info(`Embedding Model: ${config.ai.embeddingModel}`);
     logger.info(`Auto-ingest on start: ${config.autoIngest.onStart}`);
@@ -0,0 +1,232 @@
+// sync_jobs.js — Background Drive sync jobs
+// Syncs run outside the HTTP request: routes and the scheduler enqueue a job per library and return.
+//  • One queued sync per library at a time (re-requests are merged into it); file reindex requests
+//    for a library are merged into one queued "reindex" job
+//  • One lock per library, so a library never syncs twice at once; different libraries may run side by side
+//  • Per-file progress (listed → extracted → embedded | failed) is kept on the job and broadcast to listeners
+//  • Job history is persisted to a JSON file; jobs cut short by a restart are marked "interrupted"
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+
+const ACTIVE = new Set(["queued", "running"]);
+const COUNT_KEYS = ["listed", "extracted", "embedded", "failed", "skipped", "deleted", "renamed"];
+
+/** Job fields safe to send to the browser without the per-file list */
+export function summarizeJob(job) {
+  if (!job) return null;
+  const { files, ...rest } = job;
+  return { ...rest, fileCount: Object.keys(files || {}).length };
+}
+
+/**
+ * Create the job queue.
+ * opts = { run(job, progress) → Promise, persistPath, logger, concurrency = 1, maxHistory = 50, maxFilesPerJob = 5000 }
+ * `run` performs the sync; `progress` is { stage(file, stage, extra), log(message), set(fields) }.
+ */
+export function createSyncJobQueue(opts = {}) {
+  const run = opts.run;
+  const logger = opts.logger || console;
+  const concurrency = Math.max(1, Number(opts.concurrency) || 1);
+  const maxHistory = Math.max(1, Number(opts.maxHistory) || 50);
+  const maxFilesPerJob = Math.max(1, Number(opts.maxFilesPerJob) || 5000);
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  const jobs = [];
+  const locks = new Set();
+  let persistTimer = null;
+
+  // Restore history; anything still active belonged to a previous process
+  try {
+    if (opts.persistPath && fs.existsSync(opts.persistPath)) {
+      const saved = JSON.parse(fs.readFileSync(opts.persistPath, "utf8"));
+      (Array.isArray(saved.jobs) ? saved.jobs : []).forEach((j) => {
+        if (ACTIVE.has(j.status)) {
+          j.status = "interrupted";
+          j.finishedAt = j.finishedAt || new Date().toISOString();
+        }
+        jobs.push(j);
+      });
+    }
+  } catch (e) {
+    logger.warn("Failed to read sync job history:", e.message);
+  }
+
+  function persistNow() {
+    persistTimer = null;
+    if (!opts.persistPath) return;
+    try {
+      fs.mkdirSync(path.dirname(opts.persistPath), { recursive: true });
+      fs.writeFileSync(opts.persistPath, JSON.stringify({ jobs }, null, 2));
+    } catch (e) {
+      logger.warn("Failed to write sync job history:", e.message);
+    }
+  }
+  // File-level progress can fire hundreds of times per job; coalesce writes
+  function persist(immediate = false) {
+    if (immediate) {
+      if (persistTimer) clearTimeout(persistTimer);
+      persistNow();
+    } else if (!persistTimer) {
+      persistTimer = setTimeout(persistNow, 2000);
+      persistTimer.unref?.();
+    }
+  }
+
+  function prune() {
+    const finished = jobs.filter((j) => !ACTIVE.has(j.status));
+    const excess = finished.length - maxHistory;
+    if (excess <= 0) return;
+    const drop = new Set(finished.slice(0, excess).map((j) => j.id));
+    for (let i = jobs.length - 1; i >= 0; i--) if (drop.has(jobs[i].id)) jobs.splice(i, 1);
+  }
+
+  function emit(type, job, extra = {}) {
+    events.emit("event", { type, job: summarizeJob(job), ...extra });
+  }
+
+  function progressFor(job) {
+    return {
+      stage(file, stage, extra = {}) {
+        if (!file || !file.id) return;
+        let entry = job.files[file.id];
+        if (!entry) {
+          if (Object.keys(job.files).length >= maxFilesPerJob) return;
+          entry = job.files[file.id] = { fileId: file.id, name: file.name || "", stage: null };
+        }
+        // counts are cumulative: a file that got embedded was also listed and extracted
+        if (entry.stage !== stage && COUNT_KEYS.includes(stage)) job.counts[stage]++;
+        entry.stage = stage;
+        entry.at = new Date().toISOString();
+        if (extra.error) entry.error = String(extra.error);
+        if (extra.chunks != null) entry.chunks = extra.chunks;
+        emit("file", job, { file: { ...entry } });
+        persist();
+      },
+      log(message) {
+        job.log.push({ at: new Date().toISOString(), message: String(message) });
+        if (job.log.length > 200) job.log.splice(0, job.log.length - 200);
+        emit("log", job, { message: String(message) });
+      },
+      set(fields = {}) {
+        Object.assign(job, fields);
+        emit("update", job);
+        persist();
+      },
+    };
+  }
+
+  async function execute(job) {
+    locks.add(job.clientId);
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    emit("started", job);
+    persist(true);
+    try {
+      await run(job, progressFor(job));
+      job.status = "completed";
+    } catch (e) {
+      job.status = "failed";
+      job.error = e?.message || String(e);
+      logger.error(`Sync job ${job.id} (${job.clientName || job.clientId}) failed:`, job.error);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      locks.delete(job.clientId);
+      prune();
+      emit(job.status, job);
+      persist(true);
+      pump();
+    }
+  }
+
+  function pump() {
+    let running = jobs.filter((j) => j.status === "running").length;
+    for (const job of jobs) {
+      if (running >= concurrency) break;
+      if (job.status !== "queued" || locks.has(job.clientId)) continue;
+      running++;
+      execute(job);
+    }
+  }
+
+  /**
+   * Queue a sync for one library. A job already waiting for that library is reused
+   * (a full rescan request upgrades it); a running incremental sync absorbs a second
+   * incremental request, a full rescan queues behind it.
+   * Passing `fileIds` queues a reindex of just those files instead.
+   */
+  function enqueue({ clientId, clientName = "", fullRescan = false, fileIds = null, trigger = "manual", requestedBy = null } = {}) {
+    if (!clientId) throw new Error("clientId required");
+    if (fileIds) return enqueueReindex({ clientId, clientName, fileIds, trigger, requestedBy });
+    const queued = jobs.find((j) => j.clientId === clientId && j.status === "queued" && j.mode !== "reindex");
+    if (queued) {
+      if (fullRescan && queued.mode !== "full") {
+        queued.mode = "full";
+        emit("update", queued);
+      }
+      return { job: queued, deduplicated: true };
+    }
+    const running = jobs.find((j) => j.clientId === clientId && j.status === "running" && j.mode !== "reindex");
+    if (running && (!fullRescan || running.mode === "full")) {
+      return { job: running, deduplicated: true };
+    }
+    return { job: addJob({ clientId, clientName, mode: fullRescan ? "full" : "incremental", trigger, requestedBy }), deduplicated: false };
+  }
+
+  function enqueueReindex({ clientId, clientName, fileIds, trigger, requestedBy }) {
+    const ids = [...new Set((fileIds || []).map(String).filter(Boolean))];
+    if (!ids.length) throw new Error("fileIds required");
+    const queued = jobs.find((j) => j.clientId === clientId && j.status === "queued" && j.mode === "reindex");
+    if (queued) {
+      queued.fileIds = [...new Set([...queued.fileIds, ...ids])];
+      emit("update", queued);
+      return { job: queued, deduplicated: true };
+    }
+    return { job: addJob({ clientId, clientName, mode: "reindex", fileIds: ids, trigger, requestedBy }), deduplicated: false };
+  }
+
+  function addJob(fields) {
+    const job = {
+      id: crypto.randomUUID(),
+      ...fields,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      counts: Object.fromEntries(COUNT_KEYS.map((k) => [k, 0])),
+      files: {},
+      log: [],
+    };
+    jobs.push(job);
+    emit("queued", job);
+    persist(true);
+    pump();
+    return job;
+  }
+
+  return {
+    enqueue,
+    events,
+    get(id) {
+      return jobs.find((j) => j.id === id) || null;
+    },
+    /** Newest first; `clientId` / `status` narrow the list */
+    list({ clientId, status, limit = maxHistory } = {}) {
+      return jobs
+        .filter((j) => (!clientId || j.clientId === clientId) && (!status || j.status === status))
+        .slice()
+        .reverse()
+        .slice(0, limit);
+    },
+    active() {
+      return jobs.filter((j) => ACTIVE.has(j.status));
+    },
+    isLocked(clientId) {
+      return locks.has(clientId);
+    },
+  };
+}
@@ -0,0 +1,125 @@
+// taxonomy.js — Per-library product taxonomy (brands, generics, aliases, competitor groups, colours)
+// Chart labels, share extraction and chart colours used to be wired to one therapy area; each library
+// now names its own products.
+//  • A product matches a label when one of its terms (name, generic, aliases) appears in it as whole
+//    words; the longest matching term wins, so "no treatment" beats "treatment"
+//  • Groups ("Own brand", "Competitors", ...) roll products up for competitor views
+//  • config/taxonomies.json = { default: {...}, libraries: { <clientId>: {...} } }; a library without
+//    its own entry uses the default
+
+import fs from "node:fs";
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const MAX_PRODUCTS = 50;
+const MAX_ALIASES = 20;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const cleanText = (v, max = 80) => String(v ?? "").replace(/\s+/g, " ").trim().slice(0, max);
+
+/**
+ * Validate a taxonomy as sent by the admin editor or read from disk.
+ * raw = { name, products: [{ name, generic, aliases: [], group, color }] }
+ * Throws with a message naming the first problem.
+ */
+export function normalizeTaxonomy(raw = {}) {
+  const products = Array.isArray(raw.products) ? raw.products : [];
+  if (products.length > MAX_PRODUCTS) throw new Error(`At most ${MAX_PRODUCTS} products per taxonomy`);
+  const seen = new Map(); // lower-case term → product name
+  const out = products.map((p, i) => {
+    const name = cleanText(p?.name);
+    if (!name) throw new Error(`Product ${i + 1} needs a name`);
+    const generic = cleanText(p.generic);
+    const aliases = (Array.isArray(p.aliases) ? p.aliases : String(p.aliases || "").split(","))
+      .map((a) => cleanText(a))
+      .filter(Boolean)
+      .slice(0, MAX_ALIASES);
+    const color = cleanText(p.color, 7);
+    if (color && !HEX_COLOR.test(color)) throw new Error(`${name}: colour must look like #2563eb`);
+    [name, generic, ...aliases].filter(Boolean).forEach((term) => {
+      const key = term.toLowerCase();
+      if (seen.has(key) && seen.get(key) !== name) throw new Error(`"${term}" is used by both ${seen.get(key)} and ${name}`);
+      seen.set(key, name);
+    });
+    return { name, generic, aliases, group: cleanText(p.group), color: color.toLowerCase() };
+  });
+  return { name: cleanText(raw.name), products: out };
+}
+
+/**
+ * → { name, products, groups, normalizeLabel(label), productFor(label), productsIn(text), colorFor(label),
+ *     groupOf(label), colorMap, shareRegex }
+ * colorMap maps every lower-case term to its product colour (what the chart colour matchers read).
+ */
+export function compileTaxonomy(taxonomy) {
+  const tax = normalizeTaxonomy(taxonomy);
+  const terms = tax.products
+    .flatMap((p) => [p.name, p.generic, ...p.aliases].filter(Boolean).map((t) => ({ term: t.toLowerCase(), product: p })))
+    .sort((a, b) => b.term.length - a.term.length);
+  const matchers = terms.map((t) => ({ ...t, re: new RegExp(`(?:^|[^a-z0-9])${escapeRegex(t.term)}(?![a-z0-9])`, "i") }));
+
+  const productFor = (label) => {
+    const text = String(label ?? "").trim();
+    if (!text) return null;
+    return (matchers.find((m) => m.re.test(text)) || {}).product || null;
+  };
+
+  const colorMap = {};
+  terms.forEach(({ term, product }) => { if (product.color) colorMap[term] = product.color; });
+
+  const groups = {};
+  tax.products.forEach((p) => { if (p.group) (groups[p.group] = groups[p.group] || []).push(p.name); });
+
+  // Every product mention in a text, longest term first at each position
+  const mentionRegex = terms.length
+    ? new RegExp(`(?<![a-z0-9])(?:${terms.map((t) => escapeRegex(t.term)).join("|")})(?![a-z0-9])`, "gi")
+    : null;
+
+  // "Evrysdi: 42%", "risdiplam - 42.5 %" → capture 1 = term, 2 = value
+  const shareRegex = terms.length
+    ? new RegExp(`(?<![a-z0-9])(${terms.map((t) => escapeRegex(t.term)).join("|")})(?![a-z0-9])\\s*(?:-|:)?\\s*(\\d{1,3}(?:\\.\\d+)?)\\s*%`, "gi")
+    : null;
+
+  return {
+    name: tax.name,
+    products: tax.products,
+    groups,
+    productFor,
+    /** Canonical product name, or the trimmed label when no product matches */
+    normalizeLabel: (label) => {
+      if (!label) return null;
+      const p = productFor(label);
+      return p ? p.name : String(label).trim();
+    },
+    /** → [{ product, at }] for each product term in the text, in order */
+    productsIn: (text) => (mentionRegex ? [...String(text ?? "").matchAll(mentionRegex)].map((m) => ({ product: productFor(m[0]), at: m.index })) : []),
+    colorFor: (label) => productFor(label)?.color || null,
+    groupOf: (label) => productFor(label)?.group || null,
+    colorMap,
+    shareRegex,
+  };
+}
+
+/**
+ * { default, libraries } from disk; a missing or unreadable file leaves every library without products.
+ * An unreadable file or an entry that fails validation is reported through logger.warn.
+ */
+export function loadTaxonomies(filePath, logger = console) {
+  let raw = {};
+  try {
+    if (filePath && fs.existsSync(filePath)) raw = JSON.parse(fs.readFileSync(filePath, "utf8")) || {};
+  } catch (e) {
+    logger.warn(`Taxonomy file ${filePath} is unreadable, no library has products: ${e.message}`);
+    raw = {};
+  }
+  const safe = (t, label) => {
+    try {
+      return normalizeTaxonomy(t || {});
+    } catch (e) {
+      logger.warn(`Taxonomy file ${filePath}: ${label} is invalid and has no products: ${e.message}`);
+      return { name: "", products: [] };
+    }
+  };
+  const libraries = {};
+  Object.entries(raw.libraries || {}).forEach(([id, t]) => { libraries[id] = safe(t, `library ${id}`); });
+  return { default: safe(raw.default, "the default taxonomy"), libraries };
+}
@@ -0,0 +1,234 @@
+// trends.js — Metrics tracked across waves, from crosstab tables and report text
+// A trend is one metric (awareness, trial, NPS, share, message recall, ...) over timepoints, split into
+// series by product (the library's taxonomy) or segment ("among neurologists", a table row).
+//  • Tables: a table whose question names a metric and whose columns are waves (waveRegex from
+//    config/data-parser.json) gives one series per row
+//  • Text: each figure in a sentence that names a metric is paired with the nearest wave label
+//    ("rose to 42% in W3, up from 35% in W2") and with the product named last before it ("Evrysdi ... 42%,
+//    while Spinraza ... 30%"); a sentence with no wave labels is dated by its report's year / month
+//    tags when it has one figure or names several products. Sentences that name no metric, or whose
+//    figures can't be placed, fall back to "Brand 42%" share mentions.
+//  • Every point keeps its source (file, page or sheet); a table figure beats a text figure for the
+//    same series and timepoint
+//  • A metric is plotted on waves when any of its points has one, otherwise on report dates
+// Metric definitions can be replaced with "trendMetrics" in config/data-parser.json:
+//   [{ "id": "awareness", "label": "Awareness", "unit": "%", "patterns": ["\\baware(?:ness)?\\b"] }]
+
+export const DEFAULT_METRICS = [
+  { id: "awareness", label: "Awareness", unit: "%", patterns: ["\\baware(?:ness)?\\b"] },
+  { id: "trial", label: "Trial", unit: "%", patterns: ["(?<!clinical )\\btrial\\b", "\\btried\\b", "\\bever used\\b"] },
+  { id: "nps", label: "NPS", unit: "", patterns: ["\\bnps\\b", "net promoter"] },
+  { id: "share", label: "Share", unit: "%", patterns: ["\\bshare\\b"] },
+  { id: "messageRecall", label: "Message recall", unit: "%", patterns: ["message recall", "recall(?:ed)? (?:of )?(?:the |any |key )?messag"] },
+];
+
+const MAX_SERIES = 8;
+const WAVE_DISTANCE = 30; // characters between a figure and the wave label it belongs to
+
+function compileMetrics(defs) {
+  return (Array.isArray(defs) && defs.length ? defs : DEFAULT_METRICS)
+    .map((m) => {
+      try {
+        return { id: String(m.id), label: String(m.label || m.id), unit: m.unit ?? "%", re: new RegExp((m.patterns || []).join("|"), "gi") };
+      } catch {
+        return null;
+      }
+    })
+    .filter((m) => m && m.id && m.re.source !== "(?:)");
+}
+
+/** Header regex for wave columns ("^W\d+$") → regex finding wave labels inside text */
+function waveTextRegex(waveRegex) {
+  const source = (waveRegex instanceof RegExp ? waveRegex.source : String(waveRegex || "^W\\d+$")).replace(/^\^|\$$/g, "");
+  return new RegExp(`(?<![A-Za-z0-9])(?:${source})(?![A-Za-z0-9])`, "gi");
+}
+
+const waveNumber = (w) => Number((String(w).match(/\d+/) || [0])[0]);
+
+/** Waves in number order, report dates in date order */
+export function sortTimepoints(timepoints, axis) {
+  const list = [...new Set(timepoints)];
+  return axis === "wave" ? list.sort((a, b) => waveNumber(a) - waveNumber(b) || String(a).localeCompare(String(b))) : list.sort();
+}
+
+function monthNumber(m) {
+  const n = Number(String(m || "").replace(/[^0-9]/g, ""));
+  if (n >= 1 && n <= 12) return n;
+  return ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"].indexOf(String(m || "").slice(0, 3).toLowerCase()) + 1;
+}
+
+function reportDate(c) {
+  const y = Number(c.yearTag) || 0;
+  if (!y) return null;
+  const m = monthNumber(c.monthTag);
+  return m ? `${y}-${String(m).padStart(2, "0")}` : String(y);
+}
+
+function sentencesOf(text) {
+  return String(text || "").replace(/\s+/g, " ").split(/(?<=[.!?;])\s+/).filter(Boolean);
+}
+
+function segmentOf(sentence) {
+  const m = sentence.match(/\bamong (?:the |all )?([A-Za-z][A-Za-z-]+)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+/** Figures in a piece of text: percentages, or signed bare numbers for unit-less metrics like NPS */
+function figuresIn(text, unit) {
+  const re = unit === "%" ? /(?<![\w.])(\d{1,3}(?:\.\d+)?)\s?%/g : /(?<![\w.])([+-]?\d{1,3}(?:\.\d+)?)(?![\w.%])/g;
+  return [...text.matchAll(re)].map((m) => ({ value: Number(m[1]), at: m.index, end: m.index + m[0].length }));
+}
+
+/** Pair each figure with the nearest unused wave label within WAVE_DISTANCE characters */
+function pairWithWaves(figures, waves) {
+  const used = new Set();
+  return figures.map((f) => {
+    let best = null;
+    waves.forEach((w, i) => {
+      if (used.has(i)) return;
+      const distance = w.at >= f.end ? w.at - f.end : f.at - (w.at + w.label.length);
+      if (distance < 0 || distance > WAVE_DISTANCE) return;
+      if (!best || distance < best.distance) best = { i, distance };
+    });
+    if (best) used.add(best.i);
+    return { ...f, wave: best ? waves[best.i].label.toUpperCase() : null };
+  });
+}
+
+/**
+ * opts = {
+ *   chunks,             report chunks (table chunks are skipped; their tables come in `tables`)
+ *   tables,             parsed crosstab tables (crosstab.js) worth scanning
+ *   taxonomy,           compiled product taxonomy (taxonomy.js), for product series and colours
+ *   waveRegex,          wave header convention (loadParserConfig(...).waveRegex)
+ *   metrics,            metric definitions (defaults to DEFAULT_METRICS)
+ * }
+ * → { metrics: [{ id, label, unit, axis: "wave" | "date", timepoints,
+ *                 series: [{ label, product, segment, color, values, points: [{ timepoint, value, source, fileId, fileName, page, sheet }] }] }] }
+ */
+export function buildTrends(opts = {}) {
+  const metrics = compileMetrics(opts.metrics);
+  const taxonomy = opts.taxonomy || null;
+  const wavesRe = waveTextRegex(opts.waveRegex);
+  const headerWave = opts.waveRegex instanceof RegExp ? opts.waveRegex : new RegExp(String(opts.waveRegex || "^W\\d+$"), "i");
+  const byMetric = new Map(); // metric id → Map(series key → series)
+
+  const addPoint = (metric, { product = null, segment = null, label }, point) => {
+    if (!Number.isFinite(point.value)) return;
+    if (!byMetric.has(metric.id)) byMetric.set(metric.id, new Map());
+    const key = `${product || ""}|${segment || ""}|${product || segment ? "" : label}`;
+    const all = byMetric.get(metric.id);
+    if (!all.has(key)) all.set(key, { label: product && segment ? `${product} · ${segment}` : product || segment || label, product, segment, points: new Map() });
+    const points = all.get(key).points;
+    const slot = `${point.axis}:${point.timepoint}`;
+    const existing = points.get(slot);
+    if (!existing || (existing.source === "text" && point.source === "table")) points.set(slot, point);
+  };
+
+  // Tables: question → metric, wave columns → timepoints, rows → series
+  (opts.tables || []).forEach((t) => {
+    const waves = (t.columns || []).filter((c) => headerWave.test(c));
+    if (waves.length < 2) return;
+    const metric = metrics.find((m) => { m.re.lastIndex = 0; return m.re.test(t.question || ""); });
+    if (!metric) return;
+    (t.rows || []).forEach((row) => {
+      const product = taxonomy?.productFor(row.label)?.name || null;
+      waves.forEach((w) => {
+        if (row.values?.[w] == null) return;
+        addPoint(metric, { product, segment: product ? null : String(row.label).toLowerCase(), label: row.label }, {
+          timepoint: w.toUpperCase(), axis: "wave", value: Number(row.values[w]), source: "table",
+          fileId: t.fileId || null, fileName: t.fileName || null, page: null, sheet: t.sheet || null, tableId: t.id,
+        });
+      });
+    });
+  });
+
+  // Report text
+  const share = metrics.find((m) => m.id === "share");
+  (opts.chunks || []).filter((c) => c.sourceType !== "table").forEach((c) => {
+    const date = reportDate(c);
+    const source = { source: "text", fileId: c.fileId || null, fileName: c.fileName || null, page: c.page || c.pageNumber || null, sheet: null };
+    sentencesOf(c.textSnippet).forEach((sentence) => {
+      const mentions = metrics
+        .flatMap((m) => { m.re.lastIndex = 0; return [...sentence.matchAll(m.re)].map((x) => ({ metric: m, at: x.index })); })
+        .sort((a, b) => a.at - b.at)
+        .filter((x, i, arr) => i === 0 || x.metric !== arr[i - 1].metric);
+      const products = taxonomy ? taxonomy.productsIn(sentence).filter((p) => p.product) : [];
+      // The product named last before a figure, else the first one named after it
+      const productAt = (at) => ((products.filter((p) => p.at < at).pop() || products[0])?.product.name) || null;
+      const segment = segmentOf(sentence);
+      const waves = [...sentence.matchAll(wavesRe)].map((x) => ({ label: x[0], at: x.index }));
+
+      // "Evrysdi 42%, Spinraza 35%": share mentions by brand
+      const brandShares = () => {
+        if (!share || !taxonomy?.shareRegex) return;
+        [...sentence.matchAll(taxonomy.shareRegex)].forEach((x) => {
+          const at = x.index;
+          const [paired] = pairWithWaves([{ value: Number(x[2]), at, end: at + x[0].length }], waves);
+          const timepoint = paired.wave || date;
+          if (!timepoint) return;
+          addPoint(share, { product: taxonomy.normalizeLabel(x[1]), segment, label: x[1] },
+            { timepoint, axis: paired.wave ? "wave" : "date", value: paired.value, ...source });
+        });
+      };
+
+      if (!mentions.length) return brandShares();
+
+      const productCount = new Set(products.map((p) => p.product.name)).size;
+      let added = 0;
+      mentions.forEach((mention, i) => {
+        const from = i === 0 ? 0 : mention.at;
+        const to = i + 1 < mentions.length ? mentions[i + 1].at : sentence.length;
+        const figures = figuresIn(sentence.slice(from, to), mention.metric.unit).map((f) => ({ ...f, at: f.at + from, end: f.end + from }))
+          // Wave numbers ("W3") and years are not figures
+          .filter((f) => !waves.some((w) => f.at >= w.at && f.at < w.at + w.label.length) && !(f.value >= 1900 && f.value <= 2100));
+        const paired = pairWithWaves(figures, waves);
+        const target = (f) => ({ product: productAt(f.at), segment, label: mention.metric.label });
+        if (paired.some((f) => f.wave)) {
+          paired.filter((f) => f.wave).forEach((f) => { added++; addPoint(mention.metric, target(f), { timepoint: f.wave, axis: "wave", value: f.value, ...source }); });
+        } else if (date && (paired.length === 1 || productCount > 1)) {
+          // One figure, or one figure per product ("Market share: Evrysdi 42%, Spinraza 30%")
+          paired.forEach((f) => { added++; addPoint(mention.metric, target(f), { timepoint: date, axis: "date", value: f.value, ...source }); });
+        }
+      });
+      if (!added) brandShares();
+    });
+  });
+
+  const out = [];
+  metrics.forEach((metric) => {
+    const all = byMetric.get(metric.id);
+    if (!all) return;
+    const points = [...all.values()].flatMap((s) => [...s.points.values()]);
+    const axis = points.some((p) => p.axis === "wave") ? "wave" : "date";
+    const series = [...all.values()]
+      .map((s) => ({ ...s, points: [...s.points.values()].filter((p) => p.axis === axis) }))
+      .filter((s) => new Set(s.points.map((p) => p.timepoint)).size >= 2)
+      .sort((a, b) => b.points.length - a.points.length)
+      .slice(0, MAX_SERIES);
+    if (!series.length) return;
+    const timepoints = sortTimepoints(series.flatMap((s) => s.points.map((p) => p.timepoint)), axis);
+    out.push({
+      id: metric.id,
+      label: metric.label,
+      unit: metric.unit,
+      axis,
+      timepoints,
+      series: series.map((s) => {
+        const at = new Map(s.points.map((p) => [p.timepoint, p]));
+        return {
+          label: s.label,
+          product: s.product,
+          segment: s.segment,
+          color: (s.product && taxonomy?.colorFor(s.product)) || null,
+          values: timepoints.map((tp) => (at.has(tp) ? at.get(tp).value : null)),
+          points: timepoints.filter((tp) => at.has(tp)).map((tp) => {
+            const { axis: _axis, ...p } = at.get(tp);
+            return p;
+          }),
+        };
+      }),
+    });
+  });
+  return { metrics: out };
+}
@@ -0,0 +1,211 @@
+// vector_store.js — Vector store backends behind one interface
+// Every backend exposes:
+//   upsert(vectors, namespace)                      vectors = [{ id, values, metadata }]
+//   query({ vector, topK, namespace, filter })      → { matches: [{ id, score, metadata }] }
+//   updateMetadata(id, setMetadata, namespace)      merge fields into one vector's metadata
+//   delete({ ids } | { filter } | { deleteAll }, namespace)
+//   listNamespaces()                                → [{ namespace, vectorCount }]
+//   namespaceStats(namespace)                       → { namespace, vectorCount, dimension }
+//  • "pinecone" talks to the index REST API (config.pinecone.indexHost)
+//  • "local" keeps one JSON file per namespace on disk and scores with cosine similarity —
+//    for development, tests and small air-gapped deployments
+// Filters use Pinecone's metadata filter syntax ($eq $ne $in $nin $gt $gte $lt $lte $exists $and $or)
+// so callers don't care which backend is active.
+
+import fs from "node:fs";
+import path from "node:path";
+
+// ---------------------------------------------------------------------------
+// Pinecone
+// ---------------------------------------------------------------------------
+function createPineconeStore({ indexHost, apiKey }) {
+  async function call(route, body) {
+    const r = await fetch(`${indexHost}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Api-Key": apiKey },
+      body: JSON.stringify(body),
+    });
+    if (!r.ok) throw new Error(`Pinecone ${route} failed: ${r.status} ${await r.text().catch(() => "")}`.trim());
+    const text = await r.text();
+    return text ? JSON.parse(text) : {};
+  }
+
+  return {
+    backend: "pinecone",
+    supportsFilter: true,
+    async upsert(vectors, namespace) {
+      return call("/vectors/upsert", { vectors, namespace });
+    },
+    async query({ vector, topK, namespace, filter }) {
+      return call("/query", { vector, topK, includeMetadata: true, namespace, ...(filter ? { filter } : {}) });
+    },
+    async updateMetadata(id, setMetadata, namespace) {
+      return call("/vectors/update", { id, setMetadata, namespace });
+    },
+    async delete({ ids, filter, deleteAll } = {}, namespace) {
+      if (deleteAll) return call("/vectors/delete", { deleteAll: true, namespace });
+      if (filter) return call("/vectors/delete", { filter, namespace });
+      if (!ids || !ids.length) return {};
+      return call("/vectors/delete", { ids, namespace });
+    },
+    async listNamespaces() {
+      const stats = await call("/describe_index_stats", {});
+      return Object.entries(stats.namespaces || {}).map(([namespace, v]) => ({ namespace, vectorCount: v.vectorCount || 0 }));
+    },
+    async namespaceStats(namespace) {
+      const stats = await call("/describe_index_stats", {});
+      const ns = (stats.namespaces || {})[namespace] || {};
+      return { namespace, vectorCount: ns.vectorCount || 0, dimension: stats.dimension || null };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Local file store
+// ---------------------------------------------------------------------------
+
+/** Does one metadata object satisfy a Pinecone-style filter? */
+export function matchesFilter(metadata, filter) {
+  if (!filter || typeof filter !== "object") return true;
+  const md = metadata || {};
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$and") return (cond || []).every((f) => matchesFilter(md, f));
+    if (key === "$or") return (cond || []).some((f) => matchesFilter(md, f));
+    const value = md[key];
+    const ops = cond !== null && typeof cond === "object" && !Array.isArray(cond) ? cond : { $eq: cond };
+    return Object.entries(ops).every(([op, arg]) => compare(value, op, arg));
+  });
+}
+
+function compare(value, op, arg) {
+  const values = Array.isArray(value) ? value : [value];
+  switch (op) {
+    case "$eq": return values.some((v) => v === arg);
+    case "$ne": return values.every((v) => v !== arg);
+    case "$in": return values.some((v) => (arg || []).includes(v));
+    case "$nin": return values.every((v) => !(arg || []).includes(v));
+    case "$gt": return typeof value === "number" && value > arg;
+    case "$gte": return typeof value === "number" && value >= arg;
+    case "$lt": return typeof value === "number" && value < arg;
+    case "$lte": return typeof value === "number" && value <= arg;
+    case "$exists": return (value !== undefined) === !!arg;
+    default: throw new Error(`Unsupported filter operator ${op}`);
+  }
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+function createLocalStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const cache = new Map(); // namespace → Map(id → { values, metadata })
+
+  const fileFor = (namespace) => path.join(dir, `${encodeURIComponent(namespace || "__default__")}.json`);
+
+  function load(namespace) {
+    const key = namespace || "";
+    if (cache.has(key)) return cache.get(key);
+    const map = new Map();
+    try {
+      const file = fileFor(key);
+      if (fs.existsSync(file)) {
+        const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+        Object.entries(raw.vectors || {}).forEach(([id, v]) => map.set(id, v));
+      }
+    } catch (e) {
+      throw new Error(`Local vector store: failed to read namespace ${key}: ${e.message}`);
+    }
+    cache.set(key, map);
+    return map;
+  }
+
+  // Write to a temp file first so a crash mid-write never truncates the namespace
+  function save(namespace) {
+    const key = namespace || "";
+    const map = load(key);
+    const file = fileFor(key);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ namespace: key, vectors: Object.fromEntries(map) }));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    backend: "local",
+    supportsFilter: true,
+    async upsert(vectors, namespace) {
+      const map = load(namespace);
+      (vectors || []).forEach((v) => {
+        if (!v || !v.id || !Array.isArray(v.values)) throw new Error("Local vector store: vectors need id and values");
+        map.set(String(v.id), { values: v.values, metadata: v.metadata || {} });
+      });
+      save(namespace);
+      return { upsertedCount: (vectors || []).length };
+    },
+    async query({ vector, topK = 10, namespace, filter }) {
+      const map = load(namespace);
+      const scored = [];
+      for (const [id, v] of map) {
+        if (filter && !matchesFilter(v.metadata, filter)) continue;
+        scored.push({ id, score: cosineSimilarity(vector, v.values), metadata: v.metadata });
+      }
+      scored.sort((a, b) => b.score - a.score);
+      return { matches: scored.slice(0, Number(topK) || 10), namespace: namespace || "" };
+    },
+    async updateMetadata(id, setMetadata, namespace) {
+      const map = load(namespace);
+      const v = map.get(String(id));
+      if (!v) return {};
+      v.metadata = { ...(v.metadata || {}), ...(setMetadata || {}) };
+      save(namespace);
+      return {};
+    },
+    async delete({ ids, filter, deleteAll } = {}, namespace) {
+      const map = load(namespace);
+      let deleted = 0;
+      if (deleteAll) {
+        deleted = map.size;
+        map.clear();
+      } else if (filter) {
+        for (const [id, v] of map) if (matchesFilter(v.metadata, filter)) { map.delete(id); deleted++; }
+      } else {
+        (ids || []).forEach((id) => { if (map.delete(String(id))) deleted++; });
+      }
+      if (deleted) save(namespace);
+      return { deleted };
+    },
+    async listNamespaces() {
+      return fs.readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => decodeURIComponent(f.slice(0, -5)))
+        .map((namespace) => ({ namespace: namespace === "__default__" ? "" : namespace, vectorCount: load(namespace === "__default__" ? "" : namespace).size }));
+    },
+    async namespaceStats(namespace) {
+      const map = load(namespace);
+      const first = map.values().next().value;
+      return { namespace: namespace || "", vectorCount: map.size, dimension: first ? first.values.length : null };
+    },
+  };
+}
+
+/**
+ * Pick the backend from config: { backend: "pinecone" | "local", pinecone: { indexHost, apiKey }, localDir }.
+ * "auto" (the default) uses Pinecone when an index host is configured and the local store otherwise.
+ */
+export function createVectorStore(cfg = {}) {
+  let backend = String(cfg.backend || "auto").toLowerCase();
+  if (backend === "auto") backend = cfg.pinecone && cfg.pinecone.indexHost ? "pinecone" : "local";
+  if (backend === "pinecone") {
+    if (!cfg.pinecone || !cfg.pinecone.indexHost) throw new Error("VECTOR_STORE=pinecone requires PINECONE_INDEX_HOST");
+    return createPineconeStore(cfg.pinecone);
+  }
+  if (backend === "local") return createLocalStore({ dir: cfg.localDir });
+  throw new Error(`Unknown vector store backend "${backend}"`);
+}